@@ -1,6 +1,7 @@
 require('dotenv').config();
 const app = require('./src/app');
 const connectDB = require('./src/config/database');
+const scheduler = require('./src/jobs');
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
@@ -28,6 +29,11 @@ const server = app.listen(PORT, () => {
   console.log('');
 });
 
+// Start background jobs (reminders etc.) unless disabled for this instance
+if (process.env.ENABLE_BACKGROUND_JOBS !== 'false') {
+  scheduler.start();
+}
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (error) => {
   console.error('💥 UNHANDLED REJECTION! Shutting down...');
@@ -41,8 +47,9 @@ process.on('unhandledRejection', (error) => {
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   console.log('👋 SIGTERM received. Shutting down gracefully...');
+  await scheduler.stop();
   server.close(() => {
     console.log('✅ Process terminated');
   });
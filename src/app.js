@@ -5,6 +5,7 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const morgan = require('morgan');
 const medicalProfileRoutes = require('./routes/medicalProfile');
+const paymentConfig = require('./config/payments');
 
 const app = express();
 
@@ -42,8 +43,13 @@ app.use('/api/', limiter);
 // BODY PARSING MIDDLEWARE
 // ======================
 
-// Parse JSON bodies
-app.use(express.json({ limit: '10mb' }));
+// Parse JSON bodies (raw bytes kept for webhook signature checks)
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 
 // Parse URL-encoded bodies
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -96,8 +102,19 @@ app.use('/api/consultations', require('./routes/consultations'));
 app.use('/api/reviews', require('./routes/reviews'));
 app.use('/api/notifications', require('./routes/notifications'));
 app.use('/api/messages', require('./routes/messages'));
+app.use('/api/calendar', require('./routes/calendar'));
+app.use('/api/commissions', require('./routes/commissions'));
+app.use('/api/wallet', require('./routes/wallet'));
+app.use('/api/promo-codes', require('./routes/promoCodes'));
+app.use('/api/insurance', require('./routes/insurance'));
+app.use('/api/records', require('./routes/records'));
 app.use('/api/medical-profile', medicalProfileRoutes);
 
+// Offline payment gateway for development and tests
+if (paymentConfig.mockGateway) {
+  app.use('/mock-gateway', require('./routes/mockGateway'));
+}
+
 // Test route
 app.get('/api/test', (req, res) => {
   res.status(200).json({
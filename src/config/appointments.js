@@ -0,0 +1,62 @@
+// Appointment policy settings (override in .env)
+const toNumber = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+// "1440,30" -> [1440, 30] (largest first)
+const toNumberList = (value, fallback) => {
+  if (!value) return fallback;
+  const list = value.split(',')
+    .map(item => parseInt(item.trim(), 10))
+    .filter(item => !Number.isNaN(item) && item > 0);
+  return list.length > 0 ? list.sort((a, b) => b - a) : fallback;
+};
+
+module.exports = {
+  // Reschedules must happen at least this many hours before the visit
+  rescheduleCutoffHours: toNumber(process.env.MIN_RESCHEDULE_HOURS, 12),
+
+  // How many times a single appointment may be moved
+  maxReschedules: toNumber(process.env.MAX_RESCHEDULES, 2),
+
+  // How long a patient keeps exclusive hold of a slot during checkout
+  slotHoldMinutes: toNumber(process.env.SLOT_HOLD_MINUTES, 10),
+
+  // Minutes before the visit at which reminders go out to patient and doctor
+  reminderOffsets: toNumberList(
+    process.env.APPOINTMENT_REMINDER_OFFSETS,
+    [1440, toNumber(process.env.APPOINTMENT_REMINDER_MINUTES, 30)]
+  ),
+
+  // How often the reminder worker polls
+  reminderPollSeconds: toNumber(process.env.REMINDER_POLL_SECONDS, 60),
+
+  // Confirmed visits never started this long after their end time are flagged as no-shows
+  noShowGraceMinutes: toNumber(process.env.NO_SHOW_GRACE_MINUTES, 30),
+
+  // How long a doctor has to dispute an automatic no-show flag
+  noShowDisputeHours: toNumber(process.env.NO_SHOW_DISPUTE_HOURS, 48),
+
+  // How often the stale-appointment sweeper runs
+  sweepIntervalSeconds: toNumber(process.env.APPOINTMENT_SWEEP_SECONDS, 300),
+
+  // Minutes a patient has to pay for a booking before it is cancelled (doctors can override)
+  paymentWindowMinutes: toNumber(process.env.APPOINTMENT_PAYMENT_WINDOW_MINUTES, 60),
+
+  // Patients are warned this many minutes before an unpaid booking is cancelled
+  paymentWarningMinutes: toNumber(process.env.APPOINTMENT_PAYMENT_WARNING_MINUTES, 15),
+
+  // How often unpaid bookings are checked against their deadline
+  paymentDeadlineIntervalSeconds: toNumber(process.env.APPOINTMENT_PAYMENT_CHECK_SECONDS, 60),
+
+  // Platform-wide cancellation policy (doctors can override each value)
+  cancellationPolicy: {
+    // Patient cancels at least this many hours ahead: full refund
+    fullRefundHours: toNumber(process.env.MIN_CANCELLATION_HOURS, 24),
+    // Later than that but at least this many hours ahead: partial refund
+    partialRefundHours: toNumber(process.env.CANCELLATION_PARTIAL_REFUND_HOURS, 2),
+    // Percentage refunded in the partial window (nothing after it)
+    partialRefundPercent: toNumber(process.env.CANCELLATION_PARTIAL_REFUND_PERCENT, 50)
+  }
+};
@@ -0,0 +1,103 @@
+// Payment settings (override in .env)
+const toNumber = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+// "USD:1500,GBP:1900" -> { USD: 1500, GBP: 1900 }
+const toRateMap = (value, fallback) => {
+  if (!value) return fallback;
+  const entries = value.split(',')
+    .map(item => item.split(':').map(part => part.trim()))
+    .filter(([currency, rate]) => currency && !Number.isNaN(parseFloat(rate)) && parseFloat(rate) > 0)
+    .map(([currency, rate]) => [currency.toUpperCase(), parseFloat(rate)]);
+  return entries.length > 0 ? { ...fallback, ...Object.fromEntries(entries) } : fallback;
+};
+
+// On by default in development when Paystack has no key; never in production
+const useMockGateway = () => {
+  if (process.env.NODE_ENV === 'production') return false;
+  if (process.env.PAYMENT_MOCK_GATEWAY) return process.env.PAYMENT_MOCK_GATEWAY === 'true';
+  return process.env.NODE_ENV === 'development' && !process.env.PAYSTACK_SECRET_KEY;
+};
+
+const mockGateway = useMockGateway();
+
+// Local refunds are marked processed without any money moving, so production refuses to start with them
+const getRefundMode = () => {
+  const mode = process.env.REFUND_MODE || 'live';
+  if (mode === 'local' && process.env.NODE_ENV === 'production') {
+    throw new Error('REFUND_MODE=local is not allowed in production. Remove it or set REFUND_MODE=live');
+  }
+  return mode;
+};
+const serverUrl = process.env.SERVER_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+module.exports = {
+  // Consultation fees, earnings and payouts are all kept in this currency
+  baseCurrency: 'NGN',
+
+  // Patients outside these countries pay in the international currency unless they pick one
+  localCountries: ['nigeria', 'ng'],
+  internationalCurrency: (process.env.PAYMENT_INTERNATIONAL_CURRENCY || 'USD').toUpperCase(),
+
+  // Commission when no commission rule matches (percent)
+  defaultCommissionRate: toNumber(process.env.PLATFORM_FEE_PERCENTAGE, 10),
+
+  // Which gateway charges each currency
+  gatewayByCurrency: {
+    NGN: 'paystack',
+    USD: 'stripe',
+    GBP: 'stripe',
+    EUR: 'stripe'
+  },
+
+  // Units of base currency per unit of foreign currency
+  exchangeRates: toRateMap(process.env.EXCHANGE_RATES, { NGN: 1, USD: 1500, GBP: 1900, EUR: 1650 }),
+
+  // 'live' (default) sends refunds to the payment's own gateway.
+  // 'local' settles refunds immediately without calling out - only for development and tests.
+  refundMode: getRefundMode(),
+
+  // Offline stand-in for Paystack (and for any currency whose gateway has no keys).
+  // Serves a checkout page under /mock-gateway and posts signed webhooks back to the API.
+  mockGateway,
+  mockGatewayUrl: `${serverUrl}/mock-gateway`,
+  mockGatewayWebhookUrl: process.env.MOCK_GATEWAY_WEBHOOK_URL || `${serverUrl}/api/payments/webhook`,
+
+  // Delay before the mock sends refund and transfer webhooks, like the real settlement lag
+  mockGatewayWebhookDelayMs: toNumber(process.env.MOCK_GATEWAY_WEBHOOK_DELAY_MS, 2000),
+
+  // Gateway API calls give up after this long without a response
+  gatewayTimeoutMs: toNumber(process.env.PAYMENT_GATEWAY_TIMEOUT_MS, 15000),
+
+  // Doctor payouts are sent in the base currency through this gateway
+  payoutGateway: 'paystack',
+
+  // How often the payout run goes out
+  payoutIntervalHours: toNumber(process.env.PAYOUT_INTERVAL_HOURS, 24),
+
+  // Doctors owed less than this are carried over to the next run
+  payoutMinimumAmount: toNumber(process.env.PAYOUT_MIN_AMOUNT, 1000),
+
+  // Webhook events that fail processing are retried this many times in total
+  webhookMaxAttempts: toNumber(process.env.WEBHOOK_MAX_ATTEMPTS, 5),
+
+  // How often the webhook retry job looks for failed events
+  webhookRetrySeconds: toNumber(process.env.WEBHOOK_RETRY_SECONDS, 60),
+
+  // Events still received or processing after this long were dropped by a crash and are picked up again
+  webhookStaleMinutes: toNumber(process.env.WEBHOOK_STALE_MINUTES, 10),
+
+  // Pending payments older than this are checked against their gateway
+  reconciliationStaleMinutes: toNumber(process.env.RECONCILIATION_STALE_MINUTES, 30),
+
+  // How often the reconciliation job looks for stale pending payments
+  reconciliationIntervalMinutes: toNumber(process.env.RECONCILIATION_INTERVAL_MINUTES, 15),
+
+  // Checkouts still unpaid after this long are treated as abandoned
+  pendingPaymentExpiryHours: toNumber(process.env.PENDING_PAYMENT_EXPIRY_HOURS, 24),
+
+  // Smallest wallet top-up accepted (base currency)
+  walletMinTopUp: toNumber(process.env.WALLET_MIN_TOP_UP, 500)
+};
@@ -0,0 +1,13 @@
+// Clinical record export settings (override in .env)
+const toNumber = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+module.exports = {
+  // How long a patient's consent lets a doctor export their record
+  consentValidDays: toNumber(process.env.RECORD_CONSENT_DAYS, 30),
+
+  // Identifier namespace used in exported FHIR resources
+  fhirIdentifierSystem: process.env.FHIR_IDENTIFIER_SYSTEM || 'https://healthhub.com/fhir/identifier'
+};
@@ -2,13 +2,26 @@ const Appointment = require('../models/Appointment');
 const Doctor = require('../models/Doctor');
 const Patient = require('../models/Patient');
 const Availability = require('../models/Availability');
+const Payment = require('../models/Payment');
+const Notification = require('../models/Notification');
+const appointmentConfig = require('../config/appointments');
+const capacityService = require('../services/capacityService');
+const bookingService = require('../services/bookingService');
+const cancellationService = require('../services/cancellationService');
+const insuranceService = require('../services/insuranceService');
+const {
+  isValidTimeZone,
+  normalizeDateKey,
+  parseDateTime,
+  getDayBounds
+} = require('../utils/timezone');
 
 // @desc    Get available slots for a doctor on a specific date
 // @route   GET /api/appointments/available-slots
 // @access  Public
 exports.getAvailableSlots = async (req, res) => {
   try {
-    const { doctorId, date } = req.query;
+    const { doctorId, date, timezone } = req.query;
 
     if (!doctorId || !date) {
       return res.status(400).json({
@@ -17,6 +30,20 @@ exports.getAvailableSlots = async (req, res) => {
       });
     }
 
+    if (isNaN(new Date(date).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date'
+      });
+    }
+
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Timezone must be a valid IANA timezone (e.g. Africa/Lagos)'
+      });
+    }
+
     // Get doctor's availability
     const availability = await Availability.findOne({ doctorId });
 
@@ -27,36 +54,25 @@ exports.getAvailableSlots = async (req, res) => {
       });
     }
 
-    // Get all available slots for the date
-    const allSlots = availability.getAvailableSlotsForDate(new Date(date));
+    // Schedule, blocks, buffers and the daily limit all come from the shared capacity engine
+    const { dateKey, totalSlots, slots, bookedCount, dailyLimitReached } =
+      await capacityService.listSlots(availability, date);
 
-    // Get existing appointments for that date
-    const startOfDay = new Date(date);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(date);
-    endOfDay.setHours(23, 59, 59, 999);
-
-    const bookedAppointments = await Appointment.find({
-      doctorId,
-      appointmentDate: { $gte: startOfDay, $lte: endOfDay },
-      status: { $in: ['pending', 'confirmed', 'in-progress'] }
-    });
-
-    // Filter out booked slots
-    const bookedTimes = bookedAppointments.map(apt => {
-      const date = new Date(apt.appointmentDate);
-      return date.toTimeString().slice(0, 5); // HH:MM format
-    });
-
-    const availableSlots = allSlots.filter(slot => !bookedTimes.includes(slot));
+    // Show times in the patient's zone as well when we know it
+    const patientTimezone = timezone || (req.user && req.user.timezone) || null;
 
     res.status(200).json({
       success: true,
       data: {
-        date,
-        totalSlots: allSlots.length,
-        availableSlots: availableSlots.length,
-        slots: availableSlots
+        date: dateKey,
+        timezone: availability.timezone,
+        patientTimezone,
+        totalSlots,
+        availableSlots: slots.length,
+        bookedCount,
+        maxAppointmentsPerDay: availability.maxAppointmentsPerDay,
+        dailyLimitReached,
+        slots: slots.map(slot => capacityService.formatSlot(slot, availability, patientTimezone))
       }
     });
   } catch (error) {
@@ -69,30 +85,11 @@ exports.getAvailableSlots = async (req, res) => {
   }
 };
 
-// @desc    Book an appointment
-// @route   POST /api/appointments
+// @desc    Hold a slot during checkout
+// @route   POST /api/appointments/holds
 // @access  Private (Patient only)
-exports.bookAppointment = async (req, res) => {
+exports.holdSlot = async (req, res) => {
   try {
-    const {
-      doctorId,
-      appointmentDate,
-      consultationType,
-      reasonForVisit,
-      symptoms,
-      isFollowUp,
-      previousAppointmentId
-    } = req.body;
-
-    // Validate required fields
-    if (!doctorId || !appointmentDate || !consultationType || !reasonForVisit) {
-      return res.status(400).json({
-        success: false,
-        message: 'Doctor ID, appointment date, consultation type, and reason for visit are required'
-      });
-    }
-
-    // Get patient
     const patient = await Patient.findOne({ userId: req.user._id });
     if (!patient) {
       return res.status(404).json({
@@ -101,108 +98,81 @@ exports.bookAppointment = async (req, res) => {
       });
     }
 
-    // Get doctor
-    const doctor = await Doctor.findById(doctorId);
-    if (!doctor) {
-      return res.status(404).json({
-        success: false,
-        message: 'Doctor not found'
-      });
-    }
+    const hold = await bookingService.holdSlot(patient, req.body);
 
-    // Check if doctor is verified
-    if (doctor.verificationStatus !== 'verified') {
-      return res.status(400).json({
-        success: false,
-        message: 'Doctor is not verified'
-      });
-    }
+    res.status(201).json({
+      success: true,
+      message: 'Slot held. Complete payment before the hold expires.',
+      data: hold
+    });
+  } catch (error) {
+    console.error('Hold slot error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error holding slot',
+      ...(!error.statusCode && { error: error.message })
+    });
+  }
+};
 
-    // Validate consultation type
-    if (!doctor.consultationTypes.includes(consultationType)) {
-      return res.status(400).json({
+// @desc    Release a slot hold
+// @route   DELETE /api/appointments/holds/:id
+// @access  Private (Patient only)
+exports.releaseSlotHold = async (req, res) => {
+  try {
+    const patient = await Patient.findOne({ userId: req.user._id });
+    if (!patient) {
+      return res.status(404).json({
         success: false,
-        message: `Doctor does not offer ${consultationType} consultations`
+        message: 'Patient profile not found'
       });
     }
 
-    // Get consultation fee
-    const consultationFee = doctor.consultationFee[consultationType === 'in-person' ? 'inPerson' : consultationType];
+    await bookingService.releaseHold(req.params.id, patient);
 
-    // Check if appointment date is in the future
-    if (new Date(appointmentDate) <= new Date()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Appointment date must be in the future'
-      });
-    }
+    res.status(200).json({
+      success: true,
+      message: 'Slot released'
+    });
+  } catch (error) {
+    console.error('Release slot hold error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error releasing slot',
+      ...(!error.statusCode && { error: error.message })
+    });
+  }
+};
 
-    // Check doctor availability
-    const availability = await Availability.findOne({ doctorId });
-    if (!availability) {
-      return res.status(400).json({
+// @desc    Book an appointment: hold the slot, then check out through initializePayment
+// @route   POST /api/appointments
+// @access  Private (Patient only)
+exports.bookAppointment = async (req, res, next) => {
+  try {
+    // Get patient
+    const patient = await Patient.findOne({ userId: req.user._id });
+    if (!patient) {
+      return res.status(404).json({
         success: false,
-        message: 'Doctor availability not configured'
+        message: 'Patient profile not found'
       });
     }
 
-    const isAvailable = availability.isAvailableAt(new Date(appointmentDate));
-    if (!isAvailable) {
-      return res.status(400).json({
-        success: false,
-        message: 'Doctor is not available at this time'
-      });
+    // Every booking goes through a hold so two patients can't take the same slot;
+    // checkout turns the hold into the appointment once payment has started
+    if (!req.body.holdId) {
+      const hold = await bookingService.holdSlot(patient, req.body);
+      req.body.holdId = hold._id.toString();
     }
+    delete req.body.appointmentId;
 
-    // Check for conflicts
-    const hasConflict = await Appointment.hasConflict(
-      doctorId,
-      new Date(appointmentDate),
-      availability.slotDuration
-    );
-
-    if (hasConflict) {
-      return res.status(400).json({
-        success: false,
-        message: 'This time slot is already booked. Please choose another time.'
-      });
-    }
-
-    // Create appointment
-    const appointment = await Appointment.create({
-      patientId: patient._id,
-      doctorId,
-      appointmentDate: new Date(appointmentDate),
-      duration: availability.slotDuration,
-      consultationType,
-      reasonForVisit,
-      symptoms: symptoms || [],
-      consultationFee,
-      isFollowUp: isFollowUp || false,
-      previousAppointmentId: previousAppointmentId || null
-    });
-
-    // Increment appointment counts
-    await patient.incrementAppointmentCount();
-    await doctor.incrementAppointmentCount();
-
-    // Populate data for response
-    await appointment.populate([
-      { path: 'patientId', select: 'firstName lastName' },
-      { path: 'doctorId', select: 'firstName lastName specialties' }
-    ]);
-
-    res.status(201).json({
-      success: true,
-      message: 'Appointment booked successfully',
-      data: appointment
-    });
+    next();
   } catch (error) {
     console.error('Book appointment error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Error booking appointment',
-      error: error.message
+      message: error.statusCode ? error.message : 'Error booking appointment',
+      ...(!error.statusCode && { error: error.message })
     });
   }
 };
@@ -338,10 +308,11 @@ exports.getDoctorAppointments = async (req, res) => {
     }
 
     if (date) {
-      const startOfDay = new Date(date);
-      startOfDay.setHours(0, 0, 0, 0);
-      const endOfDay = new Date(date);
-      endOfDay.setHours(23, 59, 59, 999);
+      // Day boundaries follow the doctor's timezone
+      const availability = await Availability.findOne({ doctorId: doctor._id });
+      const { start: startOfDay, end: endOfDay } = availability
+        ? availability.getDayBounds(date)
+        : getDayBounds(normalizeDateKey(date));
       query.appointmentDate = { $gte: startOfDay, $lte: endOfDay };
     }
 
@@ -403,6 +374,17 @@ exports.confirmAppointment = async (req, res) => {
       });
     }
 
+    if (doctor.paymentPolicy?.requirePrepayment && appointment.consultationFee > 0) {
+      const payment = appointment.paymentId ? await Payment.findById(appointment.paymentId) : null;
+
+      if (payment?.status !== 'successful') {
+        return res.status(400).json({
+          success: false,
+          message: 'This appointment has not been paid for yet. Payment is required before confirmation.'
+        });
+      }
+    }
+
     await appointment.confirm(req.user._id);
 
     res.status(200).json({
@@ -420,12 +402,213 @@ exports.confirmAppointment = async (req, res) => {
   }
 };
 
+// Load an appointment owned by the logged-in doctor and check the status change is legal
+const loadDoctorAppointmentForTransition = async (req, res, nextStatus) => {
+  const appointment = await Appointment.findById(req.params.id);
+
+  if (!appointment) {
+    res.status(404).json({
+      success: false,
+      message: 'Appointment not found'
+    });
+    return {};
+  }
+
+  const doctor = await Doctor.findOne({ userId: req.user._id });
+  if (!doctor || appointment.doctorId.toString() !== doctor._id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized'
+    });
+    return {};
+  }
+
+  if (!appointment.canTransitionTo(nextStatus)) {
+    res.status(400).json({
+      success: false,
+      message: `Cannot move appointment from ${appointment.status} to ${nextStatus}`
+    });
+    return {};
+  }
+
+  return { appointment, doctor };
+};
+
+// Completion counts and earnings are credited once the visit has actually happened
+const creditCompletedAppointment = async (appointment, doctor) => {
+  await doctor.incrementCompletedCount();
+
+  if (appointment.paymentId) {
+    const payment = await Payment.findById(appointment.paymentId);
+    if (payment && payment.status === 'successful') {
+      await doctor.addEarnings(payment.baseDoctorEarnings);
+    }
+  }
+
+  // A failed claim shouldn't undo the completion; admins can file it again from the claims view
+  try {
+    await insuranceService.fileClaim(appointment);
+  } catch (error) {
+    console.error(`Insurance claim for appointment ${appointment._id} failed:`, error.message);
+  }
+};
+
+// @desc    Start consultation (Doctor)
+// @route   PUT /api/appointments/:id/start
+// @access  Private (Doctor only)
+exports.startAppointment = async (req, res) => {
+  try {
+    const { appointment } = await loadDoctorAppointmentForTransition(req, res, 'in-progress');
+    if (!appointment) return;
+
+    await appointment.startConsultation();
+
+    res.status(200).json({
+      success: true,
+      message: 'Consultation started',
+      data: appointment
+    });
+  } catch (error) {
+    console.error('Start appointment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting consultation',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Complete appointment (Doctor)
+// @route   PUT /api/appointments/:id/complete
+// @access  Private (Doctor only)
+exports.completeAppointment = async (req, res) => {
+  try {
+    const { appointment, doctor } = await loadDoctorAppointmentForTransition(req, res, 'completed');
+    if (!appointment) return;
+
+    await appointment.complete();
+    await creditCompletedAppointment(appointment, doctor);
+
+    res.status(200).json({
+      success: true,
+      message: 'Appointment completed',
+      data: appointment
+    });
+  } catch (error) {
+    console.error('Complete appointment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error completing appointment',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Mark patient as no-show (Doctor)
+// @route   PUT /api/appointments/:id/no-show
+// @access  Private (Doctor only)
+exports.markNoShow = async (req, res) => {
+  try {
+    const { appointment } = await loadDoctorAppointmentForTransition(req, res, 'no-show');
+    if (!appointment) return;
+
+    if (appointment.appointmentDate > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot mark a no-show before the appointment time'
+      });
+    }
+
+    await appointment.markNoShow('doctor');
+
+    const patient = await Patient.findById(appointment.patientId);
+    if (patient) {
+      await patient.incrementNoShowCount();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Appointment marked as no-show',
+      data: appointment
+    });
+  } catch (error) {
+    console.error('Mark no-show error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error marking no-show',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Dispute an automatic no-show flag (Doctor)
+// @route   PUT /api/appointments/:id/no-show/dispute
+// @access  Private (Doctor only)
+exports.disputeNoShow = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a reason for the dispute'
+      });
+    }
+
+    const appointment = await Appointment.findById(req.params.id);
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    const doctor = await Doctor.findOne({ userId: req.user._id });
+    if (!doctor || appointment.doctorId.toString() !== doctor._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    if (!appointment.canDisputeNoShow()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only automatic no-show flags can be disputed, within the dispute window'
+      });
+    }
+
+    // Disputing means the consultation happened, so it is treated as completed
+    await appointment.disputeNoShow(reason);
+    await creditCompletedAppointment(appointment, doctor);
+
+    const patient = await Patient.findById(appointment.patientId);
+    if (patient) {
+      await patient.decrementNoShowCount();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'No-show disputed. Appointment marked as completed.',
+      data: appointment
+    });
+  } catch (error) {
+    console.error('Dispute no-show error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error disputing no-show',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Cancel appointment
 // @route   PUT /api/appointments/:id/cancel
 // @access  Private (Patient/Doctor)
 exports.cancelAppointment = async (req, res) => {
   try {
-    const { reason } = req.body;
+    const { reason, refundToWallet } = req.body;
 
     if (!reason) {
       return res.status(400).json({
@@ -458,20 +641,43 @@ exports.cancelAppointment = async (req, res) => {
       });
     }
 
-    // Check if can be cancelled
-    if (!appointment.canBeCancelled(24)) {
+    // Late cancellations are allowed - the policy decides the refund instead
+    if (!appointment.canBeCancelled(0)) {
       return res.status(400).json({
         success: false,
-        message: 'Appointment can only be cancelled at least 24 hours before the scheduled time'
+        message: 'Only pending or confirmed appointments that have not started can be cancelled'
       });
     }
 
-    await appointment.cancel(req.user._id, reason);
+    const cancelledBy = doctor && appointment.doctorId.toString() === doctor._id.toString()
+      ? 'doctor'
+      : 'patient';
+    const appointmentDoctor = doctor || await Doctor.findById(appointment.doctorId);
+
+    const previousStatus = appointment.status;
+
+    // Only the request that actually cancels it refunds it
+    const cancelled = await Appointment.claimCancellation(appointment._id, previousStatus, req.user._id, reason);
+    if (!cancelled) {
+      return res.status(400).json({
+        success: false,
+        message: 'This appointment has already been cancelled or has changed. Refresh and try again.'
+      });
+    }
+
+    const refund = await cancellationService.refundCancellation(cancelled, cancelledBy, appointmentDoctor, {
+      previousStatus,
+      toWallet: cancelledBy === 'patient' && refundToWallet === true // Patients can take credit instead of a card refund
+    });
 
     res.status(200).json({
       success: true,
       message: 'Appointment cancelled successfully',
-      data: appointment
+      data: cancelled,
+      refund: {
+        ...refund,
+        message: cancellationService.describeRefund(refund)
+      }
     });
   } catch (error) {
     console.error('Cancel appointment error:', error);
@@ -483,6 +689,131 @@ exports.cancelAppointment = async (req, res) => {
   }
 };
 
+// @desc    Reschedule appointment
+// @route   PUT /api/appointments/:id/reschedule
+// @access  Private (Patient/Doctor)
+exports.rescheduleAppointment = async (req, res) => {
+  try {
+    const { appointmentDate, reason } = req.body;
+
+    if (!appointmentDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'A new appointment date is required'
+      });
+    }
+
+    const appointment = await Appointment.findById(req.params.id);
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    // Check authorization
+    const patient = await Patient.findOne({ userId: req.user._id });
+    const doctor = await Doctor.findOne({ userId: req.user._id });
+
+    const isPatient = patient && appointment.patientId.toString() === patient._id.toString();
+    const isDoctor = doctor && appointment.doctorId.toString() === doctor._id.toString();
+
+    if (!isPatient && !isDoctor) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to reschedule this appointment'
+      });
+    }
+
+    if (!['pending', 'confirmed'].includes(appointment.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot reschedule appointment with status: ${appointment.status}`
+      });
+    }
+
+    const { rescheduleCutoffHours, maxReschedules } = appointmentConfig;
+
+    if (appointment.rescheduleCount >= maxReschedules) {
+      return res.status(400).json({
+        success: false,
+        message: `Appointment has already been rescheduled the maximum of ${maxReschedules} time(s)`
+      });
+    }
+
+    if (!appointment.canBeRescheduled(rescheduleCutoffHours, maxReschedules)) {
+      return res.status(400).json({
+        success: false,
+        message: `Appointment can only be rescheduled at least ${rescheduleCutoffHours} hours before the scheduled time`
+      });
+    }
+
+    // Check doctor availability at the new time
+    const availability = await Availability.findOne({ doctorId: appointment.doctorId });
+    if (!availability) {
+      return res.status(400).json({
+        success: false,
+        message: 'Doctor availability not configured'
+      });
+    }
+
+    // Times without an offset are read in the doctor's timezone
+    const newDate = parseDateTime(appointmentDate, availability.timezone);
+
+    if (isNaN(newDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid appointment date'
+      });
+    }
+
+    if (newDate <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Appointment date must be in the future'
+      });
+    }
+
+    // Check schedule, daily limit and overlaps (ignoring this appointment's current slot)
+    // while holding the new slot
+    const previousDate = appointment.appointmentDate;
+    await bookingService.rescheduleWithHold(appointment, availability, newDate, req.user._id, reason);
+
+    // Notify the other party
+    if (isPatient) {
+      const appointmentDoctor = await Doctor.findById(appointment.doctorId);
+      await Notification.createAppointmentRescheduled(
+        appointment,
+        previousDate,
+        appointmentDoctor.userId,
+        `${patient.firstName} ${patient.lastName}`
+      );
+    } else {
+      const appointmentPatient = await Patient.findById(appointment.patientId);
+      await Notification.createAppointmentRescheduled(
+        appointment,
+        previousDate,
+        appointmentPatient.userId,
+        doctor.fullName
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Appointment rescheduled successfully',
+      data: appointment
+    });
+  } catch (error) {
+    console.error('Reschedule appointment error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error rescheduling appointment',
+      ...(!error.statusCode && { error: error.message })
+    });
+  }
+};
+
 // @desc    Get upcoming appointments (for dashboard)
 // @route   GET /api/appointments/upcoming
 // @access  Private
@@ -117,6 +117,22 @@ exports.getMe = async (req, res) => {
   }
 };
 
+// @desc    Update my timezone
+// @route   PUT /api/auth/me/timezone
+// @access  Private
+exports.updateTimezone = async (req, res) => {
+  try {
+    const result = await authService.updateTimezone(req.user, req.body.timezone);
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Update timezone error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Error updating timezone',
+    });
+  }
+};
+
 // @desc    Forgot password
 // @route   POST /api/auth/forgot-password
 // @access  Public
@@ -0,0 +1,280 @@
+const Doctor = require('../models/Doctor');
+const Availability = require('../models/Availability');
+
+// Load the logged-in doctor's availability, creating the default schedule if missing
+const getDoctorAvailability = async (userId) => {
+  const doctor = await Doctor.findOne({ userId });
+  if (!doctor) return null;
+
+  let availability = await Availability.findOne({ doctorId: doctor._id });
+  if (!availability) {
+    availability = await Availability.createDefault(doctor._id);
+  }
+
+  return availability;
+};
+
+// Schedule saves can be rejected because of booked appointments (409)
+const sendError = (res, error, message) => {
+  const statusCode = error.statusCode || (error.name === 'ValidationError' ? 400 : 500);
+
+  res.status(statusCode).json({
+    success: false,
+    message: statusCode === 500 ? message : error.message,
+    ...(error.conflicts && { conflicts: error.conflicts }),
+    ...(statusCode === 500 && { error: error.message })
+  });
+};
+
+const isValidDate = (value) => value && !isNaN(new Date(value).getTime());
+
+// @desc    Get my availability
+// @route   GET /api/doctors/me/availability
+// @access  Private (Doctor only)
+exports.getMyAvailability = async (req, res) => {
+  try {
+    const availability = await getDoctorAvailability(req.user._id);
+
+    if (!availability) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor profile not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: availability
+    });
+  } catch (error) {
+    console.error('Get availability error:', error);
+    sendError(res, error, 'Error fetching availability');
+  }
+};
+
+// @desc    Replace weekly schedule
+// @route   PUT /api/doctors/me/availability/schedule
+// @access  Private (Doctor only)
+exports.updateWeeklySchedule = async (req, res) => {
+  try {
+    const { weeklySchedule } = req.body;
+
+    if (!Array.isArray(weeklySchedule)) {
+      return res.status(400).json({
+        success: false,
+        message: 'weeklySchedule must be an array'
+      });
+    }
+
+    const days = weeklySchedule.map(schedule => schedule.day);
+    if (new Set(days).size !== days.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Each day can only appear once in the weekly schedule'
+      });
+    }
+
+    const availability = await getDoctorAvailability(req.user._id);
+
+    if (!availability) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor profile not found'
+      });
+    }
+
+    availability.weeklySchedule = weeklySchedule;
+    await availability.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Weekly schedule updated',
+      data: availability
+    });
+  } catch (error) {
+    console.error('Update weekly schedule error:', error);
+    sendError(res, error, 'Error updating weekly schedule');
+  }
+};
+
+// @desc    Update slot duration, buffer time, daily limit and timezone
+// @route   PUT /api/doctors/me/availability/settings
+// @access  Private (Doctor only)
+exports.updateSettings = async (req, res) => {
+  try {
+    const allowedFields = ['slotDuration', 'bufferTime', 'maxAppointmentsPerDay', 'timezone'];
+
+    const availability = await getDoctorAvailability(req.user._id);
+
+    if (!availability) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor profile not found'
+      });
+    }
+
+    Object.keys(req.body).forEach(key => {
+      if (allowedFields.includes(key)) {
+        availability[key] = req.body[key];
+      }
+    });
+
+    await availability.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Availability settings updated',
+      data: availability
+    });
+  } catch (error) {
+    console.error('Update availability settings error:', error);
+    sendError(res, error, 'Error updating availability settings');
+  }
+};
+
+// @desc    Block a full or partial day
+// @route   POST /api/doctors/me/availability/blocked-dates
+// @access  Private (Doctor only)
+exports.addBlockedDate = async (req, res) => {
+  try {
+    const { date, reason, allDay = true, blockedSlots = [] } = req.body;
+
+    if (!isValidDate(date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid date is required'
+      });
+    }
+
+    if (!allDay && (!Array.isArray(blockedSlots) || blockedSlots.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'blockedSlots are required for a partial-day block'
+      });
+    }
+
+    const availability = await getDoctorAvailability(req.user._id);
+
+    if (!availability) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor profile not found'
+      });
+    }
+
+    await availability.blockDate(date, reason, allDay, blockedSlots);
+
+    res.status(201).json({
+      success: true,
+      message: allDay ? 'Date blocked' : 'Time slots blocked',
+      data: availability
+    });
+  } catch (error) {
+    console.error('Block date error:', error);
+    sendError(res, error, 'Error blocking date');
+  }
+};
+
+// @desc    Remove a blocked date
+// @route   DELETE /api/doctors/me/availability/blocked-dates/:blockId
+// @access  Private (Doctor only)
+exports.removeBlockedDate = async (req, res) => {
+  try {
+    const availability = await getDoctorAvailability(req.user._id);
+
+    if (!availability) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor profile not found'
+      });
+    }
+
+    const removed = await availability.unblockDate(req.params.blockId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blocked date not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Blocked date removed',
+      data: availability
+    });
+  } catch (error) {
+    console.error('Unblock date error:', error);
+    sendError(res, error, 'Error removing blocked date');
+  }
+};
+
+// @desc    Add custom available date
+// @route   POST /api/doctors/me/availability/custom-dates
+// @access  Private (Doctor only)
+exports.addCustomDate = async (req, res) => {
+  try {
+    const { date, timeSlots } = req.body;
+
+    if (!isValidDate(date) || !Array.isArray(timeSlots) || timeSlots.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid date and at least one time slot are required'
+      });
+    }
+
+    const availability = await getDoctorAvailability(req.user._id);
+
+    if (!availability) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor profile not found'
+      });
+    }
+
+    await availability.addCustomDate(date, timeSlots);
+
+    res.status(201).json({
+      success: true,
+      message: 'Custom date added',
+      data: availability
+    });
+  } catch (error) {
+    console.error('Add custom date error:', error);
+    sendError(res, error, 'Error adding custom date');
+  }
+};
+
+// @desc    Remove custom available date
+// @route   DELETE /api/doctors/me/availability/custom-dates/:customDateId
+// @access  Private (Doctor only)
+exports.removeCustomDate = async (req, res) => {
+  try {
+    const availability = await getDoctorAvailability(req.user._id);
+
+    if (!availability) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor profile not found'
+      });
+    }
+
+    const removed = await availability.removeCustomDate(req.params.customDateId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Custom date not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Custom date removed',
+      data: availability
+    });
+  } catch (error) {
+    console.error('Remove custom date error:', error);
+    sendError(res, error, 'Error removing custom date');
+  }
+};
@@ -0,0 +1,127 @@
+const Appointment = require('../models/Appointment');
+const Doctor = require('../models/Doctor');
+const Patient = require('../models/Patient');
+const calendarService = require('../services/calendarService');
+
+const sendCalendar = (res, ics, filename) => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Cache-Control': 'no-store'
+  });
+  res.status(200).send(ics);
+};
+
+// @desc    Download a single appointment as an .ics file
+// @route   GET /api/appointments/:id/calendar.ics
+// @access  Private (Patient/Doctor)
+exports.downloadAppointment = async (req, res) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id)
+      .populate('doctorId', 'firstName lastName clinicAddress')
+      .populate('patientId', 'firstName lastName');
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    const profile = req.user.role === 'doctor'
+      ? await Doctor.findOne({ userId: req.user._id })
+      : await Patient.findOne({ userId: req.user._id });
+
+    const ownerId = req.user.role === 'doctor' ? appointment.doctorId._id : appointment.patientId._id;
+
+    if (!profile || ownerId.toString() !== profile._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this appointment'
+      });
+    }
+
+    const ics = calendarService.buildAppointmentFile(appointment, req.user.role);
+    sendCalendar(res, ics, `appointment-${appointment._id}.ics`);
+  } catch (error) {
+    console.error('Download appointment calendar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating calendar file',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create (or rotate) my calendar feed URL
+// @route   POST /api/calendar/feed
+// @access  Private (Patient/Doctor)
+exports.createFeed = async (req, res) => {
+  try {
+    const token = await calendarService.createFeedToken(req.user._id);
+    const feedUrl = `${req.protocol}://${req.get('host')}/api/calendar/feed/${token}.ics`;
+
+    res.status(201).json({
+      success: true,
+      message: 'Calendar feed created. Any previous feed URL no longer works.',
+      data: {
+        feedUrl,
+        webcalUrl: feedUrl.replace(/^https?:/, 'webcal:')
+      }
+    });
+  } catch (error) {
+    console.error('Create calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating calendar feed',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Revoke my calendar feed URL
+// @route   DELETE /api/calendar/feed
+// @access  Private (Patient/Doctor)
+exports.revokeFeed = async (req, res) => {
+  try {
+    await calendarService.revokeFeedToken(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar feed revoked'
+    });
+  } catch (error) {
+    console.error('Revoke calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking calendar feed',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Subscribable calendar feed (the token in the URL is the credential)
+// @route   GET /api/calendar/feed/:token.ics
+// @access  Public
+exports.getFeed = async (req, res) => {
+  try {
+    const user = await calendarService.findUserByFeedToken(req.params.token);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const ics = await calendarService.buildFeedForUser(user);
+    sendCalendar(res, ics, 'healthhub.ics');
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error generating calendar feed',
+      ...(!error.statusCode && { error: error.message })
+    });
+  }
+};
@@ -0,0 +1,176 @@
+const CommissionRule = require('../models/CommissionRule');
+const Doctor = require('../models/Doctor');
+
+const ALLOWED_FIELDS = [
+  'name',
+  'scope',
+  'specialty',
+  'consultationType',
+  'doctorId',
+  'rate',
+  'isPromotion',
+  'effectiveFrom',
+  'effectiveTo',
+  'isActive'
+];
+
+const pickAllowed = (body) => {
+  const data = {};
+  Object.keys(body).forEach(key => {
+    if (ALLOWED_FIELDS.includes(key)) {
+      data[key] = body[key];
+    }
+  });
+  return data;
+};
+
+const sendError = (res, error, message) => {
+  const statusCode = error.name === 'ValidationError' || error.name === 'CastError' ? 400 : 500;
+
+  res.status(statusCode).json({
+    success: false,
+    message: statusCode === 500 ? message : error.message,
+    ...(statusCode === 500 && { error: error.message })
+  });
+};
+
+// @desc    List commission rules
+// @route   GET /api/commissions
+// @access  Private (Admin only)
+exports.getRules = async (req, res) => {
+  try {
+    const filters = {};
+    if (req.query.scope) filters.scope = req.query.scope;
+    if (req.query.active !== undefined) filters.isActive = req.query.active === 'true';
+
+    const rules = await CommissionRule.find(filters)
+      .populate('doctorId', 'firstName lastName')
+      .sort({ isActive: -1, effectiveFrom: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: rules.length,
+      data: rules
+    });
+  } catch (error) {
+    console.error('Get commission rules error:', error);
+    sendError(res, error, 'Error fetching commission rules');
+  }
+};
+
+// @desc    Create commission rule
+// @route   POST /api/commissions
+// @access  Private (Admin only)
+exports.createRule = async (req, res) => {
+  try {
+    const rule = await CommissionRule.create({
+      ...pickAllowed(req.body),
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Commission rule created',
+      data: rule
+    });
+  } catch (error) {
+    console.error('Create commission rule error:', error);
+    sendError(res, error, 'Error creating commission rule');
+  }
+};
+
+// @desc    Update commission rule (existing payments keep the rate they were charged)
+// @route   PUT /api/commissions/:id
+// @access  Private (Admin only)
+exports.updateRule = async (req, res) => {
+  try {
+    const rule = await CommissionRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Commission rule not found'
+      });
+    }
+
+    Object.assign(rule, pickAllowed(req.body));
+    await rule.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Commission rule updated',
+      data: rule
+    });
+  } catch (error) {
+    console.error('Update commission rule error:', error);
+    sendError(res, error, 'Error updating commission rule');
+  }
+};
+
+// @desc    Deactivate commission rule (kept for payment history)
+// @route   DELETE /api/commissions/:id
+// @access  Private (Admin only)
+exports.deactivateRule = async (req, res) => {
+  try {
+    const rule = await CommissionRule.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Commission rule not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Commission rule deactivated',
+      data: rule
+    });
+  } catch (error) {
+    console.error('Deactivate commission rule error:', error);
+    sendError(res, error, 'Error deactivating commission rule');
+  }
+};
+
+// @desc    Show which rule would apply to a doctor and consultation type
+// @route   GET /api/commissions/resolve?doctorId=&consultationType=&date=
+// @access  Private (Admin only)
+exports.resolveRule = async (req, res) => {
+  try {
+    const { doctorId, consultationType, date } = req.query;
+
+    const doctor = doctorId ? await Doctor.findById(doctorId).select('specialties') : null;
+    if (doctorId && !doctor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor not found'
+      });
+    }
+
+    const at = date ? new Date(date) : new Date();
+    if (isNaN(at.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date'
+      });
+    }
+
+    const snapshot = await CommissionRule.resolveSnapshot({
+      doctorId,
+      specialties: doctor?.specialties || [],
+      consultationType
+    }, at);
+
+    res.status(200).json({
+      success: true,
+      data: snapshot
+    });
+  } catch (error) {
+    console.error('Resolve commission rule error:', error);
+    sendError(res, error, 'Error resolving commission rule');
+  }
+};
@@ -1,7 +1,20 @@
+const mongoose = require('mongoose');
 const Consultation = require('../models/Consultation');
 const Appointment = require('../models/Appointment');
 const Patient = require('../models/Patient');
 const Doctor = require('../models/Doctor');
+const medicationSafetyService = require('../services/medicationSafetyService');
+
+// Prescriptions with safety warnings are only saved once the doctor acknowledges each one
+const sendSafetyWarnings = (res, review) => {
+  res.status(409).json({
+    success: false,
+    message: 'Prescription has medication safety warnings. Resend with their ids in acknowledgedWarnings to prescribe anyway.',
+    requiresAcknowledgement: true,
+    warnings: review.unacknowledged,
+    uncheckedMedications: review.unrecognized
+  });
+};
 
 // @desc    Create consultation (after appointment)
 // @route   POST /api/consultations
@@ -21,7 +34,9 @@ exports.createConsultation = async (req, res) => {
       followUpRequired,
       followUpDate,
       followUpNotes,
-      privateNotes
+      privateNotes,
+      acknowledgedWarnings,
+      acknowledgementNote
     } = req.body;
 
     if (!appointmentId || !diagnosis) {
@@ -67,6 +82,16 @@ exports.createConsultation = async (req, res) => {
       });
     }
 
+    const safety = await medicationSafetyService.review(
+      appointment.patientId,
+      Array.isArray(prescription) ? prescription : [],
+      { acknowledged: acknowledgedWarnings }
+    );
+
+    if (safety.unacknowledged.length > 0) {
+      return sendSafetyWarnings(res, safety);
+    }
+
     // Create consultation
     const consultation = await Consultation.create({
       appointmentId,
@@ -83,7 +108,12 @@ exports.createConsultation = async (req, res) => {
       followUpRequired,
       followUpDate,
       followUpNotes,
-      privateNotes
+      privateNotes,
+      safetyAcknowledgements: medicationSafetyService.toAcknowledgements(
+        safety.newlyAcknowledged,
+        req.user._id,
+        acknowledgementNote
+      )
     });
 
     // Populate data
@@ -95,7 +125,8 @@ exports.createConsultation = async (req, res) => {
     res.status(201).json({
       success: true,
       message: 'Consultation created successfully',
-      data: consultation
+      data: consultation,
+      ...(safety.unrecognized.length > 0 && { uncheckedMedications: safety.unrecognized })
     });
   } catch (error) {
     console.error('Create consultation error:', error);
@@ -285,18 +316,40 @@ exports.updateConsultation = async (req, res) => {
       'privateNotes'
     ];
 
+    // A replaced prescription is checked again; earlier acknowledgements still count
+    let safety = null;
+    if (Array.isArray(req.body.prescription)) {
+      safety = await medicationSafetyService.review(consultation.patientId, req.body.prescription, {
+        acknowledged: req.body.acknowledgedWarnings,
+        previous: consultation.safetyAcknowledgements
+      });
+
+      if (safety.unacknowledged.length > 0) {
+        return sendSafetyWarnings(res, safety);
+      }
+    }
+
     Object.keys(req.body).forEach(key => {
       if (allowedFields.includes(key)) {
         consultation[key] = req.body[key];
       }
     });
 
+    if (safety) {
+      consultation.safetyAcknowledgements.push(...medicationSafetyService.toAcknowledgements(
+        safety.newlyAcknowledged,
+        req.user._id,
+        req.body.acknowledgementNote
+      ));
+    }
+
     await consultation.save();
 
     res.status(200).json({
       success: true,
       message: 'Consultation updated successfully',
-      data: consultation
+      data: consultation,
+      ...(safety?.unrecognized.length > 0 && { uncheckedMedications: safety.unrecognized })
     });
   } catch (error) {
     console.error('Update consultation error:', error);
@@ -313,7 +366,15 @@ exports.updateConsultation = async (req, res) => {
 // @access  Private (Doctor only)
 exports.addPrescription = async (req, res) => {
   try {
-    const { medication, dosage, frequency, duration, instructions } = req.body;
+    const {
+      medication,
+      dosage,
+      frequency,
+      duration,
+      instructions,
+      acknowledgedWarnings,
+      acknowledgementNote
+    } = req.body;
 
     if (!medication || !dosage || !frequency || !duration) {
       return res.status(400).json({
@@ -340,6 +401,22 @@ exports.addPrescription = async (req, res) => {
       });
     }
 
+    const safety = await medicationSafetyService.review(consultation.patientId, [{ medication }], {
+      existing: consultation.prescription,
+      acknowledged: acknowledgedWarnings,
+      previous: consultation.safetyAcknowledgements
+    });
+
+    if (safety.unacknowledged.length > 0) {
+      return sendSafetyWarnings(res, safety);
+    }
+
+    consultation.safetyAcknowledgements.push(...medicationSafetyService.toAcknowledgements(
+      safety.newlyAcknowledged,
+      req.user._id,
+      acknowledgementNote
+    ));
+
     await consultation.addPrescription({
       medication,
       dosage,
@@ -351,7 +428,8 @@ exports.addPrescription = async (req, res) => {
     res.status(200).json({
       success: true,
       message: 'Prescription added successfully',
-      data: consultation
+      data: consultation,
+      ...(safety.unrecognized.length > 0 && { uncheckedMedications: safety.unrecognized })
     });
   } catch (error) {
     console.error('Add prescription error:', error);
@@ -414,4 +492,67 @@ exports.addRecommendedTest = async (req, res) => {
       error: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+// @desc    Check medicines for safety warnings without saving (for an appointment or an existing consultation)
+// @route   POST /api/consultations/medication-check
+// @access  Private (Doctor only)
+exports.checkPrescription = async (req, res) => {
+  try {
+    const { appointmentId, consultationId, prescription } = req.body;
+
+    if ((!appointmentId && !consultationId) || !Array.isArray(prescription)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Appointment or consultation ID and a prescription list are required'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(consultationId || appointmentId)) {
+      return res.status(400).json({
+        success: false,
+        message: consultationId ? 'Invalid consultation ID' : 'Invalid appointment ID'
+      });
+    }
+
+    const record = consultationId
+      ? await Consultation.findById(consultationId)
+      : await Appointment.findById(appointmentId);
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: consultationId ? 'Consultation not found' : 'Appointment not found'
+      });
+    }
+
+    const doctor = await Doctor.findOne({ userId: req.user._id });
+    if (!doctor || record.doctorId.toString() !== doctor._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    const safety = await medicationSafetyService.review(record.patientId, prescription, {
+      existing: consultationId ? record.prescription : [],
+      previous: consultationId ? record.safetyAcknowledgements : []
+    });
+    const pending = new Set(safety.unacknowledged.map(warning => warning.id));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        warnings: safety.warnings.map(warning => ({ ...warning, acknowledged: !pending.has(warning.id) })),
+        uncheckedMedications: safety.unrecognized
+      }
+    });
+  } catch (error) {
+    console.error('Check prescription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking prescription',
+      error: error.message
+    });
+  }
+};
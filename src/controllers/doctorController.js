@@ -1,3 +1,4 @@
+const mongoose = require('mongoose');
 const Doctor = require('../models/Doctor');
 const User = require('../models/User');
 const Availability = require('../models/Availability');
@@ -115,7 +116,9 @@ exports.updateProfile = async (req, res) => {
       'consultationTypes',
       'about',
       'languages',
-      'bankDetails'
+      'bankDetails',
+      'cancellationPolicy',
+      'paymentPolicy'
     ];
 
     // Filter request body
@@ -130,6 +133,11 @@ exports.updateProfile = async (req, res) => {
     delete updates.verificationStatus;
     delete updates.licenseNumber;
 
+    // Payout recipients are created by the payout run from the bank details
+    if (updates.bankDetails) {
+      delete updates.bankDetails.recipientCode;
+    }
+
     const doctor = await Doctor.findOneAndUpdate(
       { userId: req.user._id },
       updates,
@@ -258,6 +266,17 @@ exports.getAllDoctors = async (req, res) => {
       filters.averageRating = { $gte: parseFloat(req.query.minRating) };
     }
 
+    // Only doctors who accept a given insurer
+    if (req.query.insurer) {
+      if (!mongoose.isValidObjectId(req.query.insurer)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid insurer ID'
+        });
+      }
+      filters.acceptedInsurers = req.query.insurer;
+    }
+
     // Sorting
     let sort = { averageRating: -1 }; // Default: highest rated first
     if (req.query.sort === 'experience') {
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const Doctor = require('../models/Doctor');
+const earningsService = require('../services/earningsService');
+
+const sendCsv = (res, csv, filename) => {
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Cache-Control': 'no-store'
+  });
+  res.status(200).send(csv);
+};
+
+// JSON statement, or a CSV download with ?format=csv
+const sendStatement = async (req, res, doctorId, filePrefix) => {
+  const format = req.query.format || 'json';
+
+  if (!['json', 'csv'].includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: 'format must be json or csv'
+    });
+  }
+
+  const options = earningsService.parseOptions(req.query);
+
+  if (format === 'csv') {
+    const csv = await earningsService.getCsv(options, doctorId);
+    return sendCsv(res, csv, `${filePrefix}-${options.from}-to-${options.to}.csv`);
+  }
+
+  const statement = await earningsService.getStatement(options, doctorId);
+
+  res.status(200).json({
+    success: true,
+    data: statement
+  });
+};
+
+// @desc    My earnings by period and consultation type (JSON or CSV)
+// @route   GET /api/payments/doctor/earnings/statement?from=&to=&groupBy=day|week|month&format=json|csv
+// @access  Private (Doctor only)
+exports.getMyEarningsStatement = async (req, res) => {
+  try {
+    const doctor = await Doctor.findOne({ userId: req.user._id });
+
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor profile not found'
+      });
+    }
+
+    await sendStatement(req, res, doctor._id, 'earnings');
+  } catch (error) {
+    console.error('Get earnings statement error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error fetching earnings statement',
+      ...(!error.statusCode && { error: error.message })
+    });
+  }
+};
+
+// @desc    Earnings across all doctors (or one, with ?doctorId=) for accounting (JSON or CSV)
+// @route   GET /api/payments/admin/earnings?from=&to=&groupBy=day|week|month&doctorId=&format=json|csv
+// @access  Private (Admin only)
+exports.getEarningsStatement = async (req, res) => {
+  try {
+    const { doctorId } = req.query;
+
+    if (doctorId) {
+      const doctor = mongoose.isValidObjectId(doctorId) ? await Doctor.findById(doctorId) : null;
+
+      if (!doctor) {
+        return res.status(404).json({
+          success: false,
+          message: 'Doctor not found'
+        });
+      }
+    }
+
+    await sendStatement(req, res, doctorId || null, doctorId ? `earnings-${doctorId}` : 'earnings-all-doctors');
+  } catch (error) {
+    console.error('Get earnings export error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error fetching earnings',
+      ...(!error.statusCode && { error: error.message })
+    });
+  }
+};
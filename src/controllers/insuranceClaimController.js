@@ -0,0 +1,245 @@
+const InsuranceClaim = require('../models/InsuranceClaim');
+const Appointment = require('../models/Appointment');
+const Doctor = require('../models/Doctor');
+const Patient = require('../models/Patient');
+const insuranceService = require('../services/insuranceService');
+
+const sendError = (res, error, message) => {
+  let statusCode = error.statusCode || 500;
+  if (error.name === 'ValidationError' || error.name === 'CastError') statusCode = 400;
+
+  res.status(statusCode).json({
+    success: false,
+    message: statusCode === 500 ? message : error.message,
+    ...(statusCode === 500 && { error: error.message })
+  });
+};
+
+// Paginated claim list for a query
+const sendClaims = async (req, res, query) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const claims = await InsuranceClaim.find(query)
+    .populate('patientId', 'firstName lastName')
+    .populate('doctorId', 'firstName lastName')
+    .sort({ submittedAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await InsuranceClaim.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: claims,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+};
+
+// @desc    My insurance claims
+// @route   GET /api/insurance/claims
+// @access  Private (Patient only)
+exports.getMyClaims = async (req, res) => {
+  try {
+    const patient = await Patient.findOne({ userId: req.user._id });
+
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient profile not found'
+      });
+    }
+
+    await sendClaims(req, res, insuranceService.buildClaimQuery({
+      status: req.query.status,
+      patientId: patient._id
+    }));
+  } catch (error) {
+    console.error('Get my claims error:', error);
+    sendError(res, error, 'Error fetching claims');
+  }
+};
+
+// @desc    Claims for my consultations
+// @route   GET /api/insurance/doctor/claims
+// @access  Private (Doctor only)
+exports.getDoctorClaims = async (req, res) => {
+  try {
+    const doctor = await Doctor.findOne({ userId: req.user._id });
+
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor profile not found'
+      });
+    }
+
+    await sendClaims(req, res, insuranceService.buildClaimQuery({
+      status: req.query.status,
+      doctorId: doctor._id
+    }));
+  } catch (error) {
+    console.error('Get doctor claims error:', error);
+    sendError(res, error, 'Error fetching claims');
+  }
+};
+
+// @desc    Get a claim (owner patient or doctor, or admin)
+// @route   GET /api/insurance/claims/:id
+// @access  Private
+exports.getClaim = async (req, res) => {
+  try {
+    const claim = await InsuranceClaim.findById(req.params.id)
+      .populate('patientId', 'firstName lastName userId')
+      .populate('doctorId', 'firstName lastName userId')
+      .populate('statusHistory.changedBy', 'email role');
+
+    if (!claim) {
+      return res.status(404).json({
+        success: false,
+        message: 'Claim not found'
+      });
+    }
+
+    const userId = req.user._id.toString();
+    const isOwner = claim.patientId?.userId?.toString() === userId ||
+      claim.doctorId?.userId?.toString() === userId;
+
+    if (req.user.role !== 'admin' && !isOwner) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this claim'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: claim
+    });
+  } catch (error) {
+    console.error('Get claim error:', error);
+    sendError(res, error, 'Error fetching claim');
+  }
+};
+
+// @desc    All claims (filter by status, providerId, doctorId, patientId, from, to)
+// @route   GET /api/insurance/admin/claims
+// @access  Private (Admin only)
+exports.getClaims = async (req, res) => {
+  try {
+    await sendClaims(req, res, insuranceService.buildClaimQuery(req.query));
+  } catch (error) {
+    console.error('Get claims error:', error);
+    sendError(res, error, 'Error fetching claims');
+  }
+};
+
+// @desc    File the claim for a completed appointment (when it wasn't filed automatically)
+// @route   POST /api/insurance/admin/claims
+// @access  Private (Admin only)
+exports.fileClaim = async (req, res) => {
+  try {
+    const appointment = await Appointment.findById(req.body.appointmentId);
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    if (appointment.status !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Claims can only be filed for completed appointments'
+      });
+    }
+
+    const claim = await insuranceService.fileClaim(appointment);
+
+    if (!claim) {
+      return res.status(400).json({
+        success: false,
+        message: 'This appointment has no valid insurance cover to claim against'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Claim filed',
+      data: claim
+    });
+  } catch (error) {
+    console.error('File claim error:', error);
+    sendError(res, error, 'Error filing claim');
+  }
+};
+
+// @desc    Move a claim to approved, rejected, paid or back to submitted
+// @route   PUT /api/insurance/admin/claims/:id/status
+// @access  Private (Admin only)
+exports.updateClaimStatus = async (req, res) => {
+  try {
+    const { status, note, approvedAmount, paidAmount, payerReference, rejectionReason } = req.body;
+
+    if (!status) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status is required'
+      });
+    }
+
+    const claim = await insuranceService.updateClaimStatus(req.params.id, status, req.user._id, {
+      note,
+      approvedAmount,
+      paidAmount,
+      payerReference,
+      rejectionReason
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Claim ${claim.status}`,
+      data: claim
+    });
+  } catch (error) {
+    console.error('Update claim status error:', error);
+    sendError(res, error, 'Error updating claim');
+  }
+};
+
+// @desc    Export claims as structured JSON or CSV (same filters as the list)
+// @route   GET /api/insurance/admin/claims/export?format=json|csv
+// @access  Private (Admin only)
+exports.exportClaims = async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'format must be json or csv'
+      });
+    }
+
+    const exported = await insuranceService.exportClaims(req.query, format);
+    const filename = `insurance-claims-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.set({
+      'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'no-store'
+    });
+
+    res.status(200).send(format === 'csv' ? exported : JSON.stringify(exported, null, 2));
+  } catch (error) {
+    console.error('Export claims error:', error);
+    sendError(res, error, 'Error exporting claims');
+  }
+};
@@ -0,0 +1,424 @@
+const InsuranceProvider = require('../models/InsuranceProvider');
+const Doctor = require('../models/Doctor');
+const Patient = require('../models/Patient');
+const insuranceService = require('../services/insuranceService');
+const { parseDateTime } = require('../utils/timezone');
+
+const PROVIDER_FIELDS = ['name', 'code', 'claimsEmail', 'phoneNumber', 'website', 'isActive'];
+const PLAN_FIELDS = ['name', 'code', 'coveragePercent', 'copayAmount', 'annualLimit', 'consultationTypes', 'isActive'];
+
+const pickAllowed = (body, allowed) => {
+  const data = {};
+  Object.keys(body).forEach(key => {
+    if (allowed.includes(key)) {
+      data[key] = body[key];
+    }
+  });
+  return data;
+};
+
+const sendError = (res, error, message) => {
+  let statusCode = error.statusCode || 500;
+  if (error.name === 'ValidationError' || error.name === 'CastError') statusCode = 400;
+  if (error.code === 11000) statusCode = 409;
+
+  res.status(statusCode).json({
+    success: false,
+    message: statusCode === 500 ? message : error.message,
+    ...(statusCode === 500 && { error: error.message })
+  });
+};
+
+const loadPatient = async (req, res) => {
+  const patient = await Patient.findOne({ userId: req.user._id });
+  if (!patient) {
+    res.status(404).json({
+      success: false,
+      message: 'Patient profile not found'
+    });
+  }
+  return patient;
+};
+
+const loadDoctor = async (req, res) => {
+  const doctor = await Doctor.findOne({ userId: req.user._id });
+  if (!doctor) {
+    res.status(404).json({
+      success: false,
+      message: 'Doctor profile not found'
+    });
+  }
+  return doctor;
+};
+
+// ==================== CATALOG ====================
+
+// @desc    Active insurers and plans
+// @route   GET /api/insurance/providers
+// @access  Public
+exports.getCatalog = async (req, res) => {
+  try {
+    const providers = await InsuranceProvider.getCatalog();
+
+    res.status(200).json({
+      success: true,
+      count: providers.length,
+      data: providers
+    });
+  } catch (error) {
+    console.error('Get insurance catalog error:', error);
+    sendError(res, error, 'Error fetching insurers');
+  }
+};
+
+// @desc    All insurers, including inactive ones
+// @route   GET /api/insurance/admin/providers
+// @access  Private (Admin only)
+exports.getProviders = async (req, res) => {
+  try {
+    const filters = {};
+    if (req.query.active !== undefined) filters.isActive = req.query.active === 'true';
+
+    const providers = await InsuranceProvider.find(filters).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: providers.length,
+      data: providers
+    });
+  } catch (error) {
+    console.error('Get insurers error:', error);
+    sendError(res, error, 'Error fetching insurers');
+  }
+};
+
+// @desc    Add an insurer (plans can be included)
+// @route   POST /api/insurance/admin/providers
+// @access  Private (Admin only)
+exports.createProvider = async (req, res) => {
+  try {
+    const plans = Array.isArray(req.body.plans)
+      ? req.body.plans.map(plan => pickAllowed(plan, PLAN_FIELDS))
+      : [];
+
+    const provider = await InsuranceProvider.create({
+      ...pickAllowed(req.body, PROVIDER_FIELDS),
+      plans,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Insurer created',
+      data: provider
+    });
+  } catch (error) {
+    console.error('Create insurer error:', error);
+    sendError(res, error, 'Error creating insurer');
+  }
+};
+
+// @desc    Update an insurer
+// @route   PUT /api/insurance/admin/providers/:id
+// @access  Private (Admin only)
+exports.updateProvider = async (req, res) => {
+  try {
+    const provider = await InsuranceProvider.findById(req.params.id);
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Insurer not found'
+      });
+    }
+
+    Object.assign(provider, pickAllowed(req.body, PROVIDER_FIELDS));
+    await provider.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Insurer updated',
+      data: provider
+    });
+  } catch (error) {
+    console.error('Update insurer error:', error);
+    sendError(res, error, 'Error updating insurer');
+  }
+};
+
+// @desc    Deactivate an insurer (kept for existing policies and claims)
+// @route   DELETE /api/insurance/admin/providers/:id
+// @access  Private (Admin only)
+exports.deactivateProvider = async (req, res) => {
+  try {
+    const provider = await InsuranceProvider.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Insurer not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Insurer deactivated',
+      data: provider
+    });
+  } catch (error) {
+    console.error('Deactivate insurer error:', error);
+    sendError(res, error, 'Error deactivating insurer');
+  }
+};
+
+// @desc    Add a plan to an insurer
+// @route   POST /api/insurance/admin/providers/:id/plans
+// @access  Private (Admin only)
+exports.addPlan = async (req, res) => {
+  try {
+    const provider = await InsuranceProvider.findById(req.params.id);
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Insurer not found'
+      });
+    }
+
+    provider.plans.push(pickAllowed(req.body, PLAN_FIELDS));
+    await provider.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Plan added',
+      data: provider.plans[provider.plans.length - 1]
+    });
+  } catch (error) {
+    console.error('Add plan error:', error);
+    sendError(res, error, 'Error adding plan');
+  }
+};
+
+// @desc    Update a plan (estimates already made keep the old terms)
+// @route   PUT /api/insurance/admin/providers/:id/plans/:planId
+// @access  Private (Admin only)
+exports.updatePlan = async (req, res) => {
+  try {
+    const provider = await InsuranceProvider.findById(req.params.id);
+    const plan = provider?.plans.id(req.params.planId);
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found'
+      });
+    }
+
+    plan.set(pickAllowed(req.body, PLAN_FIELDS));
+    await provider.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Plan updated',
+      data: plan
+    });
+  } catch (error) {
+    console.error('Update plan error:', error);
+    sendError(res, error, 'Error updating plan');
+  }
+};
+
+// ==================== PATIENT POLICIES ====================
+
+// @desc    My insurance policies
+// @route   GET /api/insurance/policies
+// @access  Private (Patient only)
+exports.getMyPolicies = async (req, res) => {
+  try {
+    const patient = await loadPatient(req, res);
+    if (!patient) return;
+
+    const policies = await insuranceService.getPolicies(patient);
+
+    res.status(200).json({
+      success: true,
+      count: policies.length,
+      data: policies
+    });
+  } catch (error) {
+    console.error('Get policies error:', error);
+    sendError(res, error, 'Error fetching insurance policies');
+  }
+};
+
+// @desc    Add an insurance policy
+// @route   POST /api/insurance/policies
+// @access  Private (Patient only)
+exports.addPolicy = async (req, res) => {
+  try {
+    const patient = await loadPatient(req, res);
+    if (!patient) return;
+
+    const policy = await insuranceService.addPolicy(patient, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Insurance policy added',
+      data: policy
+    });
+  } catch (error) {
+    console.error('Add policy error:', error);
+    sendError(res, error, 'Error adding insurance policy');
+  }
+};
+
+// @desc    Update an insurance policy
+// @route   PUT /api/insurance/policies/:id
+// @access  Private (Patient only)
+exports.updatePolicy = async (req, res) => {
+  try {
+    const patient = await loadPatient(req, res);
+    if (!patient) return;
+
+    const policy = await insuranceService.updatePolicy(patient, req.params.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Insurance policy updated',
+      data: policy
+    });
+  } catch (error) {
+    console.error('Update policy error:', error);
+    sendError(res, error, 'Error updating insurance policy');
+  }
+};
+
+// @desc    Remove an insurance policy
+// @route   DELETE /api/insurance/policies/:id
+// @access  Private (Patient only)
+exports.removePolicy = async (req, res) => {
+  try {
+    const patient = await loadPatient(req, res);
+    if (!patient) return;
+
+    await insuranceService.removePolicy(patient, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Insurance policy removed'
+    });
+  } catch (error) {
+    console.error('Remove policy error:', error);
+    sendError(res, error, 'Error removing insurance policy');
+  }
+};
+
+// @desc    Estimate insurer and patient shares for a consultation
+// @route   GET /api/insurance/estimate?doctorId=&consultationType=&appointmentDate=&policyId=
+// @access  Private (Patient only)
+exports.estimateCoverage = async (req, res) => {
+  try {
+    const { doctorId, consultationType, appointmentDate, policyId } = req.query;
+
+    if (!doctorId || !consultationType) {
+      return res.status(400).json({
+        success: false,
+        message: 'Doctor ID and consultation type are required'
+      });
+    }
+
+    const patient = await loadPatient(req, res);
+    if (!patient) return;
+
+    const doctor = await Doctor.findById(doctorId);
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor not found'
+      });
+    }
+
+    if (!doctor.consultationTypes.includes(consultationType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Doctor does not offer ${consultationType} consultations`
+      });
+    }
+
+    const date = appointmentDate ? parseDateTime(appointmentDate) : new Date();
+    if (isNaN(date.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid appointment date'
+      });
+    }
+
+    const fee = doctor.consultationFee[consultationType === 'in-person' ? 'inPerson' : consultationType];
+    const estimate = await insuranceService.estimate({
+      patient,
+      policyId: policyId || null,
+      doctor,
+      consultationType,
+      fee,
+      date
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        consultationFee: fee,
+        ...estimate
+      }
+    });
+  } catch (error) {
+    console.error('Estimate coverage error:', error);
+    sendError(res, error, 'Error estimating coverage');
+  }
+};
+
+// ==================== DOCTORS ====================
+
+// @desc    Insurers I accept
+// @route   GET /api/insurance/doctor/accepted
+// @access  Private (Doctor only)
+exports.getAcceptedInsurers = async (req, res) => {
+  try {
+    const doctor = await loadDoctor(req, res);
+    if (!doctor) return;
+
+    await doctor.populate('acceptedInsurers', 'name code isActive');
+
+    res.status(200).json({
+      success: true,
+      data: doctor.acceptedInsurers
+    });
+  } catch (error) {
+    console.error('Get accepted insurers error:', error);
+    sendError(res, error, 'Error fetching accepted insurers');
+  }
+};
+
+// @desc    Replace the list of insurers I accept
+// @route   PUT /api/insurance/doctor/accepted
+// @access  Private (Doctor only)
+exports.setAcceptedInsurers = async (req, res) => {
+  try {
+    const doctor = await loadDoctor(req, res);
+    if (!doctor) return;
+
+    await insuranceService.setAcceptedInsurers(doctor, req.body.insurerIds);
+
+    res.status(200).json({
+      success: true,
+      message: 'Accepted insurers updated',
+      data: doctor.acceptedInsurers
+    });
+  } catch (error) {
+    console.error('Set accepted insurers error:', error);
+    sendError(res, error, 'Error updating accepted insurers');
+  }
+};
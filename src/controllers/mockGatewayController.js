@@ -0,0 +1,131 @@
+const { getGateway } = require('../services/gateways');
+
+const ACTIONS = {
+  approve: 'Payment approved',
+  decline: 'Payment declined',
+  abandon: 'Checkout abandoned'
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatAmount = (transaction) =>
+  `${transaction.currency} ${(transaction.amount / 100).toLocaleString('en-US', { minimumFractionDigits: 2 })}`;
+
+// Where the customer goes next - Paystack appends the reference to the callback URL
+const returnUrl = (transaction) => {
+  if (!transaction.callbackUrl) return process.env.CLIENT_URL || null;
+  const url = new URL(transaction.callbackUrl);
+  url.searchParams.set('trxref', transaction.reference);
+  url.searchParams.set('reference', transaction.reference);
+  return url.toString();
+};
+
+const renderPage = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} - HealthHub mock gateway</title>
+<style>
+  body { font-family: sans-serif; background: #f4f6f8; margin: 0; padding: 40px 16px; }
+  main { max-width: 420px; margin: 0 auto; background: #fff; border-radius: 8px; padding: 24px; box-shadow: 0 1px 4px rgba(0,0,0,.1); }
+  h1 { font-size: 20px; margin-top: 0; }
+  dl { display: grid; grid-template-columns: auto 1fr; gap: 6px 12px; font-size: 14px; }
+  dt { color: #666; }
+  dd { margin: 0; word-break: break-all; }
+  form { display: inline; }
+  button { font-size: 15px; padding: 10px 16px; margin: 12px 8px 0 0; border: 0; border-radius: 4px; cursor: pointer; color: #fff; }
+  .approve { background: #1a7f37; } .decline { background: #cf222e; } .abandon { background: #6e7781; }
+  .note { font-size: 12px; color: #666; margin-top: 20px; }
+</style>
+</head>
+<body><main>${body}</main></body>
+</html>`;
+
+const sendOutcome = (req, res, statusCode, message, transaction = null) => {
+  if (req.accepts(['html', 'json']) === 'json') {
+    return res.status(statusCode).json({
+      success: statusCode < 400,
+      message,
+      ...(transaction && { data: { reference: transaction.reference, status: transaction.status } })
+    });
+  }
+
+  const link = transaction && returnUrl(transaction);
+  res.status(statusCode).type('html').send(renderPage(message, `
+    <h1>${escapeHtml(message)}</h1>
+    ${transaction ? `<p>Reference: ${escapeHtml(transaction.reference)}</p>` : ''}
+    ${link ? `<p><a href="${escapeHtml(link)}">Return to HealthHub</a></p>` : ''}`));
+};
+
+// @desc    Mock checkout page with approve, decline and abandon buttons
+// @route   GET /mock-gateway/checkout/:reference
+// @access  Public (development only)
+exports.getCheckoutPage = async (req, res) => {
+  try {
+    const transaction = getGateway('paystack').getCheckout(req.params.reference);
+
+    if (!transaction) {
+      return sendOutcome(req, res, 404, 'Checkout not found');
+    }
+
+    // An abandoned checkout stays open, as on Paystack, so the page can be reopened and paid
+    if (!['ongoing', 'abandoned'].includes(transaction.status)) {
+      return sendOutcome(req, res, 409, `This checkout is already ${transaction.status}`, transaction);
+    }
+
+    const action = (name, label) => `
+      <form method="post" action="/mock-gateway/checkout/${encodeURIComponent(transaction.reference)}/${name}">
+        <button type="submit" class="${name}">${label}</button>
+      </form>`;
+
+    res.status(200).type('html').send(renderPage('Checkout', `
+      <h1>Pay ${escapeHtml(formatAmount(transaction))}</h1>
+      <dl>
+        <dt>Email</dt><dd>${escapeHtml(transaction.email)}</dd>
+        <dt>Reference</dt><dd>${escapeHtml(transaction.reference)}</dd>
+      </dl>
+      ${action('approve', 'Approve')}${action('decline', 'Decline')}${action('abandon', 'Abandon')}
+      <p class="note">Mock gateway - no money moves. Approve and decline send a signed webhook to the API;
+      abandoned checkouts stay open until payment reconciliation expires them.</p>`));
+  } catch (error) {
+    console.error('Mock checkout page error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error loading mock checkout',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Approve, decline or abandon a mock checkout
+// @route   POST /mock-gateway/checkout/:reference/:action
+// @access  Public (development only)
+exports.completeCheckout = async (req, res) => {
+  try {
+    const { reference, action } = req.params;
+
+    if (!ACTIONS[action]) {
+      return sendOutcome(req, res, 400, 'Action must be approve, decline or abandon');
+    }
+
+    const transaction = await getGateway('paystack').completeCheckout(reference, action);
+
+    sendOutcome(req, res, 200, ACTIONS[action], transaction);
+  } catch (error) {
+    if (error.statusCode) {
+      return sendOutcome(req, res, error.statusCode, error.message);
+    }
+
+    console.error('Mock checkout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error completing mock checkout',
+      error: error.message
+    });
+  }
+};
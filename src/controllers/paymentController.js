@@ -2,23 +2,68 @@ const Payment = require('../models/Payment');
 const Appointment = require('../models/Appointment');
 const Patient = require('../models/Patient');
 const Doctor = require('../models/Doctor');
-const crypto = require('crypto');
-const https = require('https');
+const bookingService = require('../services/bookingService');
+const refundService = require('../services/refundService');
+const paymentService = require('../services/paymentService');
+const receiptService = require('../services/receiptService');
+const insuranceService = require('../services/insuranceService');
+
+const sendPdf = (res, buffer, filename) => {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Content-Length': buffer.length,
+    'Cache-Control': 'no-store'
+  });
+  res.status(200).send(buffer);
+};
 
 // @desc    Initialize payment
 // @route   POST /api/payments/initialize
 // @access  Private (Patient only)
 exports.initializePayment = async (req, res) => {
   try {
-    const { appointmentId } = req.body;
+    const { holdId } = req.body;
+    let { appointmentId } = req.body;
 
-    if (!appointmentId) {
+    if (!appointmentId && !holdId) {
       return res.status(400).json({
         success: false,
-        message: 'Appointment ID is required'
+        message: 'Appointment ID or slot hold ID is required'
       });
     }
 
+    // Checkout from a slot hold: the hold becomes the appointment being paid for
+    let hold = null;
+    let heldAppointment = null;
+    if (!appointmentId) {
+      const holdPatient = await Patient.findOne({ userId: req.user._id });
+      if (!holdPatient) {
+        return res.status(404).json({
+          success: false,
+          message: 'Patient profile not found'
+        });
+      }
+
+      hold = await bookingService.getActiveHold(holdId, holdPatient);
+
+      // Check the policy before the slot is taken, so a rejected policy leaves the hold usable
+      let insurance = null;
+      if (req.body.insurancePolicyId) {
+        insurance = await insuranceService.estimate({
+          patient: holdPatient,
+          policyId: req.body.insurancePolicyId,
+          doctor: await Doctor.findById(hold.doctorId),
+          consultationType: hold.consultationType,
+          fee: hold.consultationFee,
+          date: hold.startTime
+        });
+      }
+
+      heldAppointment = await bookingService.convertHold(hold, { insurance });
+      appointmentId = heldAppointment._id.toString();
+    }
+
     // Get appointment
     const appointment = await Appointment.findById(appointmentId)
       .populate('patientId')
@@ -51,178 +96,111 @@ exports.initializePayment = async (req, res) => {
       }
     }
 
-    // Generate unique reference
-    const reference = `HLTH_${Date.now()}_${appointmentId}`;
-
-    // Create payment record
-    const payment = await Payment.create({
-      appointmentId: appointment._id,
-      patientId: appointment.patientId._id,
-      doctorId: appointment.doctorId._id,
-      amount: appointment.consultationFee,
-      currency: 'NGN',
-      paymentMethod: 'paystack',
-      paymentGateway: 'paystack',
-      transactionReference: reference,
-      status: 'pending'
-    });
-
-    // Update appointment with payment ID
-    appointment.paymentId = payment._id;
-    await appointment.save();
-
-    // For development: Return mock payment URL
-    if (process.env.NODE_ENV === 'development' && !process.env.PAYSTACK_SECRET_KEY) {
-      return res.status(200).json({
-        success: true,
-        message: 'Payment initialized (DEV MODE - No Paystack)',
-        data: {
-          paymentId: payment._id,
-          reference: reference,
-          authorizationUrl: `http://localhost:3000/mock-payment/${reference}`,
-          accessCode: 'DEV_ACCESS_CODE',
-          devMode: true
-        }
+    let checkout;
+    try {
+      checkout = await paymentService.initializePayment(appointment, patient, req.user, {
+        currency: req.body.currency,
+        useWallet: req.body.useWallet === true,
+        promoCode: req.body.promoCode || null
       });
+    } catch (error) {
+      // Checkout never started: hand the slot back to the hold so a retry can use it
+      if (heldAppointment) {
+        await bookingService.revertConversion(heldAppointment, hold);
+      }
+      throw error;
     }
 
-    // Initialize Paystack payment
-    const paystackData = JSON.stringify({
-      email: req.user.email,
-      amount: appointment.consultationFee * 100, // Convert to kobo
-      reference: reference,
-      callback_url: `${process.env.CLIENT_URL}/appointments/${appointmentId}/payment-success`,
-      metadata: {
-        appointmentId: appointmentId,
-        patientId: patient._id.toString(),
-        doctorId: appointment.doctorId._id.toString()
+    let message = 'Payment initialized successfully';
+    if (checkout.settled) {
+      if (checkout.payment.paymentGateway === 'wallet') {
+        message = 'Payment completed from wallet balance';
+      } else if (checkout.payment.promo?.code) {
+        message = 'Appointment fully covered by promo code';
+      } else if (appointment.insurance?.policyId) {
+        message = 'Appointment fully covered by insurance';
+      } else {
+        message = 'No payment is needed for this appointment';
       }
-    });
+    }
 
-    const options = {
-      hostname: 'api.paystack.co',
-      port: 443,
-      path: '/transaction/initialize',
-      method: 'POST',
-      headers: {
-        Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(paystackData)
+    res.status(200).json({
+      success: true,
+      message,
+      data: {
+        appointmentId: appointment._id,
+        paymentId: checkout.payment._id,
+        reference: checkout.payment.transactionReference,
+        gateway: checkout.payment.paymentGateway,
+        amount: checkout.payment.amount,
+        ...(checkout.payment.promo?.code && {
+          originalAmount: checkout.payment.promo.originalAmount,
+          promoCode: checkout.payment.promo.code,
+          discountAmount: checkout.payment.promo.discountAmount
+        }),
+        walletAmount: checkout.payment.walletAmount,
+        amountDue: checkout.payment.gatewayAmount,
+        currency: checkout.payment.currency,
+        status: checkout.payment.status,
+        authorizationUrl: checkout.authorizationUrl,
+        accessCode: checkout.accessCode
       }
-    };
-
-    const paystackRequest = https.request(options, (paystackRes) => {
-      let data = '';
-
-      paystackRes.on('data', (chunk) => {
-        data += chunk;
-      });
-
-      paystackRes.on('end', async () => {
-        try {
-          const response = JSON.parse(data);
-
-          if (response.status) {
-            res.status(200).json({
-              success: true,
-              message: 'Payment initialized successfully',
-              data: {
-                paymentId: payment._id,
-                reference: reference,
-                authorizationUrl: response.data.authorization_url,
-                accessCode: response.data.access_code
-              }
-            });
-          } else {
-            await Payment.findByIdAndDelete(payment._id);
-            
-            res.status(400).json({
-              success: false,
-              message: 'Payment initialization failed',
-              error: response.message
-            });
-          }
-        } catch (error) {
-          console.error('Paystack response error:', error);
-          res.status(500).json({
-            success: false,
-            message: 'Error processing payment response',
-            error: error.message
-          });
-        }
-      });
-    });
-
-    paystackRequest.on('error', (error) => {
-      console.error('Paystack request error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Payment gateway error',
-        error: error.message
-      });
     });
-
-    paystackRequest.write(paystackData);
-    paystackRequest.end();
-
   } catch (error) {
     console.error('Initialize payment error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Error initializing payment',
-      error: error.message
+      message: error.statusCode ? error.message : 'Error initializing payment',
+      ...(!error.statusCode && { error: error.message })
     });
   }
 };
 
-// @desc    Verify payment (Webhook)
-// @route   POST /api/payments/webhook
-// @access  Public (Paystack only)
-exports.paystackWebhook = async (req, res) => {
+// @desc    Refund a payment (full or partial)
+// @route   POST /api/payments/:id/refund
+// @access  Private (Admin only)
+exports.refundPayment = async (req, res) => {
   try {
-    const hash = crypto
-      .createHmac('sha512', process.env.PAYSTACK_SECRET_KEY || 'test')
-      .update(JSON.stringify(req.body))
-      .digest('hex');
+    const { amount, reason, toWallet } = req.body;
 
-    if (hash !== req.headers['x-paystack-signature']) {
-      return res.status(401).json({
+    if (!reason) {
+      return res.status(400).json({
         success: false,
-        message: 'Invalid signature'
+        message: 'Refund reason is required'
       });
     }
 
-    const event = req.body;
-
-    if (event.event === 'charge.success') {
-      const { reference } = event.data;
+    const payment = await Payment.findById(req.params.id);
 
-      const payment = await Payment.findOne({ transactionReference: reference });
-
-      if (!payment) {
-        console.error('Payment not found:', reference);
-        return res.status(404).send();
-      }
-
-      await payment.markSuccessful(event.data);
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
 
-      const appointment = await Appointment.findById(payment.appointmentId);
-      if (appointment && appointment.status === 'pending') {
-        await appointment.confirm(appointment.patientId);
-      }
+    const { refunds, status } = await refundService.refund(payment, {
+      amount,
+      reason,
+      initiatedBy: req.user._id,
+      toWallet: toWallet === true
+    });
 
-      const doctor = await Doctor.findById(payment.doctorId);
-      if (doctor) {
-        await doctor.addEarnings(payment.doctorEarnings);
+    res.status(status === 'processed' ? 200 : 202).json({
+      success: true,
+      message: status === 'processed' ? 'Refund processed' : 'Refund initiated',
+      data: {
+        refunds,
+        payment
       }
-
-      console.log('Payment successful:', reference);
-    }
-
-    res.status(200).send();
+    });
   } catch (error) {
-    console.error('Webhook error:', error);
-    res.status(500).send();
+    console.error('Refund payment error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error refunding payment',
+      ...(!error.statusCode && { error: error.message })
+    });
   }
 };
 
@@ -233,7 +211,7 @@ exports.verifyPayment = async (req, res) => {
   try {
     const { reference } = req.params;
 
-    const payment = await Payment.findOne({ transactionReference: reference });
+    const payment = await Payment.findByReference(reference);
 
     if (!payment) {
       return res.status(404).json({
@@ -242,16 +220,19 @@ exports.verifyPayment = async (req, res) => {
       });
     }
 
+    // Pending payments are checked with the gateway in case the webhook hasn't arrived
+    await paymentService.verifyPayment(payment);
+
     res.status(200).json({
       success: true,
       data: payment
     });
   } catch (error) {
     console.error('Verify payment error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Error verifying payment',
-      error: error.message
+      message: error.statusCode ? error.message : 'Error verifying payment',
+      ...(!error.statusCode && { error: error.message })
     });
   }
 };
@@ -287,6 +268,96 @@ exports.getPayment = async (req, res) => {
   }
 };
 
+// @desc    Download a payment receipt (patient) or invoice (doctor) as PDF
+// @route   GET /api/payments/:id/receipt
+// @access  Private (Patient/Doctor/Admin)
+exports.getPaymentReceipt = async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id)
+      .populate('appointmentId', 'appointmentDate timezone duration consultationType')
+      .populate('patientId', 'firstName lastName')
+      .populate('doctorId', 'firstName lastName specialties licenseNumber clinicAddress');
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    if (req.user.role !== 'admin') {
+      const profile = req.user.role === 'doctor'
+        ? await Doctor.findOne({ userId: req.user._id })
+        : await Patient.findOne({ userId: req.user._id });
+
+      const owner = req.user.role === 'doctor' ? payment.doctorId : payment.patientId;
+
+      if (!profile || !owner || owner._id.toString() !== profile._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to access this payment'
+        });
+      }
+    }
+
+    const pdf = receiptService.buildPaymentReceipt(payment, req.user.role);
+    const prefix = req.user.role === 'doctor' ? 'invoice' : 'receipt';
+
+    sendPdf(res, pdf, `${prefix}-${payment.transactionReference}.pdf`);
+  } catch (error) {
+    console.error('Get payment receipt error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error generating receipt',
+      ...(!error.statusCode && { error: error.message })
+    });
+  }
+};
+
+// @desc    Download a monthly earnings statement as PDF
+// @route   GET /api/payments/doctor/statements/:year/:month
+// @access  Private (Doctor only)
+exports.getDoctorStatement = async (req, res) => {
+  try {
+    const year = parseInt(req.params.year);
+    const month = parseInt(req.params.month);
+
+    if (!Number.isInteger(year) || year < 2000 || !Number.isInteger(month) || month < 1 || month > 12) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid year and month (1-12) are required'
+      });
+    }
+
+    if (Date.UTC(year, month - 1, 1) > Date.now()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Statements are not available for future months'
+      });
+    }
+
+    const doctor = await Doctor.findOne({ userId: req.user._id });
+
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor profile not found'
+      });
+    }
+
+    const pdf = await receiptService.buildDoctorStatement(doctor, year, month);
+
+    sendPdf(res, pdf, `statement-${year}-${String(month).padStart(2, '0')}.pdf`);
+  } catch (error) {
+    console.error('Get doctor statement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating statement',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Get my payments
 // @route   GET /api/payments/my/payments
 // @access  Private (Patient only)
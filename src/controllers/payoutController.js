@@ -0,0 +1,144 @@
+const Payout = require('../models/Payout');
+const Doctor = require('../models/Doctor');
+const payoutService = require('../services/payoutService');
+
+// @desc    Get my payout history
+// @route   GET /api/payments/doctor/payouts
+// @access  Private (Doctor only)
+exports.getMyPayouts = async (req, res) => {
+  try {
+    const doctor = await Doctor.findOne({ userId: req.user._id });
+
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor profile not found'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const payouts = await Payout.getForDoctor(doctor._id, limit, skip);
+    const total = await Payout.countDocuments({ doctorId: doctor._id });
+
+    res.status(200).json({
+      success: true,
+      data: payouts,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get my payouts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching payouts',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get all payouts
+// @route   GET /api/payments/admin/payouts
+// @access  Private (Admin only)
+exports.getAllPayouts = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filters = {};
+    if (req.query.status) filters.status = req.query.status;
+    if (req.query.doctorId) filters.doctorId = req.query.doctorId;
+
+    const payouts = await Payout.find(filters)
+      .populate('doctorId', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Payout.countDocuments(filters);
+
+    res.status(200).json({
+      success: true,
+      data: payouts,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get payouts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching payouts',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a payout with its payments
+// @route   GET /api/payments/payouts/:id
+// @access  Private (Doctor/Admin)
+exports.getPayout = async (req, res) => {
+  try {
+    const payout = await Payout.findById(req.params.id)
+      .populate('doctorId', 'firstName lastName userId')
+      .populate('payments', 'amount currency doctorEarnings exchangeRate appointmentId createdAt');
+
+    if (!payout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout not found'
+      });
+    }
+
+    if (req.user.role !== 'admin' && payout.doctorId.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this payout'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: payout
+    });
+  } catch (error) {
+    console.error('Get payout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching payout',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Run doctor payouts now
+// @route   POST /api/payments/admin/payouts/run
+// @access  Private (Admin only)
+exports.runPayouts = async (req, res) => {
+  try {
+    const summary = await payoutService.runPayouts();
+
+    res.status(200).json({
+      success: true,
+      message: 'Payout run finished',
+      data: summary
+    });
+  } catch (error) {
+    console.error('Run payouts error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error running payouts',
+      ...(!error.statusCode && { error: error.message })
+    });
+  }
+};
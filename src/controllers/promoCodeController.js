@@ -0,0 +1,267 @@
+const PromoCode = require('../models/PromoCode');
+const Appointment = require('../models/Appointment');
+const Patient = require('../models/Patient');
+const promoService = require('../services/promoService');
+const paymentConfig = require('../config/payments');
+const { resolveCurrency } = require('../services/gateways');
+
+const ALLOWED_FIELDS = [
+  'code',
+  'description',
+  'discountType',
+  'discountValue',
+  'maxDiscountAmount',
+  'maxRedemptions',
+  'maxRedemptionsPerUser',
+  'startsAt',
+  'expiresAt',
+  'eligibility',
+  'isActive'
+];
+
+const pickAllowed = (body) => {
+  const data = {};
+  Object.keys(body).forEach(key => {
+    if (ALLOWED_FIELDS.includes(key)) {
+      data[key] = body[key];
+    }
+  });
+  return data;
+};
+
+const sendError = (res, error, message) => {
+  let statusCode = error.statusCode || (error.name === 'ValidationError' || error.name === 'CastError' ? 400 : 500);
+  let errorMessage = error.message;
+
+  if (error.code === 11000) {
+    statusCode = 409;
+    errorMessage = 'A promo code with this code already exists';
+  }
+
+  res.status(statusCode).json({
+    success: false,
+    message: statusCode === 500 ? message : errorMessage,
+    ...(statusCode === 500 && { error: error.message })
+  });
+};
+
+// @desc    List promo codes
+// @route   GET /api/promo-codes
+// @access  Private (Admin only)
+exports.getPromoCodes = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filters = {};
+    if (req.query.active !== undefined) filters.isActive = req.query.active === 'true';
+    if (req.query.search) filters.code = { $regex: req.query.search.replace(/[^A-Za-z0-9_-]/g, ''), $options: 'i' };
+
+    const promoCodes = await PromoCode.find(filters)
+      .sort({ isActive: -1, createdAt: -1 })
+      .limit(limit)
+      .skip(skip);
+
+    const total = await PromoCode.countDocuments(filters);
+
+    res.status(200).json({
+      success: true,
+      data: promoCodes,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get promo codes error:', error);
+    sendError(res, error, 'Error fetching promo codes');
+  }
+};
+
+// @desc    Get a promo code with its redemptions
+// @route   GET /api/promo-codes/:id
+// @access  Private (Admin only)
+exports.getPromoCode = async (req, res) => {
+  try {
+    const promoCode = await PromoCode.findById(req.params.id);
+
+    if (!promoCode) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const { payments, total, summary } = await promoService.getRedemptions(promoCode._id, { page, limit });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        promoCode,
+        summary,
+        redemptions: payments
+      },
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get promo code error:', error);
+    sendError(res, error, 'Error fetching promo code');
+  }
+};
+
+// @desc    Create promo code
+// @route   POST /api/promo-codes
+// @access  Private (Admin only)
+exports.createPromoCode = async (req, res) => {
+  try {
+    const promoCode = await PromoCode.create({
+      ...pickAllowed(req.body),
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Promo code created',
+      data: promoCode
+    });
+  } catch (error) {
+    console.error('Create promo code error:', error);
+    sendError(res, error, 'Error creating promo code');
+  }
+};
+
+// @desc    Update promo code (redeemed payments keep the discount they got)
+// @route   PUT /api/promo-codes/:id
+// @access  Private (Admin only)
+exports.updatePromoCode = async (req, res) => {
+  try {
+    const promoCode = await PromoCode.findById(req.params.id);
+
+    if (!promoCode) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    Object.assign(promoCode, pickAllowed(req.body));
+    await promoCode.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Promo code updated',
+      data: promoCode
+    });
+  } catch (error) {
+    console.error('Update promo code error:', error);
+    sendError(res, error, 'Error updating promo code');
+  }
+};
+
+// @desc    Deactivate promo code (kept for payment history)
+// @route   DELETE /api/promo-codes/:id
+// @access  Private (Admin only)
+exports.deactivatePromoCode = async (req, res) => {
+  try {
+    const promoCode = await PromoCode.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!promoCode) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Promo code deactivated',
+      data: promoCode
+    });
+  } catch (error) {
+    console.error('Deactivate promo code error:', error);
+    sendError(res, error, 'Error deactivating promo code');
+  }
+};
+
+// @desc    Preview a promo code against an appointment before paying
+// @route   POST /api/promo-codes/validate
+// @access  Private (Patient only)
+exports.validatePromoCode = async (req, res) => {
+  try {
+    const { code, appointmentId, currency: requestedCurrency } = req.body;
+
+    if (!code || !appointmentId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Promo code and appointment ID are required'
+      });
+    }
+
+    const patient = await Patient.findOne({ userId: req.user._id });
+    const appointment = await Appointment.findById(appointmentId);
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    if (!patient || appointment.patientId.toString() !== patient._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    const currency = resolveCurrency(requestedCurrency, patient.address?.country);
+    const exchangeRate = paymentConfig.exchangeRates[currency];
+
+    if (!exchangeRate) {
+      return res.status(400).json({
+        success: false,
+        message: `No exchange rate configured for ${currency}`
+      });
+    }
+
+    const amount = Math.round(appointment.consultationFee / exchangeRate * 100) / 100;
+    const { promo, discountAmount } = await promoService.evaluate(code, {
+      appointment,
+      patientId: patient._id,
+      amount,
+      exchangeRate
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        code: promo.code,
+        description: promo.description,
+        discountType: promo.discountType,
+        discountValue: promo.discountValue,
+        currency,
+        originalAmount: amount,
+        discountAmount,
+        amount: Math.round((amount - discountAmount) * 100) / 100
+      }
+    });
+  } catch (error) {
+    console.error('Validate promo code error:', error);
+    sendError(res, error, 'Error validating promo code');
+  }
+};
@@ -0,0 +1,166 @@
+const ReconciliationReport = require('../models/ReconciliationReport');
+const reconciliationService = require('../services/reconciliationService');
+
+// @desc    List reconciliation reports
+// @route   GET /api/payments/admin/reconciliation/reports
+// @access  Private (Admin only)
+exports.getReports = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 30;
+    const skip = (page - 1) * limit;
+
+    const filters = {};
+    if (req.query.open === 'true') {
+      filters['discrepancies.resolved'] = false;
+    }
+
+    const reports = await ReconciliationReport.find(filters)
+      .select('-discrepancies')
+      .sort({ reportDate: -1 })
+      .limit(limit)
+      .skip(skip);
+
+    const total = await ReconciliationReport.countDocuments(filters);
+
+    res.status(200).json({
+      success: true,
+      data: reports,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get reconciliation reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reconciliation reports',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a reconciliation report with its discrepancies
+// @route   GET /api/payments/admin/reconciliation/reports/:id
+// @access  Private (Admin only)
+exports.getReport = async (req, res) => {
+  try {
+    const report = await ReconciliationReport.findById(req.params.id)
+      .populate('discrepancies.resolvedBy', 'email');
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reconciliation report not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Get reconciliation report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reconciliation report',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Generate (or rebuild) the report for a day
+// @route   POST /api/payments/admin/reconciliation/reports
+// @access  Private (Admin only)
+exports.generateReport = async (req, res) => {
+  try {
+    const { date, force } = req.body;
+
+    const report = await reconciliationService.generateReport(date, { force: force === true });
+
+    res.status(201).json({
+      success: true,
+      message: 'Reconciliation report generated',
+      data: report
+    });
+  } catch (error) {
+    console.error('Generate reconciliation report error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error generating reconciliation report',
+      ...(!error.statusCode && { error: error.message })
+    });
+  }
+};
+
+// @desc    Mark a discrepancy as resolved
+// @route   PUT /api/payments/admin/reconciliation/reports/:id/discrepancies/:discrepancyId/resolve
+// @access  Private (Admin only)
+exports.resolveDiscrepancy = async (req, res) => {
+  try {
+    const { note } = req.body;
+
+    if (!note) {
+      return res.status(400).json({
+        success: false,
+        message: 'A resolution note is required'
+      });
+    }
+
+    const report = await ReconciliationReport.findById(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reconciliation report not found'
+      });
+    }
+
+    const discrepancy = await report.resolveDiscrepancy(req.params.discrepancyId, req.user._id, note);
+
+    if (!discrepancy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Discrepancy not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Discrepancy resolved',
+      data: discrepancy
+    });
+  } catch (error) {
+    console.error('Resolve discrepancy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resolving discrepancy',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Check stale pending payments against the gateway now
+// @route   POST /api/payments/admin/reconciliation/run
+// @access  Private (Admin only)
+exports.runReconciliation = async (req, res) => {
+  try {
+    const summary = await reconciliationService.reconcilePending();
+
+    res.status(200).json({
+      success: true,
+      message: 'Pending payments reconciled',
+      data: summary
+    });
+  } catch (error) {
+    console.error('Run reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reconciling payments',
+      error: error.message
+    });
+  }
+};
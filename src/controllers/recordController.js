@@ -0,0 +1,180 @@
+const RecordConsent = require('../models/RecordConsent');
+const Doctor = require('../models/Doctor');
+const Patient = require('../models/Patient');
+const fhirService = require('../services/fhirService');
+const recordConsentService = require('../services/recordConsentService');
+
+const sendError = (res, error, message) => {
+  let statusCode = error.statusCode || 500;
+  if (error.name === 'ValidationError' || error.name === 'CastError') statusCode = 400;
+
+  res.status(statusCode).json({
+    success: false,
+    message: statusCode === 500 ? message : error.message,
+    ...(statusCode === 500 && { error: error.message })
+  });
+};
+
+const sendBundle = (res, bundle, patient) => {
+  const filename = `health-record-${patient.lastName.toLowerCase()}-${new Date().toISOString().slice(0, 10)}.json`;
+
+  res.set({
+    'Content-Type': 'application/fhir+json; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Cache-Control': 'no-store'
+  });
+
+  res.status(200).send(JSON.stringify(bundle, null, 2));
+};
+
+// @desc    Download my clinical record as a FHIR R4 Bundle
+// @route   GET /api/records/fhir
+// @access  Private (Patient only)
+exports.exportMyRecord = async (req, res) => {
+  try {
+    const patient = await Patient.findOne({ userId: req.user._id });
+
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient profile not found'
+      });
+    }
+
+    const bundle = await fhirService.exportPatient(patient);
+    sendBundle(res, bundle, patient);
+  } catch (error) {
+    console.error('Export my record error:', error);
+    sendError(res, error, 'Error exporting health record');
+  }
+};
+
+// @desc    Download a patient's clinical record as a FHIR R4 Bundle (needs their consent)
+// @route   GET /api/records/patients/:patientId/fhir
+// @access  Private (Doctor only)
+exports.exportPatientRecord = async (req, res) => {
+  try {
+    const doctor = await Doctor.findOne({ userId: req.user._id });
+
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor profile not found'
+      });
+    }
+
+    const patient = await recordConsentService.authorizeExport(doctor, req.params.patientId);
+    const bundle = await fhirService.exportPatient(patient);
+    sendBundle(res, bundle, patient);
+  } catch (error) {
+    console.error('Export patient record error:', error);
+    sendError(res, error, 'Error exporting health record');
+  }
+};
+
+// @desc    Record consents I gave (patient) or asked for (doctor)
+// @route   GET /api/records/consents
+// @access  Private (Patient, Doctor)
+exports.getConsents = async (req, res) => {
+  try {
+    const isDoctor = req.user.role === 'doctor';
+    const profile = isDoctor
+      ? await Doctor.findOne({ userId: req.user._id })
+      : await Patient.findOne({ userId: req.user._id });
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: `${isDoctor ? 'Doctor' : 'Patient'} profile not found`
+      });
+    }
+
+    const query = isDoctor ? { doctorId: profile._id } : { patientId: profile._id };
+    if (req.query.status) query.status = req.query.status;
+
+    const consents = await RecordConsent.find(query)
+      .populate(isDoctor ? 'patientId' : 'doctorId', 'firstName lastName')
+      .sort({ requestedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: consents.length,
+      data: consents
+    });
+  } catch (error) {
+    console.error('Get record consents error:', error);
+    sendError(res, error, 'Error fetching record consents');
+  }
+};
+
+// @desc    Ask a patient for consent to export their record
+// @route   POST /api/records/consents
+// @access  Private (Doctor only)
+exports.requestConsent = async (req, res) => {
+  try {
+    const { patientId, purpose } = req.body;
+
+    if (!patientId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Patient ID is required'
+      });
+    }
+
+    const doctor = await Doctor.findOne({ userId: req.user._id });
+
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor profile not found'
+      });
+    }
+
+    const consent = await recordConsentService.requestConsent(doctor, patientId, purpose);
+
+    res.status(201).json({
+      success: true,
+      message: 'Consent requested',
+      data: consent
+    });
+  } catch (error) {
+    console.error('Request record consent error:', error);
+    sendError(res, error, 'Error requesting consent');
+  }
+};
+
+// @desc    Grant, decline or revoke a doctor's access to my record
+// @route   PUT /api/records/consents/:id
+// @access  Private (Patient only)
+exports.updateConsent = async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    if (!['granted', 'declined', 'revoked'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be granted, declined or revoked'
+      });
+    }
+
+    const patient = await Patient.findOne({ userId: req.user._id });
+
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient profile not found'
+      });
+    }
+
+    const consent = await recordConsentService.respond(patient, req.params.id, status);
+
+    res.status(200).json({
+      success: true,
+      message: `Consent ${consent.status}`,
+      data: consent
+    });
+  } catch (error) {
+    console.error('Update record consent error:', error);
+    sendError(res, error, 'Error updating consent');
+  }
+};
@@ -0,0 +1,146 @@
+const Patient = require('../models/Patient');
+const walletService = require('../services/walletService');
+const paymentService = require('../services/paymentService');
+
+// @desc    Get my wallet balance
+// @route   GET /api/wallet
+// @access  Private (Patient only)
+exports.getMyWallet = async (req, res) => {
+  try {
+    const patient = await Patient.findOne({ userId: req.user._id });
+
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient profile not found'
+      });
+    }
+
+    const wallet = await walletService.getWallet(patient._id);
+
+    res.status(200).json({
+      success: true,
+      data: wallet
+    });
+  } catch (error) {
+    console.error('Get wallet error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching wallet',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get my wallet transaction history
+// @route   GET /api/wallet/transactions
+// @access  Private (Patient only)
+exports.getMyTransactions = async (req, res) => {
+  try {
+    const patient = await Patient.findOne({ userId: req.user._id });
+
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient profile not found'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const { transactions, total } = await walletService.getTransactions(patient._id, {
+      page,
+      limit,
+      type: req.query.type,
+      source: req.query.source
+    });
+
+    res.status(200).json({
+      success: true,
+      data: transactions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get wallet transactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching wallet transactions',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Top up my wallet through the payment gateway
+// @route   POST /api/wallet/top-up
+// @access  Private (Patient only)
+exports.topUp = async (req, res) => {
+  try {
+    const patient = await Patient.findOne({ userId: req.user._id });
+
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient profile not found'
+      });
+    }
+
+    const checkout = await paymentService.initializeTopUp(patient, req.user, req.body.amount);
+
+    res.status(200).json({
+      success: true,
+      message: 'Top-up initialized successfully',
+      data: {
+        paymentId: checkout.payment._id,
+        reference: checkout.payment.transactionReference,
+        gateway: checkout.payment.paymentGateway,
+        amount: checkout.payment.amount,
+        currency: checkout.payment.currency,
+        authorizationUrl: checkout.authorizationUrl,
+        accessCode: checkout.accessCode
+      }
+    });
+  } catch (error) {
+    console.error('Wallet top-up error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error initializing top-up',
+      ...(!error.statusCode && { error: error.message })
+    });
+  }
+};
+
+// @desc    Check a patient's wallet balance against its ledger and payments
+// @route   GET /api/wallet/admin/:patientId/reconcile
+// @access  Private (Admin only)
+exports.reconcileWallet = async (req, res) => {
+  try {
+    const patient = await Patient.findById(req.params.patientId);
+
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+
+    const report = await walletService.reconcile(patient._id);
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Reconcile wallet error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reconciling wallet',
+      error: error.message
+    });
+  }
+};
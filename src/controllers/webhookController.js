@@ -0,0 +1,118 @@
+const WebhookEvent = require('../models/WebhookEvent');
+const webhookService = require('../services/webhookService');
+
+// @desc    Payment gateway webhook (Paystack or Stripe)
+// @route   POST /api/payments/webhook
+// @route   POST /api/payments/webhook/:gateway
+// @access  Public (Payment gateways only)
+exports.handleWebhook = async (req, res) => {
+  try {
+    // Processing failures are logged and retried by us, so the gateway still gets a 200
+    await webhookService.receive(req.params.gateway || 'paystack', req);
+    res.status(200).send();
+  } catch (error) {
+    console.error('Webhook error:', error.message);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).send();
+  }
+};
+
+// @desc    List received webhook events
+// @route   GET /api/payments/admin/webhook-events
+// @access  Private (Admin only)
+exports.getWebhookEvents = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filters = {};
+    if (req.query.status) filters.status = req.query.status;
+    if (req.query.gateway) filters.gateway = req.query.gateway;
+    if (req.query.type) filters.normalizedType = req.query.type;
+    if (req.query.reference) filters.reference = req.query.reference;
+
+    const events = await WebhookEvent.find(filters)
+      .select('-payload')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await WebhookEvent.countDocuments(filters);
+
+    res.status(200).json({
+      success: true,
+      data: events,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get webhook events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching webhook events',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a webhook event with its payload
+// @route   GET /api/payments/admin/webhook-events/:id
+// @access  Private (Admin only)
+exports.getWebhookEvent = async (req, res) => {
+  try {
+    const event = await WebhookEvent.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook event not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: event
+    });
+  } catch (error) {
+    console.error('Get webhook event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching webhook event',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Retry a failed webhook event now
+// @route   POST /api/payments/admin/webhook-events/:id/retry
+// @access  Private (Admin only)
+exports.retryWebhookEvent = async (req, res) => {
+  try {
+    const event = await webhookService.retry(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: event.status === 'failed' ? 'Retry failed' : 'Webhook event processed',
+      data: event
+    });
+  } catch (error) {
+    console.error('Retry webhook event error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error retrying webhook event',
+      ...(!error.statusCode && { error: error.message })
+    });
+  }
+};
@@ -0,0 +1,108 @@
+const Appointment = require('../models/Appointment');
+const Patient = require('../models/Patient');
+const Doctor = require('../models/Doctor');
+const Notification = require('../models/Notification');
+const cancellationService = require('../services/cancellationService');
+const appointmentConfig = require('../config/appointments');
+const { formatDisplayTime } = require('../utils/timezone');
+
+const notifyBoth = async (appointment, buildNotification) => {
+  const patient = await Patient.findById(appointment.patientId).populate('userId');
+  const doctor = await Doctor.findById(appointment.doctorId).populate('userId');
+  if (!patient || !doctor) return;
+
+  for (const recipient of ['patient', 'doctor']) {
+    const user = recipient === 'patient' ? patient.userId : doctor.userId;
+    const when = formatDisplayTime(appointment.appointmentDate, user.timezone || appointment.timezone);
+
+    await Notification.createAndSend({
+      userId: user._id,
+      relatedId: appointment._id,
+      relatedModel: 'Appointment',
+      channels: ['push', 'email', 'in-app'],
+      actionUrl: `/appointments/${appointment._id}`,
+      ...buildNotification({ recipient, patient, doctor, when })
+    });
+  }
+};
+
+// Pending appointments whose time has passed were never confirmed - release them
+const expireUnconfirmed = async () => {
+  const appointments = await Appointment.getStale('pending');
+  let expired = 0;
+
+  for (const appointment of appointments) {
+    try {
+      const claimed = await Appointment.claimExpiry(appointment._id);
+      if (!claimed) continue; // Confirmed, cancelled or expired by another run meanwhile
+      expired += 1;
+
+      // The doctor never confirmed, so anything paid goes back in full
+      await cancellationService.refundCancellation(claimed, 'system', null, { previousStatus: 'pending' });
+
+      await notifyBoth(claimed, ({ recipient, patient, doctor, when }) => ({
+        type: 'appointment_cancelled',
+        title: 'Appointment Expired',
+        message: recipient === 'patient'
+          ? `Your appointment with Dr. ${doctor.firstName} ${doctor.lastName} on ${when} expired because it was never confirmed`
+          : `The appointment with ${patient.firstName} ${patient.lastName} on ${when} expired because it was never confirmed`
+      }));
+    } catch (error) {
+      console.error(`Expiry error for appointment ${appointment._id}:`, error.message);
+    }
+  }
+
+  return expired;
+};
+
+// Confirmed appointments that never started - flag as no-show, doctor can dispute
+const flagNoShows = async () => {
+  const { noShowGraceMinutes, noShowDisputeHours } = appointmentConfig;
+  const appointments = await Appointment.getStale('confirmed', noShowGraceMinutes);
+  let flagged = 0;
+
+  for (const appointment of appointments) {
+    try {
+      const claimed = await Appointment.claimNoShow(appointment._id, noShowDisputeHours);
+      if (!claimed) continue; // Started or flagged by another run meanwhile
+      flagged += 1;
+
+      const patient = await Patient.findById(claimed.patientId);
+      if (patient) {
+        await patient.incrementNoShowCount();
+      }
+
+      await notifyBoth(claimed, ({ recipient, patient: apptPatient, doctor, when }) => ({
+        type: 'appointment_no_show',
+        title: 'Appointment Marked as No-Show',
+        priority: 'high',
+        message: recipient === 'patient'
+          ? `Your appointment with Dr. ${doctor.firstName} ${doctor.lastName} on ${when} was marked as a no-show`
+          : `The appointment with ${apptPatient.firstName} ${apptPatient.lastName} on ${when} was never started and was marked as a no-show. If it took place, dispute this within ${noShowDisputeHours} hours.`
+      }));
+    } catch (error) {
+      console.error(`No-show error for appointment ${appointment._id}:`, error.message);
+    }
+  }
+
+  return flagged;
+};
+
+/**
+ * Close out appointments that are past their end time but still pending or confirmed,
+ * so they stop occupying slots and lists. Patients' no-show counts are kept up to date.
+ */
+const sweepStaleAppointments = async () => {
+  const expired = await expireUnconfirmed();
+  const noShows = await flagNoShows();
+
+  if (expired > 0 || noShows > 0) {
+    console.log(`🧹 Appointment sweep: ${expired} expired, ${noShows} flagged as no-show`);
+  }
+};
+
+module.exports = {
+  name: 'appointment-sweeper',
+  intervalMs: appointmentConfig.sweepIntervalSeconds * 1000,
+  run: sweepStaleAppointments
+};
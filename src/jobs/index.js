@@ -0,0 +1,23 @@
+const Scheduler = require('./scheduler');
+const reminderJob = require('./reminderJob');
+const appointmentSweepJob = require('./appointmentSweepJob');
+const paymentDeadlineJob = require('./paymentDeadlineJob');
+const payoutJob = require('./payoutJob');
+const webhookRetryJob = require('./webhookRetryJob');
+const paymentReconciliationJob = require('./paymentReconciliationJob');
+const reconciliationReportJob = require('./reconciliationReportJob');
+
+const scheduler = new Scheduler();
+
+// Register background jobs
+[
+  reminderJob,
+  appointmentSweepJob,
+  paymentDeadlineJob,
+  payoutJob,
+  webhookRetryJob,
+  paymentReconciliationJob,
+  reconciliationReportJob
+].forEach(job => scheduler.register(job.name, job.intervalMs, job.run));
+
+module.exports = scheduler;
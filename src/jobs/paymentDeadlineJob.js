@@ -0,0 +1,84 @@
+const Appointment = require('../models/Appointment');
+const Patient = require('../models/Patient');
+const Doctor = require('../models/Doctor');
+const Notification = require('../models/Notification');
+const reconciliationService = require('../services/reconciliationService');
+const appointmentConfig = require('../config/appointments');
+const { formatDisplayTime } = require('../utils/timezone');
+
+// Unpaid bookings past their deadline - cancel them so the slot opens up again
+const expireUnpaid = async () => {
+  const appointments = await Appointment.getPaymentDue(new Date());
+  let released = 0;
+
+  for (const appointment of appointments) {
+    try {
+      const outcome = await reconciliationService.expireUnpaidAppointment(appointment);
+      if (outcome === 'released') released += 1;
+    } catch (error) {
+      console.error(`Payment deadline error for appointment ${appointment._id}:`, error.message);
+    }
+  }
+
+  return released;
+};
+
+// Unpaid bookings close to their deadline - warn the patient once
+const warnUnpaid = async () => {
+  const now = new Date();
+  const appointments = await Appointment.getPaymentDue(
+    new Date(now.getTime() + appointmentConfig.paymentWarningMinutes * 60000)
+  );
+  let warned = 0;
+
+  for (const appointment of appointments) {
+    if (appointment.paymentDueAt <= now || appointment.paymentWarningSentAt) continue;
+
+    const claimed = await Appointment.claimPaymentWarning(appointment._id);
+    if (!claimed) continue; // Another run got there first
+
+    try {
+      const patient = await Patient.findById(claimed.patientId).populate('userId');
+      const doctor = await Doctor.findById(claimed.doctorId);
+      if (!patient || !doctor) continue;
+
+      const timezone = patient.userId.timezone || claimed.timezone;
+
+      await Notification.createAndSend({
+        userId: patient.userId._id,
+        type: 'payment_reminder',
+        title: 'Payment Required',
+        message: `Your appointment with Dr. ${doctor.firstName} ${doctor.lastName} on ${formatDisplayTime(claimed.appointmentDate, timezone)} will be cancelled unless it is paid for by ${formatDisplayTime(claimed.paymentDueAt, timezone)}`,
+        priority: 'high',
+        relatedId: claimed._id,
+        relatedModel: 'Appointment',
+        channels: ['push', 'email', 'in-app'],
+        actionUrl: `/appointments/${claimed._id}`
+      });
+      warned += 1;
+    } catch (error) {
+      console.error(`Payment warning error for appointment ${appointment._id}:`, error.message);
+    }
+  }
+
+  return warned;
+};
+
+/**
+ * Enforce payment deadlines on pending bookings: warn patients shortly before the
+ * deadline, then cancel what is still unpaid and fail its pending payment.
+ */
+const enforcePaymentDeadlines = async () => {
+  const released = await expireUnpaid();
+  const warned = await warnUnpaid();
+
+  if (released > 0 || warned > 0) {
+    console.log(`⏳ Payment deadlines: ${released} unpaid booking(s) released, ${warned} patient(s) warned`);
+  }
+};
+
+module.exports = {
+  name: 'appointment-payment-deadlines',
+  intervalMs: appointmentConfig.paymentDeadlineIntervalSeconds * 1000,
+  run: enforcePaymentDeadlines
+};
@@ -0,0 +1,20 @@
+const reconciliationService = require('../services/reconciliationService');
+const paymentConfig = require('../config/payments');
+
+/**
+ * Settle pending payments whose webhook never arrived by asking the gateway,
+ * and release checkouts that were abandoned.
+ */
+const reconcilePendingPayments = async () => {
+  const { checked, confirmed, failed, abandoned, errors } = await reconciliationService.reconcilePending();
+
+  if (checked > 0) {
+    console.log(`🧾 Reconciled ${checked} pending payment(s): ${confirmed} confirmed, ${failed} failed, ${abandoned} abandoned, ${errors} error(s)`);
+  }
+};
+
+module.exports = {
+  name: 'payment-reconciliation',
+  intervalMs: paymentConfig.reconciliationIntervalMinutes * 60 * 1000,
+  run: reconcilePendingPayments
+};
@@ -0,0 +1,23 @@
+const payoutService = require('../services/payoutService');
+
+/**
+ * Scheduled doctor payout run. Each doctor's completed, non-refunded earnings
+ * go out as one transfer; transfer webhooks settle the result. Checks hourly and
+ * only runs once PAYOUT_INTERVAL_HOURS have passed since the last payout, so a
+ * restart neither skips a run nor pays out early.
+ */
+const runDoctorPayouts = async () => {
+  if (!(await payoutService.isRunDue())) return;
+
+  const { initiated, failed, skipped } = await payoutService.runPayouts();
+
+  if (initiated > 0 || failed > 0) {
+    console.log(`💸 Payout run: ${initiated} initiated, ${failed} failed, ${skipped} skipped`);
+  }
+};
+
+module.exports = {
+  name: 'doctor-payouts',
+  intervalMs: 60 * 60 * 1000,
+  run: runDoctorPayouts
+};
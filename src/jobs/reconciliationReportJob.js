@@ -0,0 +1,19 @@
+const reconciliationService = require('../services/reconciliationService');
+
+/**
+ * Build yesterday's discrepancy report once the day is over. Runs hourly and
+ * does nothing if the report already exists, so a restart never skips a day.
+ */
+const generateDailyReport = async () => {
+  const report = await reconciliationService.generateDailyReport();
+
+  if (report) {
+    console.log(`📊 Reconciliation report for ${report.reportDate}: ${report.discrepancies.length} discrepancy(ies)`);
+  }
+};
+
+module.exports = {
+  name: 'reconciliation-report',
+  intervalMs: 60 * 60 * 1000,
+  run: generateDailyReport
+};
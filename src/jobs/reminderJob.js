@@ -0,0 +1,52 @@
+const Appointment = require('../models/Appointment');
+const Notification = require('../models/Notification');
+const appointmentConfig = require('../config/appointments');
+
+/**
+ * Send appointment reminders to patient and doctor at each configured offset.
+ * Each reminder is claimed on the appointment before sending, so restarts
+ * (or a second instance) never send the same reminder twice.
+ */
+const sendDueReminders = async () => {
+  // Smallest offset first: a late booking gets the closest reminder, and the
+  // larger ones it has already passed are marked as covered
+  const offsets = [...appointmentConfig.reminderOffsets].sort((a, b) => a - b);
+  let sent = 0;
+
+  for (const offset of offsets) {
+    const appointments = await Appointment.getNeedingReminders(offset);
+    const coveredOffsets = offsets.filter(other => other > offset);
+
+    for (const appointment of appointments) {
+      const claimed = await Appointment.claimReminder(appointment._id, offset, coveredOffsets);
+      if (!claimed) continue; // Another run got there first
+
+      try {
+        await Notification.createAppointmentReminder(claimed, 'patient');
+        await Notification.createAppointmentReminder(claimed, 'doctor');
+        sent += 1;
+      } catch (error) {
+        console.error(`Reminder error for appointment ${appointment._id}:`, error.message);
+
+        // Only hand back what this claim added; offsets already sent before stay sent
+        const alreadySent = appointment.remindersSent || [];
+        await Appointment.releaseReminder(
+          appointment._id,
+          [offset, ...coveredOffsets].filter(claimedOffset => !alreadySent.includes(claimedOffset))
+        ).catch(releaseError => {
+          console.error(`Could not release reminder claim for appointment ${appointment._id}:`, releaseError.message);
+        });
+      }
+    }
+  }
+
+  if (sent > 0) {
+    console.log(`🔔 Sent ${sent} appointment reminder(s)`);
+  }
+};
+
+module.exports = {
+  name: 'appointment-reminders',
+  intervalMs: appointmentConfig.reminderPollSeconds * 1000,
+  run: sendDueReminders
+};
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+/**
+ * Minimal in-process interval scheduler for background jobs.
+ * - A job never overlaps with itself (a slow run delays the next one)
+ * - Runs are skipped while MongoDB is not connected
+ * - stop() waits for in-flight runs so shutdown doesn't cut a job in half
+ */
+class Scheduler {
+  constructor() {
+    this.jobs = new Map();
+    this.started = false;
+  }
+
+  /**
+   * Register a job. handler is an async function; intervalMs is the poll interval.
+   */
+  register(name, intervalMs, handler) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job already registered: ${name}`);
+    }
+
+    this.jobs.set(name, {
+      name,
+      intervalMs,
+      handler,
+      timer: null,
+      running: null,
+      lastRunAt: null,
+      lastError: null
+    });
+  }
+
+  async runJob(job) {
+    if (job.running) return; // Previous run still going
+    if (mongoose.connection.readyState !== 1) return; // Not connected yet
+
+    job.running = (async () => {
+      try {
+        await job.handler();
+        job.lastError = null;
+      } catch (error) {
+        job.lastError = error.message;
+        console.error(`❌ Job "${job.name}" failed:`, error.message);
+      } finally {
+        job.lastRunAt = new Date();
+      }
+    })();
+
+    await job.running;
+    job.running = null;
+  }
+
+  /**
+   * Run a job immediately (e.g. from an admin endpoint)
+   */
+  async runNow(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+    await this.runJob(job);
+  }
+
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    for (const job of this.jobs.values()) {
+      job.timer = setInterval(() => this.runJob(job), job.intervalMs);
+      job.timer.unref();
+    }
+
+    console.log(`⏱️  Background jobs started: ${[...this.jobs.keys()].join(', ')}`);
+  }
+
+  async stop() {
+    if (!this.started) return;
+    this.started = false;
+
+    for (const job of this.jobs.values()) {
+      clearInterval(job.timer);
+      job.timer = null;
+    }
+
+    await Promise.all(
+      [...this.jobs.values()].map(job => job.running).filter(Boolean)
+    );
+
+    console.log('⏱️  Background jobs stopped');
+  }
+
+  /**
+   * Snapshot for health/admin reporting
+   */
+  getStatus() {
+    return [...this.jobs.values()].map(job => ({
+      name: job.name,
+      intervalMs: job.intervalMs,
+      running: !!job.running,
+      lastRunAt: job.lastRunAt,
+      lastError: job.lastError
+    }));
+  }
+}
+
+module.exports = Scheduler;
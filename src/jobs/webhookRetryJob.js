@@ -0,0 +1,20 @@
+const webhookService = require('../services/webhookService');
+const paymentConfig = require('../config/payments');
+
+/**
+ * Re-run payment webhooks that failed processing, with exponential backoff
+ * until the attempt limit is reached.
+ */
+const retryFailedWebhooks = async () => {
+  const retried = await webhookService.retryDue();
+
+  if (retried > 0) {
+    console.log(`🔁 Retried ${retried} failed webhook event(s)`);
+  }
+};
+
+module.exports = {
+  name: 'webhook-retries',
+  intervalMs: paymentConfig.webhookRetrySeconds * 1000,
+  run: retryFailedWebhooks
+};
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { DEFAULT_TIMEZONE, toDateKey, formatISOWithOffset } = require('../utils/timezone');
 
 const appointmentSchema = new mongoose.Schema({
   patientId: {
@@ -25,6 +26,10 @@ const appointmentSchema = new mongoose.Schema({
       message: 'Appointment date must be in the future'
     }
   },
+  timezone: {
+    type: String, // Doctor's IANA timezone at booking time
+    default: DEFAULT_TIMEZONE
+  },
   duration: {
     type: Number,
     default: 30,
@@ -80,18 +85,74 @@ const appointmentSchema = new mongoose.Schema({
     trim: true,
     maxlength: [500, 'Cancellation reason cannot exceed 500 characters']
   },
+  // Cancellation policy rule applied to the payment (see cancellationService.calculateRefund)
+  cancellationRefundRule: {
+    type: String,
+    enum: ['not_paid', 'no_show', 'cancelled_by_doctor', 'full', 'partial', 'late']
+  },
   completedAt: {
     type: Date
   },
+  noShow: {
+    flaggedBy: {
+      type: String,
+      enum: ['doctor', 'system']
+    },
+    flaggedAt: {
+      type: Date
+    },
+    disputeDeadline: {
+      type: Date // Only set for automatic flags
+    },
+    disputedAt: {
+      type: Date
+    },
+    disputeReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Dispute reason cannot exceed 500 characters']
+    }
+  },
   paymentId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Payment'
   },
+  // Pending bookings not paid by this time are cancelled (null = no deadline, e.g. free visits)
+  paymentDueAt: {
+    type: Date,
+    default: null
+  },
+  paymentWarningSentAt: {
+    type: Date,
+    default: null
+  },
   consultationFee: {
     type: Number,
     required: [true, 'Consultation fee is required'],
     min: [0, 'Fee cannot be negative']
   },
+  // Coverage estimate made at booking; the claim is filed from it once the visit is completed
+  insurance: {
+    policyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InsurancePolicy'
+    },
+    providerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InsuranceProvider'
+    },
+    planId: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    providerName: String,
+    planName: String,
+    memberNumber: String,
+    coveragePercent: Number,
+    copayAmount: Number,
+    insurerAmount: Number,
+    patientAmount: Number,
+    estimatedAt: Date
+  },
   videoCallToken: {
     type: String
   },
@@ -115,6 +176,37 @@ const appointmentSchema = new mongoose.Schema({
   reminderSentAt: {
     type: Date
   },
+  remindersSent: [{
+    type: Number // Reminder offsets (minutes before start) already sent
+  }],
+  rescheduleCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  rescheduleHistory: [{
+    previousDate: {
+      type: Date,
+      required: true
+    },
+    newDate: {
+      type: Date,
+      required: true
+    },
+    rescheduledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reschedule reason cannot exceed 500 characters']
+    },
+    rescheduledAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   isFollowUp: {
     type: Boolean,
     default: false
@@ -134,17 +226,26 @@ appointmentSchema.index({ appointmentDate: 1 });
 appointmentSchema.index({ status: 1 });
 appointmentSchema.index({ doctorId: 1, appointmentDate: 1, status: 1 }); // Critical for conflict checking
 appointmentSchema.index({ patientId: 1, status: 1 });
+appointmentSchema.index({ status: 1, paymentDueAt: 1 });
 
-// VIRTUAL: Is appointment today
+// VIRTUAL: Is appointment today (in the doctor's timezone)
 appointmentSchema.virtual('isToday').get(function() {
-  const today = new Date();
-  const appointmentDate = new Date(this.appointmentDate);
-  
-  return (
-    today.getDate() === appointmentDate.getDate() &&
-    today.getMonth() === appointmentDate.getMonth() &&
-    today.getFullYear() === appointmentDate.getFullYear()
-  );
+  if (!this.appointmentDate) return false;
+  const timezone = this.timezone || DEFAULT_TIMEZONE;
+  return toDateKey(new Date(), timezone) === toDateKey(this.appointmentDate, timezone);
+});
+
+// VIRTUAL: Start time as ISO 8601 with the doctor's UTC offset
+appointmentSchema.virtual('startsAt').get(function() {
+  if (!this.appointmentDate) return null;
+  return formatISOWithOffset(this.appointmentDate, this.timezone || DEFAULT_TIMEZONE);
+});
+
+// VIRTUAL: End time as ISO 8601 with the doctor's UTC offset
+appointmentSchema.virtual('endsAt').get(function() {
+  if (!this.appointmentDate) return null;
+  const end = new Date(this.appointmentDate.getTime() + this.duration * 60000);
+  return formatISOWithOffset(end, this.timezone || DEFAULT_TIMEZONE);
 });
 
 // VIRTUAL: Is appointment upcoming
@@ -164,6 +265,21 @@ appointmentSchema.virtual('hoursUntilAppointment').get(function() {
   return Math.floor(diff / (1000 * 60 * 60));
 });
 
+// Allowed status changes (current status -> next statuses)
+const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['in-progress', 'cancelled', 'no-show'],
+  'in-progress': ['completed'],
+  completed: [],
+  cancelled: [],
+  'no-show': []
+};
+
+// METHOD: Check if appointment can move to a new status
+appointmentSchema.methods.canTransitionTo = function(nextStatus) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(nextStatus);
+};
+
 // METHOD: Confirm appointment
 appointmentSchema.methods.confirm = async function(userId) {
   this.status = 'confirmed';
@@ -181,6 +297,25 @@ appointmentSchema.methods.cancel = async function(userId, reason) {
   await this.save();
 };
 
+// METHOD: Move appointment to a new time (keeps payment link)
+appointmentSchema.methods.reschedule = async function(newDate, userId, reason) {
+  this.rescheduleHistory.push({
+    previousDate: this.appointmentDate,
+    newDate,
+    rescheduledBy: userId,
+    reason
+  });
+  this.rescheduleCount += 1;
+  this.appointmentDate = newDate;
+
+  // Reminders need to go out again for the new time
+  this.reminderSent = false;
+  this.reminderSentAt = undefined;
+  this.remindersSent = [];
+
+  await this.save();
+};
+
 // METHOD: Mark as in-progress
 appointmentSchema.methods.startConsultation = async function() {
   this.status = 'in-progress';
@@ -203,9 +338,35 @@ appointmentSchema.methods.complete = async function() {
   await this.save();
 };
 
-// METHOD: Mark as no-show
-appointmentSchema.methods.markNoShow = async function() {
+// METHOD: Mark as no-show (automatic flags get a dispute window)
+appointmentSchema.methods.markNoShow = async function(flaggedBy = 'doctor', disputeHours = 0) {
   this.status = 'no-show';
+  this.noShow = {
+    flaggedBy,
+    flaggedAt: new Date(),
+    disputeDeadline: flaggedBy === 'system'
+      ? new Date(Date.now() + disputeHours * 60 * 60 * 1000)
+      : undefined
+  };
+  await this.save();
+};
+
+// METHOD: Check if an automatic no-show flag can still be disputed
+appointmentSchema.methods.canDisputeNoShow = function() {
+  return (
+    this.status === 'no-show' &&
+    this.noShow?.flaggedBy === 'system' &&
+    !this.noShow.disputedAt &&
+    this.noShow.disputeDeadline > new Date()
+  );
+};
+
+// METHOD: Overturn an automatic no-show flag - the consultation did take place
+appointmentSchema.methods.disputeNoShow = async function(reason) {
+  this.noShow.disputedAt = new Date();
+  this.noShow.disputeReason = reason;
+  this.status = 'completed';
+  this.completedAt = new Date();
   await this.save();
 };
 
@@ -222,6 +383,15 @@ appointmentSchema.methods.canBeCancelled = function(hoursBeforeLimit = 24) {
   return hoursUntil >= hoursBeforeLimit && ['pending', 'confirmed'].includes(this.status);
 };
 
+// METHOD: Check if can be rescheduled (cutoff window and reschedule limit)
+appointmentSchema.methods.canBeRescheduled = function(hoursBeforeLimit = 12, maxReschedules = 2) {
+  return (
+    ['pending', 'confirmed'].includes(this.status) &&
+    this.hoursUntilAppointment >= hoursBeforeLimit &&
+    this.rescheduleCount < maxReschedules
+  );
+};
+
 // STATIC: Check for appointment conflicts
 appointmentSchema.statics.hasConflict = async function(doctorId, appointmentDate, duration, excludeId = null) {
   const startTime = new Date(appointmentDate);
@@ -267,6 +437,97 @@ appointmentSchema.statics.hasConflict = async function(doctorId, appointmentDate
   return conflicts.length > 0;
 };
 
+// STATIC: Get appointments whose end time (plus grace) has passed in a given status
+appointmentSchema.statics.getStale = async function(status, graceMinutes = 0) {
+  const cutoff = new Date(Date.now() - graceMinutes * 60000);
+
+  return await this.find({
+    status,
+    appointmentDate: { $lt: cutoff },
+    $expr: {
+      $lt: [
+        { $add: ['$appointmentDate', { $multiply: ['$duration', 60000] }] },
+        cutoff
+      ]
+    }
+  });
+};
+
+// STATIC: Get pending appointments whose payment deadline falls before a given time
+appointmentSchema.statics.getPaymentDue = async function(before) {
+  return await this.find({
+    status: 'pending',
+    paymentDueAt: { $ne: null, $lte: before }
+  }).sort({ paymentDueAt: 1 });
+};
+
+// STATIC: Atomically claim the unpaid-booking warning so it's sent once
+appointmentSchema.statics.claimPaymentWarning = async function(appointmentId) {
+  return await this.findOneAndUpdate(
+    {
+      _id: appointmentId,
+      status: 'pending',
+      paymentWarningSentAt: null
+    },
+    { $set: { paymentWarningSentAt: new Date() } },
+    { new: true }
+  );
+};
+
+// STATIC: Expire a pending appointment that was never confirmed. Only one sweep can claim it,
+// so the refund and notifications run once. Returns null if it is no longer pending.
+appointmentSchema.statics.claimExpiry = async function(appointmentId) {
+  return await this.findOneAndUpdate(
+    { _id: appointmentId, status: 'pending' },
+    {
+      $set: {
+        status: 'cancelled',
+        cancelledAt: new Date(),
+        cancellationReason: 'Expired: the appointment was not confirmed before its scheduled time'
+      }
+    },
+    { new: true }
+  );
+};
+
+// STATIC: Cancel an appointment only if it is still in the status it was read in, so two
+// cancellations (or a cancellation and a sweep) can't both refund it. Returns null if it moved on.
+appointmentSchema.statics.claimCancellation = async function(appointmentId, fromStatus, userId, reason) {
+  return await this.findOneAndUpdate(
+    { _id: appointmentId, status: fromStatus },
+    {
+      $set: {
+        status: 'cancelled',
+        cancelledAt: new Date(),
+        cancelledBy: userId,
+        cancellationReason: reason
+      }
+    },
+    { new: true }
+  );
+};
+
+// STATIC: Flag a confirmed appointment that never started as a no-show, with a dispute window.
+// Returns null if another sweep (or the doctor) already moved it on.
+appointmentSchema.statics.claimNoShow = async function(appointmentId, disputeHours) {
+  const now = new Date();
+
+  return await this.findOneAndUpdate(
+    { _id: appointmentId, status: 'confirmed' },
+    {
+      $set: {
+        status: 'no-show',
+        noShow: {
+          flaggedBy: 'system',
+          flaggedAt: now,
+          disputeDeadline: new Date(now.getTime() + disputeHours * 60 * 60 * 1000)
+        }
+      }
+    },
+    { new: true }
+  );
+};
+
 // STATIC: Get upcoming appointments for doctor
 appointmentSchema.statics.getUpcomingForDoctor = async function(doctorId, limit = 10) {
   return await this.find({
@@ -291,23 +552,44 @@ appointmentSchema.statics.getUpcomingForPatient = async function(patientId, limi
   .limit(limit);
 };
 
-// STATIC: Get appointments needing reminders (30 minutes before)
-appointmentSchema.statics.getNeedingReminders = async function() {
+// STATIC: Get appointments needing a reminder at a given offset (minutes before start)
+appointmentSchema.statics.getNeedingReminders = async function(offsetMinutes = 30) {
   const now = new Date();
-  const thirtyMinutesFromNow = new Date(now.getTime() + 30 * 60000);
+  const windowEnd = new Date(now.getTime() + offsetMinutes * 60000);
 
   return await this.find({
     status: { $in: ['pending', 'confirmed'] },
-    reminderSent: false,
+    remindersSent: { $ne: offsetMinutes },
     appointmentDate: {
       $gte: now,
-      $lte: thirtyMinutesFromNow
+      $lte: windowEnd
     }
   })
   .populate('patientId', 'firstName lastName email phoneNumber')
   .populate('doctorId', 'firstName lastName specialties');
 };
 
+// STATIC: Atomically claim a reminder so it's sent once, even across restarts or instances
+// (coveredOffsets are larger offsets that no longer make sense once this one goes out)
+appointmentSchema.statics.claimReminder = async function(appointmentId, offsetMinutes, coveredOffsets = []) {
+  return await this.findOneAndUpdate(
+    {
+      _id: appointmentId,
+      remindersSent: { $ne: offsetMinutes }
+    },
+    {
+      $addToSet: { remindersSent: { $each: [offsetMinutes, ...coveredOffsets] } },
+      $set: { reminderSent: true, reminderSentAt: new Date() }
+    },
+    { new: true }
+  );
+};
+
+// STATIC: Give back reminder offsets claimed by a send that failed, so the next run tries again
+appointmentSchema.statics.releaseReminder = async function(appointmentId, offsets) {
+  await this.updateOne({ _id: appointmentId }, { $pullAll: { remindersSent: offsets } });
+};
+
 // Ensure virtuals are included in JSON
 appointmentSchema.set('toJSON', { virtuals: true });
 appointmentSchema.set('toObject', { virtuals: true });
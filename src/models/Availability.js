@@ -1,4 +1,17 @@
 const mongoose = require('mongoose');
+const {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  toDateKey,
+  toTimeString,
+  getDayName,
+  getDayNameForDateKey,
+  storedDateKey,
+  storedDateFromKey,
+  normalizeDateKey,
+  zonedTimeToUtc,
+  getDayBounds
+} = require('../utils/timezone');
 
 const availabilitySchema = new mongoose.Schema({
   doctorId: {
@@ -48,6 +61,14 @@ const availabilitySchema = new mongoose.Schema({
       ]
     }
   ],
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Timezone must be a valid IANA timezone (e.g. Africa/Lagos)'
+    }
+  },
   slotDuration: {
     type: Number,
     default: 30,
@@ -142,11 +163,17 @@ availabilitySchema.index({ 'customAvailableDates.date': 1 });
 
 // VALIDATION: Ensure endTime is after startTime
 availabilitySchema.pre('save', function() {
+  const invalidRange = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  };
+
   // Validate weekly schedule time slots
   for (const schedule of this.weeklySchedule) {
     for (const slot of schedule.timeSlots) {
       if (slot.startTime >= slot.endTime) {
-        throw new Error(`End time must be after start time for ${schedule.day}`);
+        throw invalidRange(`End time must be after start time for ${schedule.day}`);
       }
     }
   }
@@ -155,27 +182,53 @@ availabilitySchema.pre('save', function() {
   for (const customDate of this.customAvailableDates) {
     for (const slot of customDate.timeSlots) {
       if (slot.startTime >= slot.endTime) {
-        throw new Error('End time must be after start time for custom dates');
+        throw invalidRange('End time must be after start time for custom dates');
       }
     }
   }
 });
 
+// VALIDATION: Don't let schedule changes strand confirmed appointments
+availabilitySchema.pre('save', async function() {
+  if (this.isNew) return;
+
+  const slotGridChanged = this.isModified('slotDuration') || this.isModified('bufferTime');
+  const scheduleChanged =
+    slotGridChanged ||
+    this.isModified('weeklySchedule') ||
+    this.isModified('blockedDates') ||
+    this.isModified('customAvailableDates') ||
+    this.isModified('timezone');
+
+  if (!scheduleChanged) return;
+
+  const conflicts = await this.findBookingConflicts({ checkSlotGrid: slotGridChanged });
+
+  if (conflicts.length > 0) {
+    const error = new Error(
+      `This change conflicts with ${conflicts.length} confirmed appointment(s). Reschedule or cancel them first.`
+    );
+    error.statusCode = 409;
+    error.conflicts = conflicts.map(apt => ({
+      appointmentId: apt._id,
+      appointmentDate: apt.appointmentDate,
+      consultationType: apt.consultationType
+    }));
+    throw error;
+  }
+});
+
 // METHOD: Check if doctor is available on a specific date and time
+// Times are evaluated in the doctor's timezone, not the server's
 availabilitySchema.methods.isAvailableAt = function(dateTime) {
   const date = new Date(dateTime);
-  const dayName = date.toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase();
-  const timeString = date.toTimeString().slice(0, 5); // HH:MM format
+  const dateKey = toDateKey(date, this.timezone);
+  const dayName = getDayName(date, this.timezone);
+  const timeString = toTimeString(date, this.timezone); // HH:MM format
 
   // Check if date is blocked
   const isBlocked = this.blockedDates.some(blocked => {
-    const blockedDate = new Date(blocked.date);
-    const isSameDay = 
-      blockedDate.getDate() === date.getDate() &&
-      blockedDate.getMonth() === date.getMonth() &&
-      blockedDate.getFullYear() === date.getFullYear();
-
-    if (!isSameDay) return false;
+    if (storedDateKey(blocked.date) !== dateKey) return false;
 
     if (blocked.allDay) return true;
 
@@ -185,14 +238,9 @@ availabilitySchema.methods.isAvailableAt = function(dateTime) {
   if (isBlocked) return false;
 
   // Check custom available dates first (overrides weekly schedule)
-  const customDate = this.customAvailableDates.find(custom => {
-    const customDateObj = new Date(custom.date);
-    return (
-      customDateObj.getDate() === date.getDate() &&
-      customDateObj.getMonth() === date.getMonth() &&
-      customDateObj.getFullYear() === date.getFullYear()
-    );
-  });
+  const customDate = this.customAvailableDates.find(custom =>
+    storedDateKey(custom.date) === dateKey
+  );
 
   if (customDate) {
     return customDate.timeSlots.some(slot => 
@@ -210,38 +258,19 @@ availabilitySchema.methods.isAvailableAt = function(dateTime) {
   );
 };
 
-// METHOD: Get all available time slots for a specific date
+// METHOD: Get all available time slots (HH:MM, doctor's timezone) for a specific date
 availabilitySchema.methods.getAvailableSlotsForDate = function(date) {
-  const targetDate = new Date(date);
-  targetDate.setHours(0, 0, 0, 0);
-  
-  const dayName = targetDate.toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase();
+  const dateKey = normalizeDateKey(date, this.timezone);
+  const dayName = getDayNameForDateKey(dateKey);
   
   // Check if entire day is blocked
-  const dayBlocked = this.blockedDates.some(blocked => {
-    const blockedDate = new Date(blocked.date);
-    blockedDate.setHours(0, 0, 0, 0);
-    return blockedDate.getTime() === targetDate.getTime() && blocked.allDay;
-  });
+  const dayBlocked = this.blockedDates.some(blocked =>
+    storedDateKey(blocked.date) === dateKey && blocked.allDay
+  );
 
   if (dayBlocked) return [];
 
-  // Get time slots (custom date takes priority)
-  const customDate = this.customAvailableDates.find(custom => {
-    const customDateObj = new Date(custom.date);
-    customDateObj.setHours(0, 0, 0, 0);
-    return customDateObj.getTime() === targetDate.getTime();
-  });
-
-  let timeSlots = [];
-
-  if (customDate) {
-    timeSlots = customDate.timeSlots;
-  } else {
-    const daySchedule = this.weeklySchedule.find(s => s.day === dayName);
-    if (!daySchedule || !daySchedule.isAvailable) return [];
-    timeSlots = daySchedule.timeSlots;
-  }
+  const timeSlots = this._getTimeRangesForDateKey(dateKey, dayName);
 
   // Generate individual slots based on slotDuration
   const availableSlots = [];
@@ -254,15 +283,11 @@ availabilitySchema.methods.getAvailableSlotsForDate = function(date) {
       const slotTime = this._minutesToTimeString(currentTime);
       
       // Check if this specific slot is blocked
-      const isSlotBlocked = this.blockedDates.some(blocked => {
-        const blockedDate = new Date(blocked.date);
-        blockedDate.setHours(0, 0, 0, 0);
-        return (
-          blockedDate.getTime() === targetDate.getTime() &&
-          !blocked.allDay &&
-          blocked.blockedSlots.includes(slotTime)
-        );
-      });
+      const isSlotBlocked = this.blockedDates.some(blocked =>
+        storedDateKey(blocked.date) === dateKey &&
+        !blocked.allDay &&
+        blocked.blockedSlots.includes(slotTime)
+      );
 
       if (!isSlotBlocked) {
         availableSlots.push(slotTime);
@@ -275,10 +300,20 @@ availabilitySchema.methods.getAvailableSlotsForDate = function(date) {
   return availableSlots;
 };
 
+// METHOD: Convert a slot (date + HH:MM in doctor's timezone) to an exact Date
+availabilitySchema.methods.getSlotStart = function(date, timeString) {
+  return zonedTimeToUtc(normalizeDateKey(date, this.timezone), timeString, this.timezone);
+};
+
+// METHOD: Start and end of a calendar day in the doctor's timezone
+availabilitySchema.methods.getDayBounds = function(date) {
+  return getDayBounds(normalizeDateKey(date, this.timezone), this.timezone);
+};
+
 // METHOD: Block a specific date
 availabilitySchema.methods.blockDate = async function(date, reason = 'personal', allDay = true, slots = []) {
   this.blockedDates.push({
-    date: new Date(date),
+    date: storedDateFromKey(normalizeDateKey(date, this.timezone)),
     reason,
     allDay,
     blockedSlots: allDay ? [] : slots
@@ -289,12 +324,86 @@ availabilitySchema.methods.blockDate = async function(date, reason = 'personal',
 // METHOD: Add custom available date
 availabilitySchema.methods.addCustomDate = async function(date, timeSlots) {
   this.customAvailableDates.push({
-    date: new Date(date),
+    date: storedDateFromKey(normalizeDateKey(date, this.timezone)),
     timeSlots
   });
   await this.save();
 };
 
+// METHOD: Remove a blocked date
+availabilitySchema.methods.unblockDate = async function(blockId) {
+  const blocked = this.blockedDates.id(blockId);
+  if (!blocked) return false;
+
+  blocked.deleteOne();
+  await this.save();
+  return true;
+};
+
+// METHOD: Remove custom available date
+availabilitySchema.methods.removeCustomDate = async function(customDateId) {
+  const customDate = this.customAvailableDates.id(customDateId);
+  if (!customDate) return false;
+
+  customDate.deleteOne();
+  await this.save();
+  return true;
+};
+
+// METHOD: Find confirmed upcoming appointments that the current schedule no longer covers.
+// checkSlotGrid also flags appointments that no longer start on one of the day's slots.
+availabilitySchema.methods.findBookingConflicts = async function({ checkSlotGrid = false } = {}) {
+  const Appointment = mongoose.model('Appointment');
+
+  const appointments = await Appointment.find({
+    doctorId: this.doctorId,
+    status: 'confirmed',
+    appointmentDate: { $gte: new Date() }
+  }).sort({ appointmentDate: 1 });
+
+  return appointments.filter(apt => !this.coversAppointment(apt, checkSlotGrid));
+};
+
+// METHOD: Does the schedule cover an appointment's whole length? Any overlap with a blocked
+// slot or time outside the working hours counts as a conflict, not just where it starts.
+availabilitySchema.methods.coversAppointment = function(appointment, checkSlotGrid = false) {
+  const start = new Date(appointment.appointmentDate);
+  const dateKey = toDateKey(start, this.timezone);
+  const startTime = toTimeString(start, this.timezone);
+  const startMinutes = this._timeStringToMinutes(startTime);
+  const endMinutes = startMinutes + (appointment.duration || this.slotDuration);
+
+  const blockedToday = this.blockedDates.filter(blocked => storedDateKey(blocked.date) === dateKey);
+  if (blockedToday.some(blocked => blocked.allDay)) return false;
+
+  const overlapsBlockedSlot = blockedToday.some(blocked => blocked.blockedSlots.some(slot => {
+    const slotStart = this._timeStringToMinutes(slot);
+    return slotStart < endMinutes && slotStart + this.slotDuration > startMinutes;
+  }));
+  if (overlapsBlockedSlot) return false;
+
+  const withinHours = this._getTimeRangesForDateKey(dateKey, getDayName(start, this.timezone)).some(range =>
+    startMinutes >= this._timeStringToMinutes(range.startTime) &&
+    endMinutes <= this._timeStringToMinutes(range.endTime)
+  );
+  if (!withinHours) return false;
+
+  return !checkSlotGrid || this.getAvailableSlotsForDate(dateKey).includes(startTime);
+};
+
+// HELPER: Working-hour ranges for a date (a custom date replaces the weekly schedule)
+availabilitySchema.methods._getTimeRangesForDateKey = function(dateKey, dayName) {
+  const customDate = this.customAvailableDates.find(custom =>
+    storedDateKey(custom.date) === dateKey
+  );
+
+  if (customDate) return customDate.timeSlots;
+
+  const daySchedule = this.weeklySchedule.find(s => s.day === dayName);
+  if (!daySchedule || !daySchedule.isAvailable) return [];
+  return daySchedule.timeSlots;
+};
+
 // HELPER: Convert time string to minutes
 availabilitySchema.methods._timeStringToMinutes = function(timeString) {
   const [hours, minutes] = timeString.split(':').map(Number);
@@ -330,6 +439,7 @@ availabilitySchema.statics.createDefault = async function(doctorId) {
   return await this.create({
     doctorId,
     weeklySchedule: defaultSchedule,
+    timezone: DEFAULT_TIMEZONE,
     slotDuration: 30,
     maxAppointmentsPerDay: 20,
     bufferTime: 0
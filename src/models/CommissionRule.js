@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const paymentConfig = require('../config/payments');
+
+// More specific scopes win over broader ones
+const SCOPE_SPECIFICITY = {
+  doctor: 3,
+  specialty: 2,
+  consultationType: 1,
+  platform: 0
+};
+
+const commissionRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+  scope: {
+    type: String,
+    enum: {
+      values: ['platform', 'specialty', 'consultationType', 'doctor'],
+      message: 'Scope must be platform, specialty, consultationType, or doctor'
+    },
+    required: [true, 'Scope is required']
+  },
+  specialty: {
+    type: String,
+    trim: true
+  },
+  consultationType: {
+    type: String,
+    enum: {
+      values: ['in-person', 'video', 'chat'],
+      message: 'Consultation type must be in-person, video, or chat'
+    }
+  },
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor'
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Commission rate is required'],
+    min: [0, 'Commission rate cannot be negative'],
+    max: [100, 'Commission rate cannot exceed 100']
+  },
+  // Promotions (e.g. zero-commission periods) beat standard rules while they run
+  isPromotion: {
+    type: Boolean,
+    default: false
+  },
+  effectiveFrom: {
+    type: Date,
+    default: Date.now
+  },
+  effectiveTo: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// INDEXES
+commissionRuleSchema.index({ isActive: 1, scope: 1 });
+commissionRuleSchema.index({ doctorId: 1 });
+
+// MIDDLEWARE: Each scope needs its target
+commissionRuleSchema.pre('validate', function() {
+  if (this.scope === 'specialty' && !this.specialty) {
+    this.invalidate('specialty', 'Specialty is required for specialty rules');
+  }
+  if (this.scope === 'consultationType' && !this.consultationType) {
+    this.invalidate('consultationType', 'Consultation type is required for consultation type rules');
+  }
+  if (this.scope === 'doctor' && !this.doctorId) {
+    this.invalidate('doctorId', 'Doctor ID is required for doctor rules');
+  }
+  if (this.effectiveTo && this.effectiveFrom && this.effectiveTo <= this.effectiveFrom) {
+    this.invalidate('effectiveTo', 'End date must be after the start date');
+  }
+});
+
+// METHOD: Does this rule apply to a payment context at a given time?
+commissionRuleSchema.methods.appliesTo = function({ doctorId, specialties = [], consultationType }, at = new Date()) {
+  if (!this.isActive) return false;
+  if (this.effectiveFrom > at) return false;
+  if (this.effectiveTo && this.effectiveTo <= at) return false;
+
+  switch (this.scope) {
+    case 'doctor':
+      return !!doctorId && this.doctorId.toString() === doctorId.toString();
+    case 'specialty':
+      return specialties.some(specialty => specialty.toLowerCase() === this.specialty.toLowerCase());
+    case 'consultationType':
+      return this.consultationType === consultationType;
+    default:
+      return true;
+  }
+};
+
+// METHOD: Frozen copy stored on payments
+commissionRuleSchema.methods.toSnapshot = function(at = new Date()) {
+  return {
+    ruleId: this._id,
+    name: this.name,
+    scope: this.scope,
+    rate: this.rate,
+    isPromotion: this.isPromotion,
+    appliedAt: at
+  };
+};
+
+// STATIC: Pick the rule for a payment context.
+// Promotions first, then the most specific scope, then the most recently started rule.
+commissionRuleSchema.statics.resolve = async function(context, at = new Date()) {
+  const rules = await this.find({
+    isActive: true,
+    effectiveFrom: { $lte: at },
+    $or: [{ effectiveTo: null }, { effectiveTo: { $gt: at } }]
+  });
+
+  const [rule] = rules
+    .filter(candidate => candidate.appliesTo(context, at))
+    .sort((a, b) =>
+      (Number(b.isPromotion) - Number(a.isPromotion)) ||
+      (SCOPE_SPECIFICITY[b.scope] - SCOPE_SPECIFICITY[a.scope]) ||
+      (b.effectiveFrom - a.effectiveFrom)
+    );
+
+  return rule || null;
+};
+
+// STATIC: Snapshot of the rule for a payment context, falling back to the platform default rate
+commissionRuleSchema.statics.resolveSnapshot = async function(context, at = new Date()) {
+  const rule = await this.resolve(context, at);
+
+  if (rule) {
+    return rule.toSnapshot(at);
+  }
+
+  return {
+    ruleId: null,
+    name: 'Platform default',
+    scope: 'platform',
+    rate: paymentConfig.defaultCommissionRate,
+    isPromotion: false,
+    appliedAt: at
+  };
+};
+
+// Ensure virtuals are included in JSON
+commissionRuleSchema.set('toJSON', { virtuals: true });
+commissionRuleSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('CommissionRule', commissionRuleSchema);
@@ -152,6 +152,52 @@ const consultationSchema = new mongoose.Schema({
       }
     }
   ],
+  // Medication safety warnings the doctor reviewed and chose to prescribe through
+  safetyAcknowledgements: [
+    {
+      warningId: {
+        type: String,
+        required: true
+      },
+      type: {
+        type: String,
+        enum: ['allergy', 'interaction', 'duplicate_therapy'],
+        required: true
+      },
+      severity: {
+        type: String,
+        enum: ['low', 'moderate', 'high']
+      },
+      medication: {
+        type: String,
+        trim: true
+      },
+      conflictsWith: {
+        type: String,
+        trim: true
+      },
+      message: {
+        type: String,
+        trim: true
+      },
+      note: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Acknowledgement note cannot exceed 500 characters']
+      },
+      datasetVersion: {
+        type: String
+      },
+      acknowledgedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      acknowledgedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }
+  ],
   followUpRequired: {
     type: Boolean,
     default: false
@@ -192,6 +192,43 @@ const doctorSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Overrides for the platform cancellation policy (null = platform default)
+  cancellationPolicy: {
+    fullRefundHours: {
+      type: Number,
+      default: null,
+      min: [0, 'Hours cannot be negative']
+    },
+    partialRefundHours: {
+      type: Number,
+      default: null,
+      min: [0, 'Hours cannot be negative']
+    },
+    partialRefundPercent: {
+      type: Number,
+      default: null,
+      min: [0, 'Refund percentage cannot be negative'],
+      max: [100, 'Refund percentage cannot exceed 100']
+    }
+  },
+  paymentPolicy: {
+    // Appointments can only be confirmed once they are paid
+    requirePrepayment: {
+      type: Boolean,
+      default: false
+    },
+    // Minutes a patient has to pay after booking (null = platform default)
+    paymentWindowMinutes: {
+      type: Number,
+      default: null,
+      min: [5, 'Payment window must be at least 5 minutes']
+    }
+  },
+  // Insurers whose policies the doctor accepts (see InsuranceProvider)
+  acceptedInsurers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InsuranceProvider'
+  }],
   bankDetails: {
     accountName: {
       type: String,
@@ -208,6 +245,10 @@ const doctorSchema = new mongoose.Schema({
     bankCode: {
       type: String,
       trim: true
+    },
+    recipientCode: {
+      type: String, // Paystack transfer recipient, created on the first payout
+      trim: true
     }
   }
 }, {
@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const CLAIM_STATUSES = ['submitted', 'approved', 'rejected', 'paid'];
+
+const insuranceClaimSchema = new mongoose.Schema({
+  claimNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true
+  },
+  // One claim per consultation
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: [true, 'Appointment ID is required'],
+    unique: true
+  },
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: true
+  },
+  policyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InsurancePolicy',
+    required: true
+  },
+  providerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InsuranceProvider',
+    required: true
+  },
+  // Policy and plan as they stood when the claim was filed
+  coverage: {
+    providerName: String,
+    providerCode: String,
+    planName: String,
+    planCode: String,
+    memberNumber: String,
+    groupNumber: String,
+    holderName: String,
+    relationshipToHolder: String,
+    coveragePercent: Number,
+    copayAmount: Number
+  },
+  consultationType: {
+    type: String,
+    enum: ['in-person', 'video', 'chat']
+  },
+  serviceDate: {
+    type: Date,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'NGN',
+    uppercase: true
+  },
+  // Full consultation fee
+  billedAmount: {
+    type: Number,
+    required: true,
+    min: [0, 'Billed amount cannot be negative']
+  },
+  // Insurer's share asked for
+  claimedAmount: {
+    type: Number,
+    required: true,
+    min: [0, 'Claimed amount cannot be negative']
+  },
+  patientAmount: {
+    type: Number,
+    required: true,
+    min: [0, 'Patient amount cannot be negative']
+  },
+  approvedAmount: {
+    type: Number,
+    default: null,
+    min: [0, 'Approved amount cannot be negative']
+  },
+  paidAmount: {
+    type: Number,
+    default: null,
+    min: [0, 'Paid amount cannot be negative']
+  },
+  // Insurer's payment or remittance reference
+  payerReference: {
+    type: String,
+    trim: true
+  },
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Rejection reason cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: CLAIM_STATUSES,
+      message: 'Invalid claim status'
+    },
+    default: 'submitted'
+  },
+  statusHistory: [{
+    status: {
+      type: String,
+      enum: CLAIM_STATUSES
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null // null = system (filed on completion)
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Note cannot exceed 500 characters']
+    }
+  }],
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  },
+  decidedAt: {
+    type: Date
+  },
+  paidAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// INDEXES
+// Note: claimNumber and appointmentId already have indexes from 'unique: true'
+insuranceClaimSchema.index({ status: 1, submittedAt: -1 });
+insuranceClaimSchema.index({ providerId: 1, status: 1 });
+insuranceClaimSchema.index({ policyId: 1, serviceDate: 1 });
+insuranceClaimSchema.index({ patientId: 1 });
+insuranceClaimSchema.index({ doctorId: 1 });
+
+// Allowed status changes (current status -> next statuses); rejected claims can be resubmitted
+const STATUS_TRANSITIONS = {
+  submitted: ['approved', 'rejected'],
+  approved: ['paid', 'rejected'],
+  rejected: ['submitted'],
+  paid: []
+};
+
+// MIDDLEWARE: Generate a claim number and record the initial status
+insuranceClaimSchema.pre('validate', function() {
+  if (this.isNew && !this.claimNumber) {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    this.claimNumber = `CLM-${date}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+  }
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, changedAt: this.submittedAt });
+  }
+});
+
+// METHOD: Check if the claim can move to a new status
+insuranceClaimSchema.methods.canTransitionTo = function(nextStatus) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(nextStatus);
+};
+
+// METHOD: Move to a new status and record who did it
+insuranceClaimSchema.methods.transition = async function(nextStatus, userId, note) {
+  const now = new Date();
+
+  this.status = nextStatus;
+  this.statusHistory.push({ status: nextStatus, changedBy: userId, changedAt: now, note });
+
+  if (nextStatus === 'submitted') {
+    this.submittedAt = now;
+    this.decidedAt = undefined;
+  } else if (nextStatus === 'approved' || nextStatus === 'rejected') {
+    this.decidedAt = now;
+  } else if (nextStatus === 'paid') {
+    this.paidAt = now;
+  }
+
+  await this.save();
+};
+
+// STATIC: Insurer money already used by a policy in a period (rejected claims don't count)
+insuranceClaimSchema.statics.getUsedCover = async function(policyId, startDate, endDate, excludeClaimId = null) {
+  const query = {
+    policyId: new mongoose.Types.ObjectId(String(policyId)),
+    status: { $ne: 'rejected' },
+    serviceDate: { $gte: startDate, $lte: endDate }
+  };
+
+  if (excludeClaimId) {
+    query._id = { $ne: new mongoose.Types.ObjectId(String(excludeClaimId)) };
+  }
+
+  const result = await this.aggregate([
+    { $match: query },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: { $ifNull: ['$paidAmount', { $ifNull: ['$approvedAmount', '$claimedAmount'] }] } }
+      }
+    }
+  ]);
+
+  return result.length > 0 ? result[0].total : 0;
+};
+
+// Ensure virtuals are included in JSON
+insuranceClaimSchema.set('toJSON', { virtuals: true });
+insuranceClaimSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('InsuranceClaim', insuranceClaimSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const insurancePolicySchema = new mongoose.Schema({
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: [true, 'Patient ID is required']
+  },
+  providerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InsuranceProvider',
+    required: [true, 'Insurer is required']
+  },
+  planId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Plan is required']
+  },
+  memberNumber: {
+    type: String,
+    required: [true, 'Member number is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [50, 'Member number cannot exceed 50 characters']
+  },
+  groupNumber: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Group number cannot exceed 50 characters']
+  },
+  // Principal member named on the policy
+  holderName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Holder name cannot exceed 100 characters']
+  },
+  relationshipToHolder: {
+    type: String,
+    enum: {
+      values: ['self', 'spouse', 'child', 'parent', 'other'],
+      message: 'Invalid relationship to policy holder'
+    },
+    default: 'self'
+  },
+  validFrom: {
+    type: Date,
+    required: [true, 'Policy start date is required']
+  },
+  // null = open-ended
+  validTo: {
+    type: Date,
+    default: null
+  },
+  // Used when booking without picking a policy
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// INDEXES
+insurancePolicySchema.index({ patientId: 1, isActive: 1 });
+insurancePolicySchema.index({ providerId: 1, memberNumber: 1, patientId: 1 }, { unique: true });
+
+// MIDDLEWARE: The coverage window must make sense
+insurancePolicySchema.pre('validate', function() {
+  if (this.validTo && this.validFrom && this.validTo <= this.validFrom) {
+    this.invalidate('validTo', 'Policy end date must be after the start date');
+  }
+});
+
+// METHOD: Is the policy in force on a date
+insurancePolicySchema.methods.isValidOn = function(date = new Date()) {
+  if (!this.isActive) return false;
+  if (this.validFrom && this.validFrom > date) return false;
+  if (this.validTo && this.validTo < date) return false;
+  return true;
+};
+
+// Ensure virtuals are included in JSON
+insurancePolicySchema.set('toJSON', { virtuals: true });
+insurancePolicySchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('InsurancePolicy', insurancePolicySchema);
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+
+const planSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Plan name is required'],
+    trim: true,
+    maxlength: [100, 'Plan name cannot exceed 100 characters']
+  },
+  code: {
+    type: String,
+    required: [true, 'Plan code is required'],
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9_-]{2,20}$/, 'Plan code must be 2-20 letters, numbers, dashes or underscores']
+  },
+  // Share of the fee (after copay) the insurer pays
+  coveragePercent: {
+    type: Number,
+    required: [true, 'Coverage percentage is required'],
+    min: [0, 'Coverage cannot be negative'],
+    max: [100, 'Coverage cannot exceed 100%']
+  },
+  // Fixed amount the patient pays per consultation (base currency)
+  copayAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Copay cannot be negative']
+  },
+  // Most the insurer pays per policy per calendar year (null = no limit)
+  annualLimit: {
+    type: Number,
+    default: null,
+    min: [0, 'Annual limit cannot be negative']
+  },
+  // Empty means every consultation type is covered
+  consultationTypes: [{
+    type: String,
+    enum: {
+      values: ['in-person', 'video', 'chat'],
+      message: 'Consultation type must be in-person, video, or chat'
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// METHOD: Does the plan pay for this kind of consultation
+planSchema.methods.coversConsultationType = function(consultationType) {
+  return !this.consultationTypes?.length || this.consultationTypes.includes(consultationType);
+};
+
+const insuranceProviderSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Insurer name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Insurer name cannot exceed 100 characters']
+  },
+  code: {
+    type: String,
+    required: [true, 'Insurer code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9_-]{2,20}$/, 'Insurer code must be 2-20 letters, numbers, dashes or underscores']
+  },
+  // Where claims are sent
+  claimsEmail: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email']
+  },
+  phoneNumber: {
+    type: String,
+    trim: true
+  },
+  website: {
+    type: String,
+    trim: true
+  },
+  plans: [planSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// INDEXES
+// Note: name and code already have indexes from 'unique: true'
+insuranceProviderSchema.index({ isActive: 1, name: 1 });
+
+// MIDDLEWARE: Plan codes are unique within an insurer
+insuranceProviderSchema.pre('validate', function() {
+  const codes = (this.plans || []).map(plan => plan.code?.toUpperCase());
+  if (new Set(codes).size !== codes.length) {
+    this.invalidate('plans', 'Plan codes must be unique for an insurer');
+  }
+});
+
+// METHOD: Active plan by ID (null if missing or retired)
+insuranceProviderSchema.methods.getActivePlan = function(planId) {
+  const plan = this.plans.id(planId);
+  return plan && plan.isActive ? plan : null;
+};
+
+// STATIC: Active insurers with their active plans, for pickers
+insuranceProviderSchema.statics.getCatalog = async function() {
+  const providers = await this.find({ isActive: true }).sort({ name: 1 });
+  return providers.map(provider => ({
+    ...provider.toJSON(),
+    plans: provider.plans.filter(plan => plan.isActive)
+  }));
+};
+
+// Ensure virtuals are included in JSON
+insuranceProviderSchema.set('toJSON', { virtuals: true });
+insuranceProviderSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('InsuranceProvider', insuranceProviderSchema);
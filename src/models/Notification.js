@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { formatDisplayTime } = require('../utils/timezone');
 
 const notificationSchema = new mongoose.Schema({
   userId: {
@@ -14,8 +15,10 @@ const notificationSchema = new mongoose.Schema({
         'appointment_reminder',
         'appointment_cancelled',
         'appointment_rescheduled',
+        'appointment_no_show',
         'payment_success',
         'payment_failed',
+        'payment_reminder',
         'refund_processed',
         'review_received',
         'review_response',
@@ -25,6 +28,9 @@ const notificationSchema = new mongoose.Schema({
         'consultation_ready',
         'follow_up_reminder',
         'payout_completed',
+        'reconciliation_report',
+        'insurance_claim',
+        'record_access',
         'system_announcement'
       ],
       message: 'Invalid notification type'
@@ -49,7 +55,7 @@ const notificationSchema = new mongoose.Schema({
   },
   relatedModel: {
     type: String,
-    enum: ['Appointment', 'Payment', 'Review', 'Consultation', 'Message', null]
+    enum: ['Appointment', 'Payment', 'Payout', 'ReconciliationReport', 'InsuranceClaim', 'RecordConsent', 'Review', 'Consultation', 'Message', null]
   },
   channels: [{
     type: String,
@@ -257,28 +263,49 @@ notificationSchema.statics.createAndSend = async function(notificationData) {
   return notification;
 };
 
-// STATIC: Create appointment reminder
-notificationSchema.statics.createAppointmentReminder = async function(appointment) {
+// STATIC: Create appointment reminder (recipient is 'patient' or 'doctor')
+notificationSchema.statics.createAppointmentReminder = async function(appointment, recipient = 'patient') {
   const Patient = mongoose.model('Patient');
   const Doctor = mongoose.model('Doctor');
   
   const patient = await Patient.findById(appointment.patientId).populate('userId');
-  const doctor = await Doctor.findById(appointment.doctorId);
+  const doctor = await Doctor.findById(appointment.doctorId).populate('userId');
   
-  const appointmentTime = new Date(appointment.appointmentDate).toLocaleString('en-US', {
-    weekday: 'long',
-    year: 'numeric',
-    month: 'long',
-    day: 'numeric',
-    hour: '2-digit',
-    minute: '2-digit'
-  });
+  const recipientUser = recipient === 'doctor' ? doctor.userId : patient.userId;
+  const appointmentTime = formatDisplayTime(
+    appointment.appointmentDate,
+    recipientUser.timezone || appointment.timezone
+  );
+
+  const message = recipient === 'doctor'
+    ? `You have an appointment with ${patient.firstName} ${patient.lastName} at ${appointmentTime}`
+    : `You have an appointment with Dr. ${doctor.firstName} ${doctor.lastName} at ${appointmentTime}`;
   
   return await this.create({
-    userId: patient.userId._id,
+    userId: recipientUser._id,
     type: 'appointment_reminder',
     title: 'Upcoming Appointment Reminder',
-    message: `You have an appointment with Dr. ${doctor.firstName} ${doctor.lastName} at ${appointmentTime}`,
+    message,
+    relatedId: appointment._id,
+    relatedModel: 'Appointment',
+    channels: ['push', 'email', 'in-app'],
+    actionUrl: `/appointments/${appointment._id}`,
+    priority: 'high'
+  });
+};
+
+// STATIC: Notify the other party that an appointment was moved
+notificationSchema.statics.createAppointmentRescheduled = async function(appointment, previousDate, recipientUserId, rescheduledByName) {
+  const User = mongoose.model('User');
+  const recipient = await User.findById(recipientUserId);
+  const timezone = (recipient && recipient.timezone) || appointment.timezone;
+  const formatTime = (date) => formatDisplayTime(date, timezone);
+
+  return await this.create({
+    userId: recipientUserId,
+    type: 'appointment_rescheduled',
+    title: 'Appointment Rescheduled',
+    message: `${rescheduledByName} moved your appointment from ${formatTime(previousDate)} to ${formatTime(appointment.appointmentDate)}`,
     relatedId: appointment._id,
     relatedModel: 'Appointment',
     channels: ['push', 'email', 'in-app'],
@@ -124,6 +124,11 @@ const patientSchema = new mongoose.Schema({
     type: Number,
     default: 0,
     min: 0
+  },
+  noShowCount: {
+    type: Number,
+    default: 0,
+    min: 0
   }
 }, {
   timestamps: true
@@ -159,6 +164,18 @@ patientSchema.methods.incrementAppointmentCount = async function() {
   await this.save();
 };
 
+// METHOD: Record a missed appointment
+patientSchema.methods.incrementNoShowCount = async function() {
+  this.noShowCount += 1;
+  await this.save();
+};
+
+// METHOD: Undo a missed appointment (no-show flag overturned)
+patientSchema.methods.decrementNoShowCount = async function() {
+  this.noShowCount = Math.max(0, this.noShowCount - 1);
+  await this.save();
+};
+
 // METHOD: Add medical history entry
 patientSchema.methods.addMedicalHistory = async function(historyEntry) {
   this.medicalHistory.push(historyEntry);
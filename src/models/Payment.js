@@ -1,10 +1,26 @@
 const mongoose = require('mongoose');
+const CommissionRule = require('./CommissionRule');
+
+// Amounts are kept to two decimals; compare them as whole minor units to dodge float drift
+const toMinorUnits = (amount) => Math.round(amount * 100);
+
+const isAppointmentPayment = function() {
+  return this.purpose !== 'wallet_top_up';
+};
 
 const paymentSchema = new mongoose.Schema({
+  purpose: {
+    type: String,
+    enum: {
+      values: ['appointment', 'wallet_top_up'],
+      message: 'Invalid payment purpose'
+    },
+    default: 'appointment'
+  },
   appointmentId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Appointment',
-    required: [true, 'Appointment ID is required']
+    required: [isAppointmentPayment, 'Appointment ID is required']
   },
   patientId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -14,7 +30,7 @@ const paymentSchema = new mongoose.Schema({
   doctorId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Doctor',
-    required: [true, 'Doctor ID is required']
+    required: [isAppointmentPayment, 'Doctor ID is required']
   },
   amount: {
     type: Number,
@@ -30,6 +46,68 @@ const paymentSchema = new mongoose.Schema({
       message: 'Currency must be NGN, USD, GBP, or EUR'
     }
   },
+  // Base currency (NGN) per unit of currency - 1 for naira payments
+  exchangeRate: {
+    type: Number,
+    default: 1,
+    min: [0, 'Exchange rate cannot be negative']
+  },
+  // Commission rule in force when the payment was created (kept so rate changes don't rewrite history)
+  commission: {
+    ruleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CommissionRule',
+      default: null
+    },
+    name: {
+      type: String
+    },
+    scope: {
+      type: String
+    },
+    rate: {
+      type: Number,
+      min: [0, 'Commission rate cannot be negative'],
+      max: [100, 'Commission rate cannot exceed 100']
+    },
+    isPromotion: {
+      type: Boolean
+    },
+    appliedAt: {
+      type: Date
+    }
+  },
+  // Promo code redeemed at checkout. amount is already net of the discount,
+  // so commission is only taken on what the patient actually pays.
+  promo: {
+    promoCodeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromoCode',
+      default: null
+    },
+    code: {
+      type: String
+    },
+    discountType: {
+      type: String
+    },
+    discountValue: {
+      type: Number
+    },
+    discountAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Discount cannot be negative']
+    },
+    originalAmount: {
+      type: Number
+    },
+    // Set when a failed checkout gave its redemption back
+    releasedAt: {
+      type: Date,
+      default: null
+    }
+  },
   platformFee: {
     type: Number,
     default: 0,
@@ -43,16 +121,26 @@ const paymentSchema = new mongoose.Schema({
   paymentMethod: {
     type: String,
     enum: {
-      values: ['paystack', 'stripe', 'card', 'bank_transfer', 'wallet'],
+      values: ['paystack', 'stripe', 'card', 'bank_transfer', 'wallet', 'promo'],
       message: 'Invalid payment method'
     },
     required: [true, 'Payment method is required']
   },
   paymentGateway: {
     type: String,
-    enum: ['paystack', 'stripe'],
+    enum: ['paystack', 'stripe', 'wallet', 'promo'], // promo: fully discounted or insured, nothing to charge
     required: [true, 'Payment gateway is required']
   },
+  // Part of amount settled from the patient's wallet; the gateway charges the rest
+  walletAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Wallet amount cannot be negative']
+  },
+  gatewayReference: {
+    type: String, // Gateway's own ID for the checkout (Stripe session ID, original Paystack reference)
+    trim: true
+  },
   transactionReference: {
     type: String,
     required: [true, 'Transaction reference is required'],
@@ -72,6 +160,16 @@ const paymentSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed, // Stores full response from payment gateway
     default: {}
   },
+  // Last time reconciliation asked the gateway about this payment
+  lastVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  // Charge that landed after the checkout was given up or the booking cancelled; it is refunded
+  lateChargeAt: {
+    type: Date,
+    default: null
+  },
   refundAmount: {
     type: Number,
     default: 0,
@@ -90,6 +188,53 @@ const paymentSchema = new mongoose.Schema({
     trim: true,
     uppercase: true
   },
+  // Every refund request sent to the gateway (refunds settle asynchronously)
+  refunds: [{
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, 'Refund amount cannot be negative']
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Refund reason cannot exceed 500 characters']
+    },
+    reference: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true
+    },
+    gatewayRefundId: {
+      type: String
+    },
+    destination: {
+      type: String,
+      enum: ['gateway', 'wallet'],
+      default: 'gateway'
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'processed', 'failed'],
+      default: 'pending'
+    },
+    initiatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null // null = system (cancellation policy)
+    },
+    failureReason: {
+      type: String
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now
+    },
+    processedAt: {
+      type: Date
+    }
+  }],
   payoutStatus: {
     type: String,
     enum: {
@@ -126,6 +271,8 @@ paymentSchema.index({ doctorId: 1 });
 paymentSchema.index({ status: 1 });
 paymentSchema.index({ payoutStatus: 1 });
 paymentSchema.index({ createdAt: -1 });
+paymentSchema.index({ 'refunds.gatewayRefundId': 1 }, { sparse: true });
+paymentSchema.index({ 'promo.promoCodeId': 1, patientId: 1 }, { sparse: true });
 
 // VIRTUAL: Is payment successful
 paymentSchema.virtual('isSuccessful').get(function() {
@@ -147,6 +294,44 @@ paymentSchema.virtual('remainingAmount').get(function() {
   return this.amount - this.refundAmount;
 });
 
+// VIRTUAL: Refunds requested but not yet settled by the gateway
+paymentSchema.virtual('pendingRefundAmount').get(function() {
+  return (this.refunds || [])
+    .filter(refund => refund.status === 'pending')
+    .reduce((total, refund) => total + refund.amount, 0);
+});
+
+// VIRTUAL: Amount that can still be refunded
+paymentSchema.virtual('refundableAmount').get(function() {
+  if (!['successful', 'partially_refunded'].includes(this.status)) return 0;
+  return toMinorUnits(this.amount - this.refundAmount - this.pendingRefundAmount) / 100;
+});
+
+// VIRTUAL: Amount charged through the gateway (after wallet credit)
+paymentSchema.virtual('gatewayAmount').get(function() {
+  return Math.round((this.amount - (this.walletAmount || 0)) * 100) / 100;
+});
+
+// VIRTUAL: Wallet-funded part that can still go back to the wallet
+paymentSchema.virtual('walletRefundableAmount').get(function() {
+  const returned = (this.refunds || [])
+    .filter(refund => refund.destination === 'wallet' && refund.status !== 'failed')
+    .reduce((total, refund) => total + refund.amount, 0);
+  return Math.max(0, Math.min((this.walletAmount || 0) - returned, this.refundableAmount));
+});
+
+// VIRTUAL: Doctor earnings converted to the base currency
+paymentSchema.virtual('baseDoctorEarnings').get(function() {
+  return Math.round(this.doctorEarnings * (this.exchangeRate || 1));
+});
+
+// VIRTUAL: Doctor's earnings on the part of the payment that wasn't refunded (base currency)
+paymentSchema.virtual('basePayoutAmount').get(function() {
+  if (!this.amount) return 0;
+  const kept = Math.max(0, this.amount - this.refundAmount) / this.amount;
+  return Math.round(this.doctorEarnings * kept * (this.exchangeRate || 1));
+});
+
 // VIRTUAL: Is payout complete
 paymentSchema.virtual('isPayoutComplete').get(function() {
   return this.payoutStatus === 'completed';
@@ -154,11 +339,43 @@ paymentSchema.virtual('isPayoutComplete').get(function() {
 
 // METHOD: Mark as successful
 paymentSchema.methods.markSuccessful = async function(gatewayResponse = {}) {
+  if (this.status !== 'pending') {
+    throw new Error(`Cannot mark a ${this.status} payment successful`);
+  }
+
   this.status = 'successful';
   this.gatewayResponse = gatewayResponse;
   await this.save();
 };
 
+// METHOD: Record a charge that arrived too late to pay for the booking, so it can be refunded.
+// If the checkout was abandoned its wallet part already went back to the wallet, which counts as refunded;
+// that refund shares the reference of the wallet's reversal entry so the two can be matched up.
+paymentSchema.methods.markLateCharge = async function(gatewayResponse = {}, walletReturned = false) {
+  this.status = 'successful';
+  this.gatewayResponse = gatewayResponse;
+  this.lateChargeAt = new Date();
+
+  if (!walletReturned || !this.walletAmount) {
+    await this.save();
+    return;
+  }
+
+  const reason = 'Returned to the wallet when the checkout was abandoned';
+  const reference = `RELEASE_${this._id}`;
+
+  this.refunds.push({
+    amount: this.walletAmount,
+    reason,
+    reference,
+    destination: 'wallet',
+    status: 'processed',
+    processedAt: new Date()
+  });
+
+  await this.processRefund(this.walletAmount, reason, reference);
+};
+
 // METHOD: Mark as failed
 paymentSchema.methods.markFailed = async function(gatewayResponse = {}) {
   this.status = 'failed';
@@ -168,16 +385,16 @@ paymentSchema.methods.markFailed = async function(gatewayResponse = {}) {
 
 // METHOD: Process refund
 paymentSchema.methods.processRefund = async function(refundAmount, reason, refundRef) {
-  if (refundAmount > this.amount - this.refundAmount) {
+  if (toMinorUnits(refundAmount) > toMinorUnits(this.amount - this.refundAmount)) {
     throw new Error('Refund amount exceeds available amount');
   }
   
-  this.refundAmount += refundAmount;
+  this.refundAmount = toMinorUnits(this.refundAmount + refundAmount) / 100;
   this.refundReason = reason;
   this.refundedAt = new Date();
   this.refundReference = refundRef;
   
-  if (this.refundAmount === this.amount) {
+  if (toMinorUnits(this.refundAmount) >= toMinorUnits(this.amount)) {
     this.status = 'refunded';
   } else {
     this.status = 'partially_refunded';
@@ -186,14 +403,83 @@ paymentSchema.methods.processRefund = async function(refundAmount, reason, refun
   await this.save();
 };
 
-// METHOD: Mark payout as processing
-paymentSchema.methods.startPayout = async function() {
-  if (this.status !== 'successful') {
-    throw new Error('Can only payout successful payments');
+// METHOD: Reserve refunds ({ amount, reason, reference, initiatedBy, destination }) against the payment.
+// They are only added if, together, they still fit in what hasn't been refunded or requested yet.
+// That check is part of the update itself, so concurrent requests can't refund more than was paid.
+// Returns the new refund entries, or null if they no longer fit.
+paymentSchema.methods.requestRefunds = async function(entries) {
+  const total = entries.reduce((sum, entry) => sum + entry.amount, 0);
+
+  if (entries.some(entry => entry.amount <= 0) || toMinorUnits(total) > toMinorUnits(this.refundableAmount)) {
+    return null;
   }
-  
-  this.payoutStatus = 'processing';
+
+  const pendingRefunds = {
+    $sum: {
+      $map: {
+        input: { $filter: { input: '$refunds', as: 'refund', cond: { $eq: ['$$refund.status', 'pending'] } } },
+        as: 'refund',
+        in: '$$refund.amount'
+      }
+    }
+  };
+  const inMinorUnits = (expression) => ({ $round: [{ $multiply: [expression, 100] }, 0] });
+
+  const updated = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      status: { $in: ['successful', 'partially_refunded'] },
+      $expr: {
+        $lte: [
+          inMinorUnits({ $add: ['$refundAmount', pendingRefunds, total] }),
+          inMinorUnits('$amount')
+        ]
+      }
+    },
+    {
+      $push: { refunds: { $each: entries } },
+      $inc: { __v: 1 }
+    },
+    { new: true, lean: true }
+  );
+
+  if (!updated) return null; // Another refund took the balance first
+
+  // Take on the stored state, so later saves only touch the fields they change
+  this.$init(updated);
+
+  return entries.map(entry => this.findRefund(entry.reference));
+};
+
+// METHOD: Gateway confirmed a refund - apply it to the payment totals
+paymentSchema.methods.settleRefund = async function(refund) {
+  if (refund.status !== 'pending') return false;
+
+  refund.status = 'processed';
+  refund.processedAt = new Date();
+
+  await this.processRefund(refund.amount, refund.reason, refund.reference);
+  return true;
+};
+
+// METHOD: Gateway rejected a refund - the amount becomes refundable again
+paymentSchema.methods.failRefund = async function(refund, failureReason) {
+  if (refund.status !== 'pending') return false;
+
+  refund.status = 'failed';
+  refund.failureReason = failureReason;
   await this.save();
+  return true;
+};
+
+// METHOD: Find a refund request by gateway ID or our reference
+paymentSchema.methods.findRefund = function(identifier) {
+  if (!identifier) return null;
+  const value = identifier.toString();
+
+  return this.refunds.find(refund =>
+    refund.gatewayRefundId === value || refund.reference === value.toUpperCase()
+  ) || null;
 };
 
 // METHOD: Complete payout
@@ -228,9 +514,9 @@ paymentSchema.statics.getDoctorEarnings = async function(doctorId, startDate = n
     {
       $group: {
         _id: null,
-        totalEarnings: { $sum: '$doctorEarnings' },
+        totalEarnings: { $sum: { $multiply: ['$doctorEarnings', { $ifNull: ['$exchangeRate', 1] }] } },
         totalTransactions: { $sum: 1 },
-        totalRefunded: { $sum: '$refundAmount' }
+        totalRefunded: { $sum: { $multiply: ['$refundAmount', { $ifNull: ['$exchangeRate', 1] }] } }
       }
     }
   ]);
@@ -238,10 +524,73 @@ paymentSchema.statics.getDoctorEarnings = async function(doctorId, startDate = n
   return result.length > 0 ? result[0] : { totalEarnings: 0, totalTransactions: 0, totalRefunded: 0 };
 };
 
+// STATIC: Earnings figures per doctor, period and consultation type (base currency).
+// unit is 'day', 'week' (starting Monday) or 'month'; periods follow the given timezone.
+// net is the doctor's share of what wasn't refunded, so a partial refund keeps the rest of the earnings.
+paymentSchema.statics.getEarningsBreakdown = async function({ doctorId = null, startDate, endDate, unit = 'month', timezone = 'UTC' }) {
+  const query = {
+    purpose: { $ne: 'wallet_top_up' },
+    status: { $in: ['successful', 'partially_refunded', 'refunded'] },
+    createdAt: { $gte: new Date(startDate), $lte: new Date(endDate) }
+  };
+
+  if (doctorId) {
+    query.doctorId = new mongoose.Types.ObjectId(String(doctorId));
+  }
+
+  const inBase = (field) => ({ $multiply: [field, '$rate'] });
+  const keptShare = {
+    $cond: [{ $gt: ['$amount', 0] }, { $divide: [{ $max: [{ $subtract: ['$amount', '$refundAmount'] }, 0] }, '$amount'] }, 0]
+  };
+  const net = { $multiply: [inBase('$doctorEarnings'), keptShare] };
+  const netWithPayout = (payoutStatus) => ({
+    $cond: [{ $eq: ['$payoutStatus', payoutStatus] }, net, 0]
+  });
+
+  return await this.aggregate([
+    { $match: query },
+    {
+      $lookup: {
+        from: mongoose.model('Appointment').collection.name,
+        localField: 'appointmentId',
+        foreignField: '_id',
+        pipeline: [{ $project: { consultationType: 1 } }],
+        as: 'appointment'
+      }
+    },
+    {
+      $addFields: {
+        rate: { $ifNull: ['$exchangeRate', 1] },
+        consultationType: { $ifNull: [{ $first: '$appointment.consultationType' }, 'unknown'] }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          doctorId: '$doctorId',
+          period: { $dateTrunc: { date: '$createdAt', unit, timezone, startOfWeek: 'monday' } },
+          consultationType: '$consultationType'
+        },
+        payments: { $sum: 1 },
+        gross: { $sum: inBase('$amount') },
+        platformFee: { $sum: inBase('$platformFee') },
+        refunds: { $sum: inBase('$refundAmount') },
+        net: { $sum: net },
+        payoutPending: { $sum: netWithPayout('pending') },
+        payoutProcessing: { $sum: netWithPayout('processing') },
+        payoutCompleted: { $sum: netWithPayout('completed') },
+        payoutFailed: { $sum: netWithPayout('failed') }
+      }
+    },
+    { $sort: { '_id.period': 1, '_id.doctorId': 1, '_id.consultationType': 1 } }
+  ]);
+};
+
 // STATIC: Get platform revenue
 paymentSchema.statics.getPlatformRevenue = async function(startDate = null, endDate = null) {
   const query = {
-    status: 'successful'
+    status: 'successful',
+    purpose: { $ne: 'wallet_top_up' } // Top-ups are patient money, not revenue
   };
   
   if (startDate || endDate) {
@@ -255,9 +604,9 @@ paymentSchema.statics.getPlatformRevenue = async function(startDate = null, endD
     {
       $group: {
         _id: null,
-        totalRevenue: { $sum: '$platformFee' },
+        totalRevenue: { $sum: { $multiply: ['$platformFee', { $ifNull: ['$exchangeRate', 1] }] } },
         totalTransactions: { $sum: 1 },
-        totalAmount: { $sum: '$amount' }
+        totalAmount: { $sum: { $multiply: ['$amount', { $ifNull: ['$exchangeRate', 1] }] } }
       }
     }
   ]);
@@ -265,11 +614,31 @@ paymentSchema.statics.getPlatformRevenue = async function(startDate = null, endD
   return result.length > 0 ? result[0] : { totalRevenue: 0, totalTransactions: 0, totalAmount: 0 };
 };
 
-// STATIC: Get pending payouts
+// STATIC: Claim payments for a payout. Only payments still waiting for a payout are taken,
+// so two runs can never put the same payment in two transfers. Returns every payment
+// held by this payout reference, including ones it had already claimed.
+paymentSchema.statics.claimForPayout = async function(paymentIds, payoutRef) {
+  const payoutReference = payoutRef.toUpperCase();
+
+  await this.updateMany(
+    {
+      _id: { $in: paymentIds },
+      status: { $in: ['successful', 'partially_refunded'] },
+      payoutStatus: { $in: ['pending', 'failed'] }
+    },
+    { $set: { payoutStatus: 'processing', payoutReference } }
+  );
+
+  return await this.find({ _id: { $in: paymentIds }, payoutStatus: 'processing', payoutReference });
+};
+
+// STATIC: Get pending payouts (failed transfers are retried). Partially refunded payments
+// are included so the doctor is paid the share that was kept.
 paymentSchema.statics.getPendingPayouts = async function(doctorId = null) {
   const query = {
-    status: 'successful',
-    payoutStatus: 'pending'
+    status: { $in: ['successful', 'partially_refunded'] },
+    purpose: { $ne: 'wallet_top_up' },
+    payoutStatus: { $in: ['pending', 'failed'] }
   };
   
   if (doctorId) {
@@ -278,7 +647,7 @@ paymentSchema.statics.getPendingPayouts = async function(doctorId = null) {
   
   return await this.find(query)
     .populate('doctorId', 'firstName lastName bankDetails')
-    .populate('appointmentId', 'appointmentDate consultationType')
+    .populate('appointmentId', 'appointmentDate consultationType status cancellationRefundRule')
     .sort({ createdAt: 1 });
 };
 
@@ -287,13 +656,35 @@ paymentSchema.statics.findByReference = async function(reference) {
   return await this.findOne({ transactionReference: reference.toUpperCase() });
 };
 
-// MIDDLEWARE: Calculate platform fee and doctor earnings before save
-paymentSchema.pre('save', function() {
-  if (this.isNew || this.isModified('amount')) {
-    // Platform takes 10% commission
-    this.platformFee = Math.round(this.amount * 0.10);
-    this.doctorEarnings = this.amount - this.platformFee;
+// MIDDLEWARE: Apply the commission rule and calculate platform fee and doctor earnings before save
+paymentSchema.pre('save', async function() {
+  if (!this.isNew && !this.isModified('amount')) return;
+
+  // Top-ups carry no commission and no doctor earnings
+  if (this.purpose === 'wallet_top_up') {
+    this.platformFee = 0;
+    this.doctorEarnings = 0;
+    return;
   }
+
+  // The rule is fixed on first save; later amount changes reuse the same rate
+  if (this.commission?.rate === undefined || this.commission?.rate === null) {
+    const Appointment = mongoose.model('Appointment');
+    const Doctor = mongoose.model('Doctor');
+
+    const appointment = await Appointment.findById(this.appointmentId).select('consultationType');
+    const doctor = await Doctor.findById(this.doctorId).select('specialties');
+
+    this.commission = await CommissionRule.resolveSnapshot({
+      doctorId: this.doctorId,
+      specialties: doctor?.specialties || [],
+      consultationType: appointment?.consultationType
+    });
+  }
+
+  // Rounded to the currency's minor unit
+  this.platformFee = Math.round(this.amount * this.commission.rate) / 100;
+  this.doctorEarnings = Math.round((this.amount - this.platformFee) * 100) / 100;
 });
 
 // MIDDLEWARE: Update transaction reference to uppercase
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+
+const payoutSchema = new mongoose.Schema({
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: [true, 'Doctor ID is required']
+  },
+  payments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  }],
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0, 'Amount cannot be negative']
+  },
+  currency: {
+    type: String,
+    default: 'NGN',
+    uppercase: true
+  },
+  gateway: {
+    type: String,
+    enum: ['paystack', 'stripe'],
+    default: 'paystack'
+  },
+  reference: {
+    type: String,
+    required: [true, 'Payout reference is required'],
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  recipientCode: {
+    type: String
+  },
+  transferCode: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['pending', 'processing', 'completed', 'failed', 'reversed'],
+      message: 'Invalid payout status'
+    },
+    default: 'pending'
+  },
+  failureReason: {
+    type: String
+  },
+  // Transfer requests that errored before the gateway answered; retried under the same reference
+  sendAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastSendError: {
+    type: String
+  },
+  initiatedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  failedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// INDEXES
+// Note: reference already has an index from 'unique: true'
+payoutSchema.index({ doctorId: 1, createdAt: -1 });
+payoutSchema.index({ status: 1 });
+
+// VIRTUAL: Number of payments in this payout
+payoutSchema.virtual('paymentCount').get(function() {
+  return this.payments ? this.payments.length : 0;
+});
+
+// METHOD: Transfer accepted by the gateway
+payoutSchema.methods.markProcessing = async function(transferCode) {
+  this.status = 'processing';
+  this.transferCode = transferCode;
+  this.initiatedAt = new Date();
+  await this.save();
+};
+
+// METHOD: Transfer request errored; stays pending so the next run resends it
+payoutSchema.methods.recordSendError = async function(message) {
+  this.sendAttempts += 1;
+  this.lastSendError = message;
+  await this.save();
+};
+
+// METHOD: Transfer landed in the doctor's account
+payoutSchema.methods.markCompleted = async function() {
+  this.status = 'completed';
+  this.completedAt = new Date();
+  await this.save();
+};
+
+// METHOD: Transfer failed or was reversed
+payoutSchema.methods.markFailed = async function(reason, status = 'failed') {
+  this.status = status;
+  this.failureReason = reason;
+  this.failedAt = new Date();
+  await this.save();
+};
+
+// STATIC: Payout history for a doctor
+payoutSchema.statics.getForDoctor = async function(doctorId, limit = 20, skip = 0) {
+  return await this.find({ doctorId })
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+};
+
+// STATIC: Payouts whose transfer has not been accepted by the gateway yet
+payoutSchema.statics.getUnsent = async function() {
+  return await this.find({ status: 'pending' }).sort({ createdAt: 1 });
+};
+
+// STATIC: Find payout by reference
+payoutSchema.statics.findByReference = async function(reference) {
+  return await this.findOne({ reference: reference.toUpperCase() });
+};
+
+// Ensure virtuals are included in JSON
+payoutSchema.set('toJSON', { virtuals: true });
+payoutSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Payout', payoutSchema);
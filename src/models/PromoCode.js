@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+
+const promoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Promo code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Code must be 3-30 letters, numbers, dashes or underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  discountType: {
+    type: String,
+    enum: {
+      values: ['percentage', 'fixed'],
+      message: 'Discount type must be percentage or fixed'
+    },
+    required: [true, 'Discount type is required']
+  },
+  // Percent for percentage codes, base-currency amount for fixed codes
+  discountValue: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0.01, 'Discount value must be greater than zero']
+  },
+  // Upper bound on a percentage discount (base currency)
+  maxDiscountAmount: {
+    type: Number,
+    default: null,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+  // null means unlimited
+  maxRedemptions: {
+    type: Number,
+    default: null,
+    min: [1, 'Maximum redemptions must be at least 1']
+  },
+  maxRedemptionsPerUser: {
+    type: Number,
+    default: 1,
+    min: [1, 'Per-user limit must be at least 1']
+  },
+  // Payments currently holding or using the code; failed checkouts give theirs back
+  redemptionCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  startsAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  eligibility: {
+    specialties: [{
+      type: String,
+      trim: true
+    }],
+    consultationTypes: [{
+      type: String,
+      enum: {
+        values: ['in-person', 'video', 'chat'],
+        message: 'Consultation type must be in-person, video, or chat'
+      }
+    }],
+    firstVisitOnly: {
+      type: Boolean,
+      default: false
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// INDEXES
+// Note: code already has an index from 'unique: true'
+promoCodeSchema.index({ isActive: 1, expiresAt: 1 });
+
+// MIDDLEWARE: Percentages can't go past 100 and the window must make sense
+promoCodeSchema.pre('validate', function() {
+  if (this.discountType === 'percentage' && this.discountValue > 100) {
+    this.invalidate('discountValue', 'Percentage discount cannot exceed 100');
+  }
+  if (this.expiresAt && this.startsAt && this.expiresAt <= this.startsAt) {
+    this.invalidate('expiresAt', 'Expiry must be after the start date');
+  }
+});
+
+// VIRTUAL: Redemptions left (null when unlimited)
+promoCodeSchema.virtual('remainingRedemptions').get(function() {
+  if (this.maxRedemptions === null || this.maxRedemptions === undefined) return null;
+  return Math.max(0, this.maxRedemptions - this.redemptionCount);
+});
+
+// METHOD: Is the code live at a given time (ignores usage caps)
+promoCodeSchema.methods.isRedeemableAt = function(at = new Date()) {
+  if (!this.isActive) return false;
+  if (this.startsAt && this.startsAt > at) return false;
+  if (this.expiresAt && this.expiresAt <= at) return false;
+  return true;
+};
+
+// METHOD: Discount on an amount in a payment currency (exchangeRate = base units per unit)
+promoCodeSchema.methods.calculateDiscount = function(amount, exchangeRate = 1) {
+  let discount = this.discountType === 'percentage'
+    ? amount * this.discountValue / 100
+    : this.discountValue / exchangeRate;
+
+  if (this.discountType === 'percentage' && this.maxDiscountAmount !== null && this.maxDiscountAmount !== undefined) {
+    discount = Math.min(discount, this.maxDiscountAmount / exchangeRate);
+  }
+
+  // Rounded to the currency's minor unit, never more than the amount itself
+  return Math.min(Math.round(discount * 100) / 100, amount);
+};
+
+// METHOD: Frozen copy stored on payments
+promoCodeSchema.methods.toSnapshot = function() {
+  return {
+    promoCodeId: this._id,
+    code: this.code,
+    discountType: this.discountType,
+    discountValue: this.discountValue
+  };
+};
+
+// STATIC: Find by code (case-insensitive)
+promoCodeSchema.statics.findByCode = async function(code) {
+  return await this.findOne({ code: String(code).trim().toUpperCase() });
+};
+
+// STATIC: Take one redemption if the global cap allows it (null when the code is used up)
+promoCodeSchema.statics.reserve = async function(promoCodeId) {
+  return await this.findOneAndUpdate(
+    {
+      _id: promoCodeId,
+      isActive: true,
+      $or: [
+        { maxRedemptions: null },
+        { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } }
+      ]
+    },
+    { $inc: { redemptionCount: 1 } },
+    { new: true }
+  );
+};
+
+// STATIC: Give a redemption back
+promoCodeSchema.statics.release = async function(promoCodeId) {
+  return await this.findOneAndUpdate(
+    { _id: promoCodeId, redemptionCount: { $gt: 0 } },
+    { $inc: { redemptionCount: -1 } },
+    { new: true }
+  );
+};
+
+// Ensure virtuals are included in JSON
+promoCodeSchema.set('toJSON', { virtuals: true });
+promoCodeSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('PromoCode', promoCodeSchema);
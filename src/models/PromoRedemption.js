@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// How many of a promo code's redemptions one patient currently holds or has used
+const promoRedemptionSchema = new mongoose.Schema({
+  promoCodeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    required: [true, 'Promo code ID is required']
+  },
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: [true, 'Patient ID is required']
+  },
+  // Payments holding or using the code; failed checkouts give theirs back
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+// INDEXES
+// One counter per patient and code
+promoRedemptionSchema.index({ promoCodeId: 1, patientId: 1 }, { unique: true });
+
+// STATIC: Take one of a patient's redemptions if they are under the limit (null when they aren't).
+// The check and the increment are one update, so concurrent checkouts can't both get the last one.
+promoRedemptionSchema.statics.reserve = async function(promoCodeId, patientId, limit) {
+  const take = (upsert) => this.findOneAndUpdate(
+    { promoCodeId, patientId, count: { $lt: limit } },
+    { $inc: { count: 1 } },
+    { new: true, upsert }
+  );
+
+  try {
+    return await take(true);
+  } catch (error) {
+    // The counter exists but is at the limit, or another checkout created it first
+    if (error.code === 11000) return await take(false);
+    throw error;
+  }
+};
+
+// STATIC: Give a patient's redemption back
+promoRedemptionSchema.statics.release = async function(promoCodeId, patientId) {
+  return await this.findOneAndUpdate(
+    { promoCodeId, patientId, count: { $gt: 0 } },
+    { $inc: { count: -1 } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('PromoRedemption', promoRedemptionSchema);
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+
+const discrepancySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: {
+      values: ['amount_mismatch', 'status_mismatch', 'orphaned_transaction', 'double_charge', 'unresolved_pending'],
+      message: 'Invalid discrepancy type'
+    },
+    required: true
+  },
+  gateway: {
+    type: String
+  },
+  reference: {
+    type: String // Our transaction reference, or the gateway's for orphaned transactions
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    default: null
+  },
+  expectedAmount: {
+    type: Number
+  },
+  actualAmount: {
+    type: Number
+  },
+  currency: {
+    type: String
+  },
+  details: {
+    type: String,
+    trim: true
+  },
+  resolved: {
+    type: Boolean,
+    default: false
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: {
+    type: Date
+  },
+  resolutionNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Resolution note cannot exceed 500 characters']
+  }
+});
+
+const reconciliationReportSchema = new mongoose.Schema({
+  // UTC day covered by the report (YYYY-MM-DD)
+  reportDate: {
+    type: String,
+    required: [true, 'Report date is required'],
+    unique: true,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Report date must be YYYY-MM-DD']
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  // partial: at least one gateway couldn't be reached, so orphan checks are incomplete
+  status: {
+    type: String,
+    enum: ['completed', 'partial'],
+    default: 'completed'
+  },
+  summary: {
+    paymentsChecked: { type: Number, default: 0 },
+    gatewayTransactions: { type: Number, default: 0 },
+    amountMismatches: { type: Number, default: 0 },
+    statusMismatches: { type: Number, default: 0 },
+    orphanedTransactions: { type: Number, default: 0 },
+    doubleCharges: { type: Number, default: 0 },
+    unresolvedPending: { type: Number, default: 0 }
+  },
+  discrepancies: [discrepancySchema],
+  gatewayErrors: [{
+    gateway: String,
+    message: String
+  }],
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// INDEXES
+// Note: reportDate already has an index from 'unique: true'
+reconciliationReportSchema.index({ 'discrepancies.resolved': 1 });
+
+// VIRTUAL: Discrepancies still waiting for finance
+reconciliationReportSchema.virtual('openDiscrepancies').get(function() {
+  return (this.discrepancies || []).filter(discrepancy => !discrepancy.resolved).length;
+});
+
+// METHOD: Mark a discrepancy as dealt with
+reconciliationReportSchema.methods.resolveDiscrepancy = async function(discrepancyId, userId, note) {
+  const discrepancy = this.discrepancies.id(discrepancyId);
+  if (!discrepancy) return null;
+
+  discrepancy.resolved = true;
+  discrepancy.resolvedBy = userId;
+  discrepancy.resolvedAt = new Date();
+  discrepancy.resolutionNote = note;
+
+  await this.save();
+  return discrepancy;
+};
+
+// Ensure virtuals are included in JSON
+reconciliationReportSchema.set('toJSON', { virtuals: true });
+reconciliationReportSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('ReconciliationReport', reconciliationReportSchema);
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+const CONSENT_STATUSES = ['requested', 'granted', 'declined', 'revoked'];
+
+// A doctor's request to export a patient's clinical record, and the patient's answer
+const recordConsentSchema = new mongoose.Schema({
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: [true, 'Patient ID is required']
+  },
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: [true, 'Doctor ID is required']
+  },
+  purpose: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Purpose cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: CONSENT_STATUSES,
+      message: 'Invalid consent status'
+    },
+    default: 'requested'
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  respondedAt: {
+    type: Date
+  },
+  // Granted access lapses at this time
+  expiresAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  },
+  lastAccessedAt: {
+    type: Date
+  },
+  accessCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+// INDEXES
+recordConsentSchema.index({ patientId: 1, doctorId: 1, status: 1 });
+recordConsentSchema.index({ doctorId: 1, requestedAt: -1 });
+recordConsentSchema.index({ patientId: 1, requestedAt: -1 });
+
+// Allowed status changes (current status -> next statuses)
+const STATUS_TRANSITIONS = {
+  requested: ['granted', 'declined'],
+  granted: ['revoked'],
+  declined: [],
+  revoked: []
+};
+
+// VIRTUAL: Granted and not yet lapsed
+recordConsentSchema.virtual('isActive').get(function() {
+  return this.status === 'granted' && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// METHOD: Check if the consent can move to a new status
+recordConsentSchema.methods.canTransitionTo = function(nextStatus) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(nextStatus);
+};
+
+// METHOD: Record the patient's answer (grant, decline) or a later revocation
+recordConsentSchema.methods.respond = async function(nextStatus, validDays) {
+  const now = new Date();
+
+  this.status = nextStatus;
+
+  if (nextStatus === 'granted') {
+    this.respondedAt = now;
+    this.expiresAt = new Date(now.getTime() + validDays * 24 * 3600000);
+  } else if (nextStatus === 'declined') {
+    this.respondedAt = now;
+  } else if (nextStatus === 'revoked') {
+    this.revokedAt = now;
+  }
+
+  await this.save();
+};
+
+// METHOD: Note an export made under this consent
+recordConsentSchema.methods.recordAccess = async function() {
+  this.lastAccessedAt = new Date();
+  this.accessCount += 1;
+  await this.save();
+};
+
+// STATIC: The doctor's current, unexpired consent for a patient (if any)
+recordConsentSchema.statics.findActive = async function(patientId, doctorId) {
+  return await this.findOne({
+    patientId,
+    doctorId,
+    status: 'granted',
+    expiresAt: { $gt: new Date() }
+  }).sort({ expiresAt: -1 });
+};
+
+// Ensure virtuals are included in JSON
+recordConsentSchema.set('toJSON', { virtuals: true });
+recordConsentSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('RecordConsent', recordConsentSchema);
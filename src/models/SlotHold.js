@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+const slotHoldSchema = new mongoose.Schema({
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: [true, 'Doctor ID is required']
+  },
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: [true, 'Patient ID is required']
+  },
+  startTime: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  duration: {
+    type: Number,
+    required: true,
+    min: [15, 'Duration must be at least 15 minutes'],
+    max: [120, 'Duration cannot exceed 120 minutes']
+  },
+  timezone: {
+    type: String
+  },
+  consultationType: {
+    type: String,
+    enum: {
+      values: ['in-person', 'video', 'chat'],
+      message: 'Consultation type must be in-person, video, or chat'
+    },
+    required: [true, 'Consultation type is required']
+  },
+  consultationFee: {
+    type: Number,
+    required: true,
+    min: [0, 'Fee cannot be negative']
+  },
+  reasonForVisit: {
+    type: String,
+    required: [true, 'Reason for visit is required'],
+    trim: true,
+    minlength: [10, 'Reason must be at least 10 characters'],
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  symptoms: [{
+    type: String,
+    trim: true
+  }],
+  isFollowUp: {
+    type: Boolean,
+    default: false
+  },
+  previousAppointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  // 'booking' holds are checkouts the patient pays from; 'reschedule' holds guard a move in progress
+  purpose: {
+    type: String,
+    enum: ['booking', 'reschedule'],
+    default: 'booking'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// INDEXES
+// One hold per doctor per start time - this is what makes two racing checkouts fail cleanly
+slotHoldSchema.index({ doctorId: 1, startTime: 1 }, { unique: true });
+slotHoldSchema.index({ patientId: 1 });
+slotHoldSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index releases expired holds
+
+// VIRTUAL: End time
+slotHoldSchema.virtual('endTime').get(function() {
+  return new Date(this.startTime.getTime() + this.duration * 60000);
+});
+
+// VIRTUAL: Is hold still valid
+slotHoldSchema.virtual('isActive').get(function() {
+  return this.expiresAt > new Date();
+});
+
+// STATIC: Try to take an exclusive hold on a start time (returns null if someone else has it)
+slotHoldSchema.statics.acquire = async function(holdData) {
+  // The TTL monitor only runs once a minute, so clear lapsed holds on this slot ourselves
+  await this.deleteMany({
+    doctorId: holdData.doctorId,
+    startTime: holdData.startTime,
+    expiresAt: { $lte: new Date() }
+  });
+
+  try {
+    return await this.create(holdData);
+  } catch (error) {
+    if (error.code === 11000) return null; // Duplicate key - slot already held
+    throw error;
+  }
+};
+
+// STATIC: Active holds for a doctor in a time window
+slotHoldSchema.statics.getActiveForDoctor = async function(doctorId, from, to) {
+  return await this.find({
+    doctorId,
+    expiresAt: { $gt: new Date() },
+    startTime: { $gte: from, $lte: to }
+  });
+};
+
+// Ensure virtuals are included in JSON
+slotHoldSchema.set('toJSON', { virtuals: true });
+slotHoldSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('SlotHold', slotHoldSchema);
@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { isValidTimeZone } = require('../utils/timezone');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -61,6 +62,11 @@ const userSchema = new mongoose.Schema({
   resetPasswordExpires: Date,
   verificationToken: String,
   verificationExpires: Date,
+  calendarFeedToken: {
+    type: String,
+    select: false // SHA-256 hash of the token in the feed URL
+  },
+  calendarFeedCreatedAt: Date,
 
     otp: {
     type: String,
@@ -76,6 +82,17 @@ const userSchema = new mongoose.Schema({
     select: false
   },
   
+  timezone: {
+    type: String,
+    default: null,
+    validate: {
+      validator: function(value) {
+        if (!value) return true; // Optional - falls back to the doctor's timezone
+        return isValidTimeZone(value);
+      },
+      message: 'Timezone must be a valid IANA timezone (e.g. Africa/Lagos)'
+    }
+  },
   lastLogin: {
     type: Date,
     default: null
@@ -92,6 +109,7 @@ const userSchema = new mongoose.Schema({
 // INDEXES
 // Note: email and phoneNumber already have indexes from 'unique: true'
 userSchema.index({ role: 1 });
+userSchema.index({ calendarFeedToken: 1 }, { sparse: true });
 
 // MIDDLEWARE: Hash password before saving
 userSchema.pre('save', async function() {
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Cached balance for a patient's wallet. WalletTransaction is the source of truth;
+// the balance is only ever changed with $inc alongside a ledger entry.
+const walletSchema = new mongoose.Schema({
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: [true, 'Patient ID is required'],
+    unique: true
+  },
+  balance: {
+    type: Number,
+    default: 0,
+    min: [0, 'Wallet balance cannot be negative']
+  },
+  currency: {
+    type: String,
+    default: 'NGN',
+    uppercase: true
+  }
+}, {
+  timestamps: true
+});
+
+// STATIC: Get (or create) a patient's wallet
+walletSchema.statics.getForPatient = async function(patientId) {
+  return await this.findOneAndUpdate(
+    { patientId },
+    { $setOnInsert: { patientId, balance: 0 } },
+    { new: true, upsert: true }
+  );
+};
+
+// STATIC: Atomically add to a balance
+walletSchema.statics.increment = async function(patientId, amount) {
+  return await this.findOneAndUpdate(
+    { patientId },
+    { $inc: { balance: amount } },
+    { new: true, upsert: true }
+  );
+};
+
+// STATIC: Atomically take from a balance (null if there isn't enough)
+walletSchema.statics.decrement = async function(patientId, amount) {
+  return await this.findOneAndUpdate(
+    { patientId, balance: { $gte: amount } },
+    { $inc: { balance: -amount } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('Wallet', walletSchema);
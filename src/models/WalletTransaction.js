@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+// Append-only wallet ledger: entries are never edited or removed, corrections are new entries
+const walletTransactionSchema = new mongoose.Schema({
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: [true, 'Patient ID is required']
+  },
+  type: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: [true, 'Transaction type is required']
+  },
+  source: {
+    type: String,
+    enum: {
+      values: ['top_up', 'refund', 'appointment_payment', 'payment_reversal'],
+      message: 'Invalid wallet transaction source'
+    },
+    required: [true, 'Transaction source is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be greater than zero']
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'NGN',
+    uppercase: true
+  },
+  // Every entry points at the payment that explains it
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: [true, 'Payment ID is required']
+  },
+  reference: {
+    type: String,
+    required: [true, 'Reference is required'],
+    unique: true, // Makes each credit/debit idempotent
+    trim: true,
+    uppercase: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// INDEXES
+// Note: reference already has an index from 'unique: true'
+walletTransactionSchema.index({ patientId: 1, createdAt: -1 });
+walletTransactionSchema.index({ paymentId: 1 });
+
+// VIRTUAL: Signed amount (+credit / -debit)
+walletTransactionSchema.virtual('signedAmount').get(function() {
+  return this.type === 'credit' ? this.amount : -this.amount;
+});
+
+// MIDDLEWARE: Ledger is append-only
+const rejectChange = function() {
+  throw new Error('Wallet transactions are append-only');
+};
+
+walletTransactionSchema.pre('save', function() {
+  if (!this.isNew) rejectChange();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+  .forEach(operation => walletTransactionSchema.pre(operation, rejectChange));
+
+// STATIC: Balance implied by the ledger
+walletTransactionSchema.statics.getLedgerBalance = async function(patientId) {
+  const result = await this.aggregate([
+    { $match: { patientId: new mongoose.Types.ObjectId(patientId) } },
+    {
+      $group: {
+        _id: null,
+        credits: { $sum: { $cond: [{ $eq: ['$type', 'credit'] }, '$amount', 0] } },
+        debits: { $sum: { $cond: [{ $eq: ['$type', 'debit'] }, '$amount', 0] } }
+      }
+    }
+  ]);
+
+  return result.length > 0 ? result[0].credits - result[0].debits : 0;
+};
+
+// Ensure virtuals are included in JSON
+walletTransactionSchema.set('toJSON', { virtuals: true });
+walletTransactionSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('WalletTransaction', walletTransactionSchema);
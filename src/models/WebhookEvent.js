@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+const webhookEventSchema = new mongoose.Schema({
+  gateway: {
+    type: String,
+    enum: ['paystack', 'stripe'],
+    required: [true, 'Gateway is required']
+  },
+  eventId: {
+    type: String,
+    required: [true, 'Event ID is required'] // Gateway's event ID (or one derived from the payload)
+  },
+  type: {
+    type: String, // Gateway's own event name
+    required: true
+  },
+  normalizedType: {
+    type: String // e.g. charge.success, refund.processed, transfer.failed
+  },
+  reference: {
+    type: String
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['received', 'processing', 'processed', 'ignored', 'failed'],
+      message: 'Invalid webhook event status'
+    },
+    default: 'received'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String
+  },
+  nextRetryAt: {
+    type: Date,
+    default: null
+  },
+  processedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// INDEXES
+// Same event delivered twice maps to the same document
+webhookEventSchema.index({ gateway: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ status: 1, nextRetryAt: 1 });
+webhookEventSchema.index({ status: 1, updatedAt: 1 });
+webhookEventSchema.index({ createdAt: -1 });
+
+// STATIC: Claim an event for processing (null if it is already being handled or done).
+// An event left 'processing' since before staleBefore was abandoned by a crashed run and can be taken over.
+webhookEventSchema.statics.claim = async function(id, staleBefore) {
+  return await this.findOneAndUpdate(
+    {
+      _id: id,
+      $or: [
+        { status: { $in: ['received', 'failed'] } },
+        { status: 'processing', updatedAt: { $lte: staleBefore } }
+      ]
+    },
+    { $set: { status: 'processing' }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+};
+
+// STATIC: Events due for another attempt: failed ones whose backoff has passed, and ones
+// stuck 'received' or 'processing' since before staleBefore with attempts left
+webhookEventSchema.statics.getDueForRetry = async function(staleBefore, maxAttempts, limit = 50) {
+  return await this.find({
+    $or: [
+      { status: 'failed', nextRetryAt: { $ne: null, $lte: new Date() } },
+      { status: { $in: ['received', 'processing'] }, updatedAt: { $lte: staleBefore }, attempts: { $lt: maxAttempts } }
+    ]
+  })
+    .sort({ updatedAt: 1 })
+    .limit(limit);
+};
+
+// Ensure virtuals are included in JSON
+webhookEventSchema.set('toJSON', { virtuals: true });
+webhookEventSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
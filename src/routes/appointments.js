@@ -4,30 +4,47 @@ const router = express.Router();
 const {
   getAvailableSlots,
   bookAppointment,
+  holdSlot,
+  releaseSlotHold,
   getAppointment,
   getMyAppointments,
   getDoctorAppointments,
   confirmAppointment,
+  startAppointment,
+  completeAppointment,
+  markNoShow,
+  disputeNoShow,
   cancelAppointment,
+  rescheduleAppointment,
   getUpcomingAppointments
 } = require('../controllers/appointmentController');
+const { downloadAppointment } = require('../controllers/calendarController');
+const { initializePayment } = require('../controllers/paymentController');
 
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, optionalAuth } = require('../middleware/auth');
 
 // Public routes
-router.get('/available-slots', getAvailableSlots);
+router.get('/available-slots', optionalAuth, getAvailableSlots);
 
 // Patient routes
-router.post('/', protect, authorize('patient'), bookAppointment);
+router.post('/', protect, authorize('patient'), bookAppointment, initializePayment);
+router.post('/holds', protect, authorize('patient'), holdSlot);
+router.delete('/holds/:id', protect, authorize('patient'), releaseSlotHold);
 router.get('/my/appointments', protect, authorize('patient'), getMyAppointments);
 
 // Doctor routes
 router.get('/doctor/appointments', protect, authorize('doctor'), getDoctorAppointments);
 router.put('/:id/confirm', protect, authorize('doctor'), confirmAppointment);
+router.put('/:id/start', protect, authorize('doctor'), startAppointment);
+router.put('/:id/complete', protect, authorize('doctor'), completeAppointment);
+router.put('/:id/no-show', protect, authorize('doctor'), markNoShow);
+router.put('/:id/no-show/dispute', protect, authorize('doctor'), disputeNoShow);
 
 // Shared routes (Patient/Doctor)
 router.get('/upcoming', protect, authorize('patient', 'doctor'), getUpcomingAppointments);
 router.get('/:id', protect, getAppointment);
+router.get('/:id/calendar.ics', protect, authorize('patient', 'doctor'), downloadAppointment);
 router.put('/:id/cancel', protect, authorize('patient', 'doctor'), cancelAppointment);
+router.put('/:id/reschedule', protect, authorize('patient', 'doctor'), rescheduleAppointment);
 
 module.exports = router;
\ No newline at end of file
@@ -7,6 +7,7 @@ const {
   refreshToken,
   logout,
   getMe,
+  updateTimezone,
   forgotPassword,
   resetPassword,
   verifyOtp,      // ADD THIS
@@ -28,5 +29,6 @@ router.post('/reset-password', resetPassword);
 // Protected routes
 router.post('/logout', protect, logout);
 router.get('/me', protect, getMe);
+router.put('/me/timezone', protect, updateTimezone);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  createFeed,
+  revokeFeed,
+  getFeed
+} = require('../controllers/calendarController');
+
+const { protect, authorize } = require('../middleware/auth');
+
+// Public route - calendar apps can't send auth headers, the token is the credential
+router.get('/feed/:token.ics', getFeed);
+
+// Feed management
+router.post('/feed', protect, authorize('patient', 'doctor'), createFeed);
+router.delete('/feed', protect, authorize('patient', 'doctor'), revokeFeed);
+
+module.exports = router;
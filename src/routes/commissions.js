@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  getRules,
+  createRule,
+  updateRule,
+  deactivateRule,
+  resolveRule
+} = require('../controllers/commissionController');
+
+const { protect, authorize } = require('../middleware/auth');
+
+// Admin routes
+router.use(protect, authorize('admin'));
+
+router.get('/', getRules);
+router.post('/', createRule);
+router.get('/resolve', resolveRule);
+router.put('/:id', updateRule);
+router.delete('/:id', deactivateRule);
+
+module.exports = router;
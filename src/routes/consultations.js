@@ -8,13 +8,15 @@ const {
   getDoctorConsultations,
   updateConsultation,
   addPrescription,
-  addRecommendedTest
+  addRecommendedTest,
+  checkPrescription
 } = require('../controllers/consultationController');
 
 const { protect, authorize } = require('../middleware/auth');
 
 // Doctor routes
 router.post('/', protect, authorize('doctor'), createConsultation);
+router.post('/medication-check', protect, authorize('doctor'), checkPrescription);
 router.get('/doctor/consultations', protect, authorize('doctor'), getDoctorConsultations);
 router.put('/:id', protect, authorize('doctor'), updateConsultation);
 router.post('/:id/prescription', protect, authorize('doctor'), addPrescription);
@@ -14,6 +14,16 @@ const {
   uploadDocuments  // ✅ Add this
 } = require('../controllers/doctorController');
 
+const {
+  getMyAvailability,
+  updateWeeklySchedule,
+  updateSettings,
+  addBlockedDate,
+  removeBlockedDate,
+  addCustomDate,
+  removeCustomDate
+} = require('../controllers/availabilityController');
+
 const { protect, authorize, optionalAuth } = require('../middleware/auth');
 
 // Doctor-only routes (MUST come first)
@@ -21,6 +31,15 @@ router.get('/me/profile', protect, authorize('doctor'), getMyProfile);
 router.put('/me/profile', protect, authorize('doctor'), updateProfile);
 router.post('/me/documents', protect, authorize('doctor'), uploadDocuments); // ✅ Add this
 
+// Doctor availability management
+router.get('/me/availability', protect, authorize('doctor'), getMyAvailability);
+router.put('/me/availability/schedule', protect, authorize('doctor'), updateWeeklySchedule);
+router.put('/me/availability/settings', protect, authorize('doctor'), updateSettings);
+router.post('/me/availability/blocked-dates', protect, authorize('doctor'), addBlockedDate);
+router.delete('/me/availability/blocked-dates/:blockId', protect, authorize('doctor'), removeBlockedDate);
+router.post('/me/availability/custom-dates', protect, authorize('doctor'), addCustomDate);
+router.delete('/me/availability/custom-dates/:customDateId', protect, authorize('doctor'), removeCustomDate);
+
 // Admin-only routes (MUST come before public routes)
 router.get('/admin/pending', protect, authorize('admin'), getPendingDoctors);
 router.put('/:id/verify', protect, authorize('admin'), verifyDoctor);
@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  getCatalog,
+  getProviders,
+  createProvider,
+  updateProvider,
+  deactivateProvider,
+  addPlan,
+  updatePlan,
+  getMyPolicies,
+  addPolicy,
+  updatePolicy,
+  removePolicy,
+  estimateCoverage,
+  getAcceptedInsurers,
+  setAcceptedInsurers
+} = require('../controllers/insuranceController');
+
+const {
+  getMyClaims,
+  getDoctorClaims,
+  getClaim,
+  getClaims,
+  fileClaim,
+  updateClaimStatus,
+  exportClaims
+} = require('../controllers/insuranceClaimController');
+
+const { protect, authorize } = require('../middleware/auth');
+
+// Public routes
+router.get('/providers', getCatalog);
+
+// Patient routes
+router.get('/policies', protect, authorize('patient'), getMyPolicies);
+router.post('/policies', protect, authorize('patient'), addPolicy);
+router.put('/policies/:id', protect, authorize('patient'), updatePolicy);
+router.delete('/policies/:id', protect, authorize('patient'), removePolicy);
+router.get('/estimate', protect, authorize('patient'), estimateCoverage);
+router.get('/claims', protect, authorize('patient'), getMyClaims);
+
+// Doctor routes
+router.get('/doctor/accepted', protect, authorize('doctor'), getAcceptedInsurers);
+router.put('/doctor/accepted', protect, authorize('doctor'), setAcceptedInsurers);
+router.get('/doctor/claims', protect, authorize('doctor'), getDoctorClaims);
+
+// Admin routes
+router.get('/admin/providers', protect, authorize('admin'), getProviders);
+router.post('/admin/providers', protect, authorize('admin'), createProvider);
+router.put('/admin/providers/:id', protect, authorize('admin'), updateProvider);
+router.delete('/admin/providers/:id', protect, authorize('admin'), deactivateProvider);
+router.post('/admin/providers/:id/plans', protect, authorize('admin'), addPlan);
+router.put('/admin/providers/:id/plans/:planId', protect, authorize('admin'), updatePlan);
+router.get('/admin/claims', protect, authorize('admin'), getClaims);
+router.get('/admin/claims/export', protect, authorize('admin'), exportClaims);
+router.post('/admin/claims', protect, authorize('admin'), fileClaim);
+router.put('/admin/claims/:id/status', protect, authorize('admin'), updateClaimStatus);
+
+// Shared routes
+router.get('/claims/:id', protect, getClaim);
+
+module.exports = router;
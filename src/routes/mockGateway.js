@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  getCheckoutPage,
+  completeCheckout
+} = require('../controllers/mockGatewayController');
+
+// Only mounted when the mock gateway is on (see config/payments.js) - never in production
+router.get('/checkout/:reference', getCheckoutPage);
+router.post('/checkout/:reference/:action', completeCheckout);
+
+module.exports = router;
@@ -3,18 +3,48 @@ const router = express.Router();
 
 const {
   initializePayment,
-  paystackWebhook,
   verifyPayment,
   getPayment,
   getMyPayments,
   getDoctorEarnings,
-  getPlatformRevenue
+  getPlatformRevenue,
+  refundPayment,
+  getPaymentReceipt,
+  getDoctorStatement
 } = require('../controllers/paymentController');
 
+const {
+  getMyPayouts,
+  getAllPayouts,
+  getPayout,
+  runPayouts
+} = require('../controllers/payoutController');
+
+const {
+  getMyEarningsStatement,
+  getEarningsStatement
+} = require('../controllers/earningsController');
+
+const {
+  handleWebhook,
+  getWebhookEvents,
+  getWebhookEvent,
+  retryWebhookEvent
+} = require('../controllers/webhookController');
+
+const {
+  getReports,
+  getReport,
+  generateReport,
+  resolveDiscrepancy,
+  runReconciliation
+} = require('../controllers/reconciliationController');
+
 const { protect, authorize } = require('../middleware/auth');
 
 // Public routes (Webhook)
-router.post('/webhook', paystackWebhook);
+router.post('/webhook', handleWebhook); // Paystack (original URL)
+router.post('/webhook/:gateway', handleWebhook);
 
 // Patient routes
 router.post('/initialize', protect, authorize('patient'), initializePayment);
@@ -22,12 +52,29 @@ router.get('/my/payments', protect, authorize('patient'), getMyPayments);
 
 // Doctor routes
 router.get('/doctor/earnings', protect, authorize('doctor'), getDoctorEarnings);
+router.get('/doctor/earnings/statement', protect, authorize('doctor'), getMyEarningsStatement);
+router.get('/doctor/payouts', protect, authorize('doctor'), getMyPayouts);
+router.get('/doctor/statements/:year/:month', protect, authorize('doctor'), getDoctorStatement);
 
 // Admin routes
 router.get('/admin/revenue', protect, authorize('admin'), getPlatformRevenue);
+router.get('/admin/earnings', protect, authorize('admin'), getEarningsStatement);
+router.get('/admin/payouts', protect, authorize('admin'), getAllPayouts);
+router.post('/admin/payouts/run', protect, authorize('admin'), runPayouts);
+router.get('/admin/webhook-events', protect, authorize('admin'), getWebhookEvents);
+router.get('/admin/webhook-events/:id', protect, authorize('admin'), getWebhookEvent);
+router.post('/admin/webhook-events/:id/retry', protect, authorize('admin'), retryWebhookEvent);
+router.post('/admin/reconciliation/run', protect, authorize('admin'), runReconciliation);
+router.get('/admin/reconciliation/reports', protect, authorize('admin'), getReports);
+router.post('/admin/reconciliation/reports', protect, authorize('admin'), generateReport);
+router.get('/admin/reconciliation/reports/:id', protect, authorize('admin'), getReport);
+router.put('/admin/reconciliation/reports/:id/discrepancies/:discrepancyId/resolve', protect, authorize('admin'), resolveDiscrepancy);
+router.post('/:id/refund', protect, authorize('admin'), refundPayment);
 
 // Shared routes
 router.get('/verify/:reference', protect, verifyPayment);
+router.get('/payouts/:id', protect, authorize('doctor', 'admin'), getPayout);
+router.get('/:id/receipt', protect, getPaymentReceipt);
 router.get('/:id', protect, getPayment);
 
 module.exports = router;
\ No newline at end of file
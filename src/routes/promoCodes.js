@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  getPromoCodes,
+  getPromoCode,
+  createPromoCode,
+  updatePromoCode,
+  deactivatePromoCode,
+  validatePromoCode
+} = require('../controllers/promoCodeController');
+
+const { protect, authorize } = require('../middleware/auth');
+
+router.use(protect);
+
+// Patient routes
+router.post('/validate', authorize('patient'), validatePromoCode);
+
+// Admin routes
+router.get('/', authorize('admin'), getPromoCodes);
+router.post('/', authorize('admin'), createPromoCode);
+router.get('/:id', authorize('admin'), getPromoCode);
+router.put('/:id', authorize('admin'), updatePromoCode);
+router.delete('/:id', authorize('admin'), deactivatePromoCode);
+
+module.exports = router;
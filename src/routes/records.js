@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  exportMyRecord,
+  exportPatientRecord,
+  getConsents,
+  requestConsent,
+  updateConsent
+} = require('../controllers/recordController');
+
+const { protect, authorize } = require('../middleware/auth');
+
+// Patient routes
+router.get('/fhir', protect, authorize('patient'), exportMyRecord);
+router.put('/consents/:id', protect, authorize('patient'), updateConsent);
+
+// Doctor routes
+router.post('/consents', protect, authorize('doctor'), requestConsent);
+router.get('/patients/:patientId/fhir', protect, authorize('doctor'), exportPatientRecord);
+
+// Shared routes
+router.get('/consents', protect, authorize('patient', 'doctor'), getConsents);
+
+module.exports = router;
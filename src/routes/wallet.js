@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  getMyWallet,
+  getMyTransactions,
+  topUp,
+  reconcileWallet
+} = require('../controllers/walletController');
+
+const { protect, authorize } = require('../middleware/auth');
+
+// Admin routes
+router.get('/admin/:patientId/reconcile', protect, authorize('admin'), reconcileWallet);
+
+// Patient routes
+router.get('/', protect, authorize('patient'), getMyWallet);
+router.get('/transactions', protect, authorize('patient'), getMyTransactions);
+router.post('/top-up', protect, authorize('patient'), topUp);
+
+module.exports = router;
@@ -4,6 +4,7 @@ const Doctor = require('../models/Doctor');
 const Availability = require('../models/Availability');
 const crypto = require('crypto');
 const { sendOtpEmail } = require('../utils/emailService');
+const { isValidTimeZone } = require('../utils/timezone');
 
 // Generate 6-digit OTP
 const generateOtp = () => {
@@ -206,6 +207,25 @@ sendOtpEmail(email, otp, firstName)
     };
   }
 
+  async updateTimezone(user, timezone) {
+    if (!isValidTimeZone(timezone)) {
+      const error = new Error('Timezone must be a valid IANA timezone (e.g. Africa/Lagos)');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    user.timezone = timezone;
+    await user.save();
+
+    return {
+      success: true,
+      message: 'Timezone updated',
+      data: {
+        timezone: user.timezone,
+      },
+    };
+  }
+
   async forgotPassword(email) {
     if (!email) {
       const error = new Error('Please provide email address');
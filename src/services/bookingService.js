@@ -0,0 +1,257 @@
+const Appointment = require('../models/Appointment');
+const Doctor = require('../models/Doctor');
+const Patient = require('../models/Patient');
+const Availability = require('../models/Availability');
+const Payment = require('../models/Payment');
+const SlotHold = require('../models/SlotHold');
+const capacityService = require('./capacityService');
+const appointmentConfig = require('../config/appointments');
+const { parseDateTime } = require('../utils/timezone');
+const { createError } = require('../utils/errors');
+
+class BookingService {
+  /**
+   * Take a short-lived exclusive hold on a slot for a patient
+   */
+  async holdSlot(patient, data) {
+    const {
+      doctorId,
+      appointmentDate,
+      consultationType,
+      reasonForVisit,
+      symptoms,
+      isFollowUp,
+      previousAppointmentId
+    } = data;
+
+    if (!doctorId || !appointmentDate || !consultationType || !reasonForVisit) {
+      throw createError('Doctor ID, appointment date, consultation type, and reason for visit are required', 400);
+    }
+
+    const doctor = await Doctor.findById(doctorId);
+    if (!doctor) {
+      throw createError('Doctor not found', 404);
+    }
+
+    if (doctor.verificationStatus !== 'verified') {
+      throw createError('Doctor is not verified', 400);
+    }
+
+    if (!doctor.consultationTypes.includes(consultationType)) {
+      throw createError(`Doctor does not offer ${consultationType} consultations`, 400);
+    }
+
+    const consultationFee = doctor.consultationFee[consultationType === 'in-person' ? 'inPerson' : consultationType];
+
+    const availability = await Availability.findOne({ doctorId });
+    if (!availability) {
+      throw createError('Doctor availability not configured', 400);
+    }
+
+    // Times without an offset are read in the doctor's timezone
+    const startTime = parseDateTime(appointmentDate, availability.timezone);
+
+    if (isNaN(startTime.getTime())) {
+      throw createError('Invalid appointment date', 400);
+    }
+
+    if (startTime <= new Date()) {
+      throw createError('Appointment date must be in the future', 400);
+    }
+
+    // A patient only keeps one checkout hold per doctor (reschedule holds are left alone)
+    await SlotHold.deleteMany({ doctorId, patientId: patient._id, purpose: 'booking' });
+
+    // Fast fail before touching the hold index
+    const precheck = await capacityService.checkSlot(availability, startTime);
+    if (!precheck.available) {
+      throw createError(capacityService.describeUnavailable(precheck.reason, availability), 400);
+    }
+
+    const hold = await SlotHold.acquire({
+      doctorId,
+      patientId: patient._id,
+      startTime,
+      duration: availability.slotDuration,
+      timezone: availability.timezone,
+      consultationType,
+      consultationFee,
+      reasonForVisit,
+      symptoms: symptoms || [],
+      isFollowUp: isFollowUp || false,
+      previousAppointmentId: previousAppointmentId || null,
+      expiresAt: new Date(Date.now() + appointmentConfig.slotHoldMinutes * 60000)
+    });
+
+    if (!hold) {
+      throw createError('This time slot is already booked. Please choose another time.', 409);
+    }
+
+    // Re-check now that our hold exists: overlapping holds with a different start
+    // time, or an appointment created in the meantime, mean the earlier one wins
+    const recheck = await capacityService.checkSlot(availability, startTime, {
+      excludeHoldId: hold._id,
+      holdsBefore: hold._id
+    });
+
+    if (!recheck.available) {
+      await hold.deleteOne();
+      throw createError(capacityService.describeUnavailable(recheck.reason, availability), 409);
+    }
+
+    return hold;
+  }
+
+  /**
+   * Find an active hold belonging to a patient
+   */
+  async getActiveHold(holdId, patient) {
+    const hold = await SlotHold.findById(holdId);
+
+    if (!hold || !hold.isActive || hold.purpose !== 'booking') {
+      throw createError('Slot hold not found or expired. Please select a time again.', 410);
+    }
+
+    if (hold.patientId.toString() !== patient._id.toString()) {
+      throw createError('Not authorized to use this slot hold', 403);
+    }
+
+    return hold;
+  }
+
+  /**
+   * Turn a hold into a pending appointment and release the hold.
+   * insurance is the coverage estimate from insuranceService.estimate, if the patient used a policy.
+   */
+  async convertHold(hold, { insurance = null } = {}) {
+    const patient = await Patient.findById(hold.patientId);
+    const doctor = await Doctor.findById(hold.doctorId);
+
+    const appointment = await Appointment.create({
+      patientId: hold.patientId,
+      doctorId: hold.doctorId,
+      appointmentDate: hold.startTime,
+      timezone: hold.timezone,
+      duration: hold.duration,
+      consultationType: hold.consultationType,
+      reasonForVisit: hold.reasonForVisit,
+      symptoms: hold.symptoms,
+      consultationFee: hold.consultationFee,
+      isFollowUp: hold.isFollowUp,
+      previousAppointmentId: hold.previousAppointmentId,
+      paymentDueAt: this.getPaymentDeadline(doctor, hold.startTime, hold.consultationFee),
+      ...(insurance && { insurance })
+    });
+
+    // Appointment now occupies the slot, so the hold can go
+    await hold.deleteOne();
+
+    // Increment appointment counts
+    await patient.incrementAppointmentCount();
+    await doctor.incrementAppointmentCount();
+
+    return appointment;
+  }
+
+  /**
+   * Undo convertHold when checkout could not start. The hold comes back with its id and
+   * expiry so the patient can retry with it, and the appointment gives up the slot.
+   * A failed wallet payment stays on record, so its appointment is cancelled rather than removed.
+   */
+  async revertConversion(appointment, hold) {
+    await SlotHold.acquire(hold.toObject({ virtuals: false }));
+
+    if (await Payment.exists({ appointmentId: appointment._id })) {
+      await appointment.cancel(null, 'Released: checkout could not be started');
+      return;
+    }
+
+    await appointment.deleteOne();
+    await Patient.updateOne({ _id: appointment.patientId }, { $inc: { totalAppointments: -1 } });
+    await Doctor.updateOne({ _id: appointment.doctorId }, { $inc: { totalAppointments: -1 } });
+  }
+
+  /**
+   * When an unpaid booking gets cancelled: the doctor's payment window (or the platform's)
+   * from now, but never later than the visit itself. Free visits have no deadline.
+   */
+  getPaymentDeadline(doctor, appointmentDate, consultationFee, from = new Date()) {
+    if (!consultationFee) return null;
+
+    const windowMinutes = doctor?.paymentPolicy?.paymentWindowMinutes ?? appointmentConfig.paymentWindowMinutes;
+    const deadline = new Date(from.getTime() + windowMinutes * 60000);
+
+    return deadline < appointmentDate ? deadline : new Date(appointmentDate);
+  }
+
+  /**
+   * Move an appointment, holding the new slot while we do it so a concurrent booking can't take it
+   */
+  async rescheduleWithHold(appointment, availability, newDate, userId, reason) {
+    const options = { excludeId: appointment._id, duration: appointment.duration };
+
+    const precheck = await capacityService.checkSlot(availability, newDate, options);
+    if (!precheck.available) {
+      throw createError(capacityService.describeUnavailable(precheck.reason, availability), 400);
+    }
+
+    const hold = await SlotHold.acquire({
+      doctorId: appointment.doctorId,
+      patientId: appointment.patientId,
+      startTime: newDate,
+      duration: appointment.duration,
+      timezone: availability.timezone,
+      consultationType: appointment.consultationType,
+      consultationFee: appointment.consultationFee,
+      reasonForVisit: appointment.reasonForVisit,
+      purpose: 'reschedule',
+      expiresAt: new Date(Date.now() + appointmentConfig.slotHoldMinutes * 60000)
+    });
+
+    if (!hold) {
+      throw createError('This time slot is already booked. Please choose another time.', 409);
+    }
+
+    try {
+      const recheck = await capacityService.checkSlot(availability, newDate, {
+        ...options,
+        excludeHoldId: hold._id,
+        holdsBefore: hold._id
+      });
+
+      if (!recheck.available) {
+        throw createError(capacityService.describeUnavailable(recheck.reason, availability), 409);
+      }
+
+      // An unpaid booking still has to be paid for before its new time
+      if (appointment.paymentDueAt && appointment.paymentDueAt > newDate) {
+        appointment.paymentDueAt = newDate;
+      }
+
+      await appointment.reschedule(newDate, userId, reason);
+    } finally {
+      await hold.deleteOne();
+    }
+
+    return appointment;
+  }
+
+  /**
+   * Release a hold early (patient changed their mind)
+   */
+  async releaseHold(holdId, patient) {
+    const hold = await SlotHold.findById(holdId);
+
+    if (!hold || hold.purpose !== 'booking') {
+      throw createError('Slot hold not found', 404);
+    }
+
+    if (hold.patientId.toString() !== patient._id.toString()) {
+      throw createError('Not authorized to release this slot hold', 403);
+    }
+
+    await hold.deleteOne();
+  }
+}
+
+module.exports = new BookingService();
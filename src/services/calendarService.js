@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Appointment = require('../models/Appointment');
+const Doctor = require('../models/Doctor');
+const Patient = require('../models/Patient');
+const { buildCalendar } = require('../utils/ical');
+
+// Feeds include recent history so calendar apps keep past visits
+const FEED_PAST_DAYS = 30;
+
+const CONSULTATION_LABELS = {
+  'in-person': 'In-person consultation',
+  video: 'Video consultation',
+  chat: 'Chat consultation'
+};
+
+const STATUS_MAP = {
+  pending: 'TENTATIVE',
+  cancelled: 'CANCELLED'
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const formatAddress = (address = {}) =>
+  [address.name, address.street, address.city, address.state, address.zipCode, address.country]
+    .filter(Boolean)
+    .join(', ');
+
+class CalendarService {
+  /**
+   * Calendar event for an appointment, worded for the patient or the doctor.
+   * Expects doctorId and patientId to be populated.
+   */
+  buildEvent(appointment, viewerRole) {
+    const doctor = appointment.doctorId;
+    const patient = appointment.patientId;
+    const label = CONSULTATION_LABELS[appointment.consultationType];
+    const appointmentUrl = `${process.env.CLIENT_URL}/appointments/${appointment._id}`;
+
+    const summary = viewerRole === 'doctor'
+      ? `${label} with ${patient.firstName} ${patient.lastName}`
+      : `${label} with Dr. ${doctor.firstName} ${doctor.lastName}`;
+
+    let location = null;
+    const description = [`Consultation type: ${appointment.consultationType}`];
+
+    if (appointment.consultationType === 'in-person') {
+      location = formatAddress(doctor.clinicAddress) || null;
+    } else if (appointment.consultationType === 'video') {
+      location = `${appointmentUrl}/video`;
+      description.push(`Join: ${location}`);
+    }
+
+    if (appointment.status === 'cancelled') {
+      description.push('This appointment has been cancelled');
+    }
+
+    description.push(`Details: ${appointmentUrl}`);
+
+    return {
+      uid: `appointment-${appointment._id}@healthhub`,
+      start: appointment.appointmentDate,
+      end: new Date(appointment.appointmentDate.getTime() + appointment.duration * 60000),
+      // Bumped on every reschedule and on cancellation so clients replace the old copy
+      sequence: (appointment.rescheduleCount || 0) + (appointment.status === 'cancelled' ? 1 : 0),
+      status: STATUS_MAP[appointment.status] || 'CONFIRMED',
+      lastModified: appointment.updatedAt,
+      summary,
+      description: description.join('\n'),
+      location,
+      url: appointmentUrl
+    };
+  }
+
+  /**
+   * Single-appointment .ics file
+   */
+  buildAppointmentFile(appointment, viewerRole) {
+    return buildCalendar({
+      events: [this.buildEvent(appointment, viewerRole)]
+    });
+  }
+
+  /**
+   * Full feed for a user: upcoming appointments plus recent history.
+   * Cancelled appointments stay in the feed so subscribed calendars remove them.
+   */
+  async buildFeedForUser(user) {
+    const profile = user.role === 'doctor'
+      ? await Doctor.findOne({ userId: user._id })
+      : await Patient.findOne({ userId: user._id });
+
+    if (!profile) {
+      const error = new Error(`${user.role === 'doctor' ? 'Doctor' : 'Patient'} profile not found`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const appointments = await Appointment.find({
+      [user.role === 'doctor' ? 'doctorId' : 'patientId']: profile._id,
+      appointmentDate: { $gte: new Date(Date.now() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000) }
+    })
+      .populate('doctorId', 'firstName lastName clinicAddress')
+      .populate('patientId', 'firstName lastName')
+      .sort({ appointmentDate: 1 });
+
+    return buildCalendar({
+      name: 'HealthHub Appointments',
+      events: appointments.map(appointment => this.buildEvent(appointment, user.role))
+    });
+  }
+
+  /**
+   * Issue a new feed token. Any previous feed URL stops working.
+   * Only the hash is stored, so the raw token is returned once.
+   */
+  async createFeedToken(userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await User.findByIdAndUpdate(userId, {
+      calendarFeedToken: hashToken(token),
+      calendarFeedCreatedAt: new Date()
+    });
+
+    return token;
+  }
+
+  async revokeFeedToken(userId) {
+    await User.findByIdAndUpdate(userId, {
+      $unset: { calendarFeedToken: 1, calendarFeedCreatedAt: 1 }
+    });
+  }
+
+  async findUserByFeedToken(token) {
+    if (!token) return null;
+
+    const user = await User.findOne({ calendarFeedToken: hashToken(token) });
+
+    if (!user || !user.isActive || user.isSuspended || !['patient', 'doctor'].includes(user.role)) {
+      return null;
+    }
+
+    return user;
+  }
+}
+
+module.exports = new CalendarService();
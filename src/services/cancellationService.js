@@ -0,0 +1,133 @@
+const Payment = require('../models/Payment');
+const Appointment = require('../models/Appointment');
+const refundService = require('./refundService');
+const paymentService = require('./paymentService');
+const appointmentConfig = require('../config/appointments');
+const paymentConfig = require('../config/payments');
+
+/**
+ * Decides how much of a payment goes back to the patient when an appointment
+ * is cancelled, and applies it to the linked Payment.
+ *
+ * Rules, in order:
+ * - no-shows are never refunded
+ * - doctor (or system) cancellations are always refunded in full
+ * - patient cancellations: full refund before fullRefundHours, partialRefundPercent
+ *   before partialRefundHours, nothing after that
+ */
+class CancellationService {
+  /**
+   * Platform policy with the doctor's overrides applied
+   */
+  getPolicy(doctor = null) {
+    const platform = appointmentConfig.cancellationPolicy;
+    const overrides = doctor?.cancellationPolicy || {};
+    const pick = (key) => (overrides[key] ?? platform[key]);
+
+    const fullRefundHours = pick('fullRefundHours');
+
+    return {
+      fullRefundHours,
+      // The partial window can't start before the full-refund window ends
+      partialRefundHours: Math.min(pick('partialRefundHours'), fullRefundHours),
+      partialRefundPercent: pick('partialRefundPercent')
+    };
+  }
+
+  /**
+   * Work out the refund without touching anything.
+   * cancelledBy: 'patient', 'doctor' or 'system'
+   * status is the appointment's status before it was cancelled.
+   */
+  calculateRefund(appointment, payment, cancelledBy, policy, status = appointment.status) {
+    const paid = payment && ['successful', 'partially_refunded'].includes(payment.status);
+    const refundable = paid ? payment.amount - payment.refundAmount : 0;
+
+    const result = (rule, percent) => ({
+      rule,
+      percent,
+      amount: Math.round(refundable * percent) / 100, // Kept to the currency's minor unit
+      currency: payment?.currency || 'NGN'
+    });
+
+    if (!paid) return result('not_paid', 0);
+    if (status === 'no-show') return result('no_show', 0);
+    if (cancelledBy !== 'patient') return result('cancelled_by_doctor', 100);
+
+    const hoursUntil = appointment.hoursUntilAppointment;
+
+    if (hoursUntil >= policy.fullRefundHours) return result('full', 100);
+    if (hoursUntil >= policy.partialRefundHours) return result('partial', policy.partialRefundPercent);
+    return result('late', 0);
+  }
+
+  /**
+   * Calculate and apply the refund for an appointment that is being cancelled.
+   * previousStatus is its status before the cancellation was saved.
+   * toWallet sends the refund to the patient's wallet instead of the original payment method.
+   */
+  async refundCancellation(appointment, cancelledBy, doctor = null, { previousStatus = appointment.status, toWallet = false } = {}) {
+    // Checkout never finished: return any wallet funds or promo redemption it was holding
+    await paymentService.releaseAbandonedPayment(appointment.paymentId, 'Appointment cancelled before payment completed');
+
+    const payment = appointment.paymentId
+      ? await Payment.findById(appointment.paymentId)
+      : null;
+
+    const refund = this.calculateRefund(appointment, payment, cancelledBy, this.getPolicy(doctor), previousStatus);
+
+    // Payouts read the rule to tell whether the doctor keeps part of the fee
+    await Appointment.updateOne({ _id: appointment._id }, { $set: { cancellationRefundRule: refund.rule } });
+
+    if (refund.amount === 0) {
+      return { ...refund, status: 'none' };
+    }
+
+    try {
+      const request = await refundService.refund(payment, {
+        amount: refund.amount,
+        reason: `Appointment cancelled by ${cancelledBy} (${refund.rule} refund)`,
+        toWallet: toWallet && payment.currency === paymentConfig.baseCurrency
+      });
+      const destinations = [...new Set(request.refunds.map(entry => entry.destination))];
+
+      return {
+        ...refund,
+        status: request.status,
+        reference: request.refunds[0].reference,
+        destination: destinations.length === 1 ? destinations[0] : 'mixed'
+      };
+    } catch (error) {
+      // The cancellation stands; the refund can be retried from the admin refund endpoint
+      console.error(`Cancellation refund failed for appointment ${appointment._id}:`, error.message);
+      return { ...refund, status: 'failed' };
+    }
+  }
+
+  /**
+   * Patient-facing summary of a refund
+   */
+  describeRefund(refund) {
+    if (refund.rule === 'not_paid') {
+      return 'No payment was taken for this appointment';
+    }
+    if (refund.amount === 0) {
+      return 'This cancellation is not eligible for a refund under the cancellation policy';
+    }
+    if (refund.status === 'failed') {
+      return `Your refund of ${refund.currency} ${refund.amount.toLocaleString()} could not be started automatically. Our support team will process it.`;
+    }
+
+    const destination = {
+      wallet: 'your wallet',
+      mixed: 'your wallet and the original payment method'
+    }[refund.destination] || 'the original payment method';
+
+    if (refund.status === 'processed') {
+      return `${refund.currency} ${refund.amount.toLocaleString()} (${refund.percent}%) has been refunded to ${destination}`;
+    }
+    return `${refund.currency} ${refund.amount.toLocaleString()} (${refund.percent}%) will be refunded to ${destination}`;
+  }
+}
+
+module.exports = new CancellationService();
@@ -0,0 +1,161 @@
+const Appointment = require('../models/Appointment');
+const SlotHold = require('../models/SlotHold');
+const { normalizeDateKey, formatISOWithOffset } = require('../utils/timezone');
+
+// Appointments in these states occupy the doctor's time
+const ACTIVE_STATUSES = ['pending', 'confirmed', 'in-progress'];
+
+// Longest appointment we allow (see Appointment.duration)
+const MAX_DURATION_MINUTES = 120;
+
+/**
+ * Single source of truth for "can this doctor take a booking at this time".
+ * Slot listing, booking and rescheduling all go through here so they can never disagree.
+ */
+class CapacityService {
+  /**
+   * Active appointments and checkout holds that can affect a calendar day in the doctor's timezone
+   * (includes the neighbouring edges so buffers across midnight still count)
+   *
+   * options.excludeId      - appointment to ignore (rescheduling)
+   * options.excludeHoldId  - the caller's own hold
+   * options.holdsBefore    - only count holds created before this hold ID (earliest hold wins)
+   */
+  async getBookingsAround(availability, dateKey, options = {}) {
+    const { excludeId = null, excludeHoldId = null, holdsBefore = null } = options;
+
+    const { start, end } = availability.getDayBounds(dateKey);
+    const margin = (MAX_DURATION_MINUTES + availability.bufferTime) * 60000;
+    const from = new Date(start.getTime() - margin);
+    const to = new Date(end.getTime() + margin);
+
+    const query = {
+      doctorId: availability.doctorId,
+      status: { $in: ACTIVE_STATUSES },
+      appointmentDate: { $gte: from, $lte: to }
+    };
+
+    if (excludeId) {
+      query._id = { $ne: excludeId };
+    }
+
+    const appointments = await Appointment.find(query).select('appointmentDate duration');
+
+    const holds = (await SlotHold.getActiveForDoctor(availability.doctorId, from, to))
+      .filter(hold => !excludeHoldId || hold._id.toString() !== excludeHoldId.toString())
+      .filter(hold => !holdsBefore || hold._id.toString() < holdsBefore.toString());
+
+    const toBooking = (startDate, duration) => ({
+      start: startDate.getTime(),
+      end: startDate.getTime() + duration * 60000,
+      countsForDay: startDate >= start && startDate <= end
+    });
+
+    return [
+      ...appointments.map(apt => toBooking(apt.appointmentDate, apt.duration)),
+      ...holds.map(hold => toBooking(hold.startTime, hold.duration))
+    ];
+  }
+
+  /**
+   * Does [start, end) clash with a booking once buffer time is added on both sides?
+   */
+  overlaps(start, end, booking, bufferMinutes) {
+    const buffer = bufferMinutes * 60000;
+    return start < booking.end + buffer && booking.start < end + buffer;
+  }
+
+  /**
+   * Bookable slots for a date, after schedule, blocks, buffers and the daily limit
+   */
+  async listSlots(availability, date, options = {}) {
+    const { duration = availability.slotDuration } = options;
+
+    const dateKey = normalizeDateKey(date, availability.timezone);
+    const scheduledSlots = availability.getAvailableSlotsForDate(dateKey);
+    const bookings = await this.getBookingsAround(availability, dateKey, options);
+
+    const bookedCount = bookings.filter(booking => booking.countsForDay).length;
+    const dailyLimitReached = bookedCount >= availability.maxAppointmentsPerDay;
+
+    const slots = dailyLimitReached ? [] : scheduledSlots
+      .map(time => {
+        const start = availability.getSlotStart(dateKey, time);
+        const end = new Date(start.getTime() + duration * 60000);
+        return { time, start, end };
+      })
+      .filter(slot => !bookings.some(booking =>
+        this.overlaps(slot.start.getTime(), slot.end.getTime(), booking, availability.bufferTime)
+      ));
+
+    return {
+      dateKey,
+      totalSlots: scheduledSlots.length,
+      bookedCount,
+      dailyLimitReached,
+      slots
+    };
+  }
+
+  /**
+   * Check one start time. Returns { available, reason } where reason is
+   * 'not_scheduled', 'daily_limit' or 'conflict' when unavailable.
+   */
+  async checkSlot(availability, startTime, options = {}) {
+    const start = new Date(startTime);
+    const dateKey = normalizeDateKey(start, availability.timezone);
+
+    if (!availability.isAvailableAt(start)) {
+      return { available: false, reason: 'not_scheduled' };
+    }
+
+    const isScheduledSlot = availability.getAvailableSlotsForDate(dateKey)
+      .some(time => availability.getSlotStart(dateKey, time).getTime() === start.getTime());
+
+    if (!isScheduledSlot) {
+      return { available: false, reason: 'not_scheduled' };
+    }
+
+    const { slots, dailyLimitReached } = await this.listSlots(availability, dateKey, options);
+
+    if (dailyLimitReached) {
+      return { available: false, reason: 'daily_limit' };
+    }
+
+    if (!slots.some(slot => slot.start.getTime() === start.getTime())) {
+      return { available: false, reason: 'conflict' };
+    }
+
+    return { available: true };
+  }
+
+  /**
+   * User-facing message for an unavailable slot
+   */
+  describeUnavailable(reason, availability) {
+    if (reason === 'daily_limit') {
+      return `Doctor is fully booked for this day (maximum ${availability.maxAppointmentsPerDay} appointments)`;
+    }
+    if (reason === 'conflict') {
+      return 'This time slot is already booked. Please choose another time.';
+    }
+    return 'Doctor is not available at this time';
+  }
+
+  /**
+   * Slot as returned to clients (ISO timestamps carry UTC offsets)
+   */
+  formatSlot(slot, availability, patientTimezone = null) {
+    return {
+      time: slot.time,
+      startTime: formatISOWithOffset(slot.start, availability.timezone),
+      endTime: formatISOWithOffset(slot.end, availability.timezone),
+      ...(patientTimezone && {
+        localStartTime: formatISOWithOffset(slot.start, patientTimezone),
+        localEndTime: formatISOWithOffset(slot.end, patientTimezone)
+      })
+    };
+  }
+}
+
+module.exports = new CapacityService();
@@ -0,0 +1,214 @@
+const Payment = require('../models/Payment');
+const Doctor = require('../models/Doctor');
+const paymentConfig = require('../config/payments');
+const { toCsv } = require('../utils/csv');
+const { createError } = require('../utils/errors');
+const {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  toDateKey,
+  normalizeDateKey,
+  getDayBounds
+} = require('../utils/timezone');
+
+const GROUP_BY = ['day', 'week', 'month'];
+
+const FIGURES = ['payments', 'gross', 'platformFee', 'refunds', 'net', 'payoutPending', 'payoutProcessing', 'payoutCompleted', 'payoutFailed'];
+
+// Calendar key for a client date, or null when it isn't a real date (e.g. 2026-02-31)
+const toCalendarKey = (value, timezone) => {
+  try {
+    const key = normalizeDateKey(value, timezone);
+    const parsed = new Date(`${key}T00:00:00Z`);
+    return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === key ? key : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const emptyFigures = () => Object.fromEntries(FIGURES.map(key => [key, 0]));
+
+const addFigures = (target, source) => {
+  FIGURES.forEach(key => {
+    target[key] += source[key] || 0;
+  });
+  return target;
+};
+
+// Rounded, with the payout split nested the way the API returns it
+const present = ({ payments, gross, platformFee, refunds, net, payoutPending, payoutProcessing, payoutCompleted, payoutFailed }) => ({
+  payments,
+  gross: round(gross),
+  platformFee: round(platformFee),
+  refunds: round(refunds),
+  net: round(net),
+  payout: {
+    pending: round(payoutPending),
+    processing: round(payoutProcessing),
+    completed: round(payoutCompleted),
+    failed: round(payoutFailed)
+  }
+});
+
+// Accumulate rows into a Map keyed by keyOf(row)
+const rollUp = (rows, keyOf, init) => {
+  const groups = new Map();
+
+  rows.forEach(row => {
+    const key = keyOf(row);
+    if (!groups.has(key)) groups.set(key, { ...init(row), figures: emptyFigures() });
+    addFigures(groups.get(key).figures, row);
+  });
+
+  return [...groups.values()];
+};
+
+const CSV_FIGURE_COLUMNS = [
+  { key: 'payments', header: 'payments' },
+  { key: 'gross', header: 'gross' },
+  { key: 'platformFee', header: 'platform_fee' },
+  { key: 'refunds', header: 'refunds' },
+  { key: 'net', header: 'net' },
+  { key: 'payoutPending', header: 'payout_pending' },
+  { key: 'payoutProcessing', header: 'payout_processing' },
+  { key: 'payoutCompleted', header: 'payout_completed' },
+  { key: 'payoutFailed', header: 'payout_failed' },
+  { key: 'currency', header: 'currency' }
+];
+
+/**
+ * Earnings statements for doctors and accounting: gross, platform fee, refunds, net and
+ * payout status, broken down by period and consultation type. All amounts are in the
+ * base currency; net is what the doctor is owed from payments that weren't refunded.
+ */
+class EarningsService {
+  /**
+   * Validate query options. from/to are calendar days (inclusive) in the timezone;
+   * the default range is the current month so far.
+   */
+  parseOptions({ from, to, groupBy = 'month', timezone = DEFAULT_TIMEZONE } = {}) {
+    if (!GROUP_BY.includes(groupBy)) {
+      throw createError(`groupBy must be one of: ${GROUP_BY.join(', ')}`, 400);
+    }
+
+    if (!isValidTimeZone(timezone)) {
+      throw createError('Invalid timezone', 400);
+    }
+
+    const today = toDateKey(new Date(), timezone);
+    const fromKey = from ? toCalendarKey(from, timezone) : `${today.slice(0, 8)}01`;
+    const toKey = to ? toCalendarKey(to, timezone) : today;
+
+    if (!fromKey || !toKey) {
+      throw createError('from and to must be dates (YYYY-MM-DD)', 400);
+    }
+
+    if (fromKey > toKey) {
+      throw createError('from must not be after to', 400);
+    }
+
+    return {
+      from: fromKey,
+      to: toKey,
+      groupBy,
+      timezone,
+      startDate: getDayBounds(fromKey, timezone).start,
+      endDate: getDayBounds(toKey, timezone).end
+    };
+  }
+
+  periodLabel(start, groupBy, timezone) {
+    const key = toDateKey(start, timezone);
+    return groupBy === 'month' ? key.slice(0, 7) : key;
+  }
+
+  /**
+   * Aggregated rows with period labels (and doctor names when listing every doctor)
+   */
+  async getRows(options, doctorId = null) {
+    const rows = await Payment.getEarningsBreakdown({
+      doctorId,
+      startDate: options.startDate,
+      endDate: options.endDate,
+      unit: options.groupBy,
+      timezone: options.timezone
+    });
+
+    const doctorIds = [...new Set(rows.map(row => row._id.doctorId?.toString()).filter(Boolean))];
+    const doctors = doctorId
+      ? []
+      : await Doctor.find({ _id: { $in: doctorIds } }).select('firstName lastName');
+    const names = new Map(doctors.map(doctor => [doctor._id.toString(), doctor.fullName]));
+
+    return rows.map(row => ({
+      ...row,
+      doctorId: row._id.doctorId?.toString() || null,
+      doctorName: names.get(row._id.doctorId?.toString()) || null,
+      period: this.periodLabel(row._id.period, options.groupBy, options.timezone),
+      periodStart: row._id.period,
+      consultationType: row._id.consultationType
+    }));
+  }
+
+  /**
+   * Statement for one doctor, or every doctor when doctorId is null
+   */
+  async getStatement(options, doctorId = null) {
+    const rows = await this.getRows(options, doctorId);
+
+    const byType = (subset) => rollUp(subset, row => row.consultationType, row => ({ consultationType: row.consultationType }))
+      .map(group => ({ consultationType: group.consultationType, ...present(group.figures) }));
+
+    const statement = {
+      currency: paymentConfig.baseCurrency,
+      from: options.from,
+      to: options.to,
+      groupBy: options.groupBy,
+      timezone: options.timezone,
+      totals: present(rows.reduce(addFigures, emptyFigures())),
+      byConsultationType: byType(rows),
+      periods: rollUp(rows, row => row.period, row => ({ period: row.period, periodStart: row.periodStart }))
+        .map(group => ({
+          period: group.period,
+          periodStart: group.periodStart,
+          ...present(group.figures),
+          byConsultationType: byType(rows.filter(row => row.period === group.period))
+        }))
+    };
+
+    if (!doctorId) {
+      statement.doctors = rollUp(rows, row => row.doctorId, row => ({ doctorId: row.doctorId, doctorName: row.doctorName }))
+        .map(group => ({ doctorId: group.doctorId, doctorName: group.doctorName, ...present(group.figures) }))
+        .sort((a, b) => b.gross - a.gross);
+    }
+
+    return statement;
+  }
+
+  /**
+   * One CSV line per period and consultation type (and doctor, across all doctors)
+   */
+  async getCsv(options, doctorId = null) {
+    const rows = await this.getRows(options, doctorId);
+
+    const columns = [
+      { key: 'period', header: 'period' },
+      ...(doctorId ? [] : [
+        { key: 'doctorId', header: 'doctor_id' },
+        { key: 'doctorName', header: 'doctor_name' }
+      ]),
+      { key: 'consultationType', header: 'consultation_type' },
+      ...CSV_FIGURE_COLUMNS
+    ];
+
+    return toCsv(columns, rows.map(row => ({
+      ...row,
+      ...Object.fromEntries(FIGURES.map(key => [key, key === 'payments' ? row[key] : round(row[key]).toFixed(2)])),
+      currency: paymentConfig.baseCurrency
+    })));
+  }
+}
+
+module.exports = new EarningsService();
@@ -0,0 +1,367 @@
+const crypto = require('crypto');
+const Appointment = require('../models/Appointment');
+const Consultation = require('../models/Consultation');
+const Doctor = require('../models/Doctor');
+const MedicalProfile = require('../models/MedicalProfile');
+const User = require('../models/User');
+const recordsConfig = require('../config/records');
+const { mergeTexts } = require('../utils/text');
+
+const LOINC = 'http://loinc.org';
+const UCUM = 'http://unitsofmeasure.org';
+const OBSERVATION_CATEGORY = 'http://terminology.hl7.org/CodeSystem/observation-category';
+const CONDITION_CATEGORY = 'http://terminology.hl7.org/CodeSystem/condition-category';
+const CONDITION_CLINICAL = 'http://terminology.hl7.org/CodeSystem/condition-clinical';
+const CONDITION_VERIFICATION = 'http://terminology.hl7.org/CodeSystem/condition-ver-status';
+const ALLERGY_CLINICAL = 'http://terminology.hl7.org/CodeSystem/allergyintolerance-clinical';
+const ACT_CODE = 'http://terminology.hl7.org/CodeSystem/v3-ActCode';
+
+// Consultation vitals -> LOINC vital sign (blood pressure is a panel, handled separately)
+const VITAL_SIGNS = {
+  heartRate: { code: '8867-4', display: 'Heart rate', unit: '/min', ucum: '/min' },
+  temperature: { code: '8310-5', display: 'Body temperature', unit: 'C', ucum: 'Cel' },
+  weight: { code: '29463-7', display: 'Body weight', unit: 'kg', ucum: 'kg' },
+  height: { code: '8302-2', display: 'Body height', unit: 'cm', ucum: 'cm' },
+  oxygenSaturation: { code: '2708-6', display: 'Oxygen saturation in Arterial blood', unit: '%', ucum: '%' }
+};
+
+const ENCOUNTER_STATUS = {
+  pending: 'planned',
+  confirmed: 'planned',
+  'in-progress': 'in-progress',
+  completed: 'finished',
+  cancelled: 'cancelled',
+  'no-show': 'cancelled'
+};
+
+const FHIR_GENDERS = ['male', 'female', 'other', 'unknown'];
+
+const CONTENT_TYPES = {
+  pdf: 'application/pdf',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  dcm: 'application/dicom'
+};
+
+// Stable name-based UUID, so the same record gets the same fullUrl in every export
+const toUuid = (key) => {
+  const hex = crypto.createHash('sha1').update(key).digest('hex');
+  const variant = ((parseInt(hex.slice(16, 18), 16) & 0x3f) | 0x80).toString(16);
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${variant}${hex.slice(18, 20)}-${hex.slice(20, 32)}`;
+};
+
+const toDate = (value) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString().slice(0, 10);
+};
+
+const toDateTime = (value) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+};
+
+// Drop empty values so resources only carry what we actually know
+const compact = (value) => {
+  if (Array.isArray(value)) {
+    const items = value.map(compact).filter(item => item !== undefined);
+    return items.length > 0 ? items : undefined;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const entries = Object.entries(value)
+      .map(([key, item]) => [key, compact(item)])
+      .filter(([, item]) => item !== undefined);
+    return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+  }
+  return value === null || value === '' ? undefined : value;
+};
+
+const codeable = (system, code, display) => ({ coding: [{ system, code, display }] });
+
+/**
+ * Maps a patient's clinical record to a FHIR R4 Bundle (type "collection"):
+ * Patient, Practitioner, Encounter, Observation, Condition, AllergyIntolerance,
+ * MedicationStatement, MedicationRequest, ServiceRequest and DocumentReference.
+ * Doctors' private notes are never exported.
+ */
+class FhirService {
+  /**
+   * Load everything on record for a patient and map it to a bundle
+   */
+  async exportPatient(patient) {
+    const [user, profile, appointments, consultations] = await Promise.all([
+      User.findById(patient.userId).select('email phoneNumber'),
+      MedicalProfile.findOne({ userId: patient.userId }),
+      Appointment.find({ patientId: patient._id }).sort({ appointmentDate: 1 }),
+      Consultation.find({ patientId: patient._id }).select('-privateNotes').sort({ createdAt: 1 })
+    ]);
+
+    const doctorIds = [...new Set([
+      ...appointments.map(appointment => appointment.doctorId.toString()),
+      ...consultations.map(consultation => consultation.doctorId.toString())
+    ])];
+    const doctors = await Doctor.find({ _id: { $in: doctorIds } });
+
+    return this.buildBundle({ patient, user, profile, appointments, consultations, doctors });
+  }
+
+  /**
+   * Build the bundle from already-loaded documents
+   */
+  buildBundle({ patient, user, profile, appointments = [], consultations = [], doctors = [] }) {
+    const system = recordsConfig.fhirIdentifierSystem;
+    const entries = [];
+
+    const add = (resourceType, key, resource) => {
+      const id = toUuid(`${resourceType}/${key}`);
+      entries.push({
+        fullUrl: `urn:uuid:${id}`,
+        resource: compact({ resourceType, id, ...resource })
+      });
+      return { reference: `urn:uuid:${id}` };
+    };
+
+    const identifier = (kind, value) => [{ system: `${system}/${kind}`, value: String(value) }];
+
+    // Patient
+    const emergencyContact = patient.emergencyContact?.name ? patient.emergencyContact : profile?.emergencyContact;
+    const patientRef = add('Patient', patient._id, {
+      identifier: identifier('patient', patient._id),
+      active: true,
+      name: [{ use: 'official', family: patient.lastName, given: [patient.firstName] }],
+      telecom: [
+        user?.email && { system: 'email', value: user.email },
+        user?.phoneNumber && { system: 'phone', value: user.phoneNumber, use: 'mobile' }
+      ].filter(Boolean),
+      gender: patient.gender || FHIR_GENDERS.find(gender => gender === profile?.gender?.toLowerCase()),
+      birthDate: toDate(patient.dateOfBirth) || toDate(profile?.dateOfBirth),
+      address: patient.address && [{
+        line: [patient.address.street],
+        city: patient.address.city,
+        state: patient.address.state,
+        postalCode: patient.address.zipCode,
+        country: patient.address.country
+      }],
+      contact: emergencyContact?.name && [{
+        relationship: [{ text: emergencyContact.relationship }],
+        name: { text: emergencyContact.name },
+        telecom: [{ system: 'phone', value: emergencyContact.phoneNumber }]
+      }]
+    });
+
+    // Practitioners
+    const practitionerRefs = new Map();
+    doctors.forEach(doctor => {
+      practitionerRefs.set(doctor._id.toString(), add('Practitioner', doctor._id, {
+        identifier: [
+          ...identifier('doctor', doctor._id),
+          { system: `${system}/medical-license`, value: doctor.licenseNumber }
+        ],
+        name: [{ use: 'official', family: doctor.lastName, given: [doctor.firstName], prefix: ['Dr.'] }],
+        gender: doctor.gender,
+        qualification: (doctor.qualifications || []).map(text => ({ code: { text } }))
+      }));
+    });
+    const practitioner = (doctorId) => practitionerRefs.get(doctorId?.toString());
+
+    // Encounters
+    const encounterRefs = new Map();
+    appointments.forEach(appointment => {
+      const start = appointment.callStartedAt || appointment.appointmentDate;
+      const end = appointment.callEndedAt ||
+        (appointment.status === 'completed'
+          ? new Date(new Date(start).getTime() + appointment.duration * 60000)
+          : undefined);
+
+      encounterRefs.set(appointment._id.toString(), add('Encounter', appointment._id, {
+        identifier: identifier('appointment', appointment._id),
+        status: ENCOUNTER_STATUS[appointment.status] || 'unknown',
+        class: appointment.consultationType === 'in-person'
+          ? { system: ACT_CODE, code: 'AMB', display: 'ambulatory' }
+          : { system: ACT_CODE, code: 'VR', display: 'virtual' },
+        serviceType: { text: `${appointment.consultationType} consultation` },
+        subject: patientRef,
+        participant: practitioner(appointment.doctorId) && [{ individual: practitioner(appointment.doctorId) }],
+        period: { start: toDateTime(start), end: toDateTime(end) },
+        reasonCode: appointment.reasonForVisit && [{ text: appointment.reasonForVisit }]
+      }));
+    });
+
+    const vitalSign = (key, code, display, effective, encounter, value) => add('Observation', key, {
+      status: 'final',
+      category: [codeable(OBSERVATION_CATEGORY, 'vital-signs', 'Vital Signs')],
+      code: { ...codeable(LOINC, code, display), text: display },
+      subject: patientRef,
+      encounter,
+      effectiveDateTime: toDateTime(effective),
+      ...value
+    });
+
+    const quantity = (value, spec) => ({ value, unit: spec.unit, system: UCUM, code: spec.ucum });
+
+    // Profile-level observations and history
+    const bloodGroup = patient.bloodGroup || profile?.bloodGroup;
+    if (bloodGroup) {
+      add('Observation', `${patient._id}/blood-group`, {
+        status: 'final',
+        category: [codeable(OBSERVATION_CATEGORY, 'laboratory', 'Laboratory')],
+        code: { ...codeable(LOINC, '882-1', 'ABO and Rh group [Type] in Blood'), text: 'Blood group' },
+        subject: patientRef,
+        valueString: bloodGroup
+      });
+    }
+
+    if (profile) {
+      ['height', 'weight'].forEach(key => {
+        if (!profile[key]) return;
+        const spec = VITAL_SIGNS[key];
+        vitalSign(`${profile._id}/${key}`, spec.code, spec.display, profile.updatedAt, undefined, {
+          valueQuantity: quantity(profile[key], spec)
+        });
+      });
+    }
+
+    const chronicConditions = mergeTexts(profile?.chronicConditions);
+    chronicConditions.forEach(text => add('Condition', `${patient._id}/chronic/${text.toLowerCase()}`, {
+      clinicalStatus: codeable(CONDITION_CLINICAL, 'active', 'Active'),
+      category: [codeable(CONDITION_CATEGORY, 'problem-list-item', 'Problem List Item')],
+      code: { text },
+      subject: patientRef
+    }));
+
+    (patient.medicalHistory || []).forEach(item => add('Condition', `${patient._id}/history/${item._id}`, {
+      category: [codeable(CONDITION_CATEGORY, 'problem-list-item', 'Problem List Item')],
+      code: { text: item.condition },
+      subject: patientRef,
+      onsetDateTime: toDateTime(item.diagnosedDate),
+      note: item.notes && [{ text: item.notes }]
+    }));
+
+    (profile?.medicalHistory || []).forEach(item => add('Condition', `${profile._id}/history/${item._id}`, {
+      category: [codeable(CONDITION_CATEGORY, 'problem-list-item', 'Problem List Item')],
+      code: { text: item.condition },
+      subject: patientRef,
+      onsetString: item.date,
+      note: [item.treatment && { text: `Treatment: ${item.treatment}` }, item.notes && { text: item.notes }].filter(Boolean)
+    }));
+
+    mergeTexts(patient.allergies, profile?.allergies).forEach(text => add('AllergyIntolerance', `${patient._id}/${text.toLowerCase()}`, {
+      clinicalStatus: codeable(ALLERGY_CLINICAL, 'active', 'Active'),
+      code: { text },
+      patient: patientRef
+    }));
+
+    mergeTexts(patient.currentMedications, profile?.currentMedications).forEach(text => add('MedicationStatement', `${patient._id}/${text.toLowerCase()}`, {
+      status: 'active',
+      medicationCodeableConcept: { text },
+      subject: patientRef
+    }));
+
+    // Consultations
+    consultations.forEach(consultation => {
+      const key = consultation._id.toString();
+      const encounter = encounterRefs.get(consultation.appointmentId?.toString());
+      const doctor = practitioner(consultation.doctorId);
+      const recorded = consultation.createdAt;
+      const vitals = consultation.vitals || {};
+
+      if (vitals.bloodPressure) {
+        const [systolic, diastolic] = vitals.bloodPressure.split('/').map(Number);
+        const mmHg = { unit: 'mmHg', ucum: 'mm[Hg]' };
+        vitalSign(`${key}/bloodPressure`, '85354-9', 'Blood pressure panel with all children optional', recorded, encounter, {
+          performer: doctor && [doctor],
+          component: [
+            { code: codeable(LOINC, '8480-6', 'Systolic blood pressure'), valueQuantity: quantity(systolic, mmHg) },
+            { code: codeable(LOINC, '8462-4', 'Diastolic blood pressure'), valueQuantity: quantity(diastolic, mmHg) }
+          ]
+        });
+      }
+
+      Object.entries(VITAL_SIGNS).forEach(([vital, spec]) => {
+        if (vitals[vital] === undefined || vitals[vital] === null) return;
+        vitalSign(`${key}/${vital}`, spec.code, spec.display, recorded, encounter, {
+          performer: doctor && [doctor],
+          valueQuantity: quantity(vitals[vital], spec)
+        });
+      });
+
+      const encounterDiagnosis = (conditionKey, text, verification) => add('Condition', conditionKey, {
+        verificationStatus: codeable(CONDITION_VERIFICATION, verification, verification === 'confirmed' ? 'Confirmed' : 'Differential'),
+        category: [codeable(CONDITION_CATEGORY, 'encounter-diagnosis', 'Encounter Diagnosis')],
+        code: { text },
+        subject: patientRef,
+        encounter,
+        recordedDate: toDateTime(recorded),
+        recorder: doctor,
+        note: consultation.chiefComplaint && [{ text: `Chief complaint: ${consultation.chiefComplaint}` }]
+      });
+
+      encounterDiagnosis(`${key}/diagnosis`, consultation.diagnosis, 'confirmed');
+      (consultation.differentialDiagnosis || []).forEach((text, index) => {
+        encounterDiagnosis(`${key}/differential/${index}`, text, 'differential');
+      });
+
+      (consultation.prescription || []).forEach(item => add('MedicationRequest', `${key}/${item._id}`, {
+        status: 'unknown',
+        intent: 'order',
+        medicationCodeableConcept: { text: item.medication },
+        subject: patientRef,
+        encounter,
+        authoredOn: toDateTime(recorded),
+        requester: doctor,
+        dosageInstruction: [{
+          text: [item.dosage, item.frequency, item.duration && `for ${item.duration}`].filter(Boolean).join(', '),
+          patientInstruction: item.instructions
+        }]
+      }));
+
+      (consultation.recommendedTests || []).forEach(item => add('ServiceRequest', `${key}/${item._id}`, {
+        status: 'unknown',
+        intent: 'order',
+        priority: item.urgent ? 'urgent' : 'routine',
+        code: { text: item.testName },
+        subject: patientRef,
+        encounter,
+        authoredOn: toDateTime(recorded),
+        requester: doctor,
+        reasonCode: item.reason && [{ text: item.reason }]
+      }));
+
+      (consultation.attachments || []).forEach(item => {
+        const extension = item.fileName.split('.').pop().toLowerCase();
+        add('DocumentReference', `${key}/${item._id}`, {
+          status: 'current',
+          type: { text: item.fileType },
+          subject: patientRef,
+          date: toDateTime(item.uploadedAt),
+          author: doctor && [doctor],
+          description: item.fileName,
+          content: [{
+            attachment: {
+              contentType: CONTENT_TYPES[extension],
+              url: item.fileUrl,
+              title: item.fileName,
+              creation: toDateTime(item.uploadedAt)
+            }
+          }],
+          context: encounter && { encounter: [encounter] }
+        });
+      });
+    });
+
+    const now = new Date().toISOString();
+
+    return {
+      resourceType: 'Bundle',
+      id: crypto.randomUUID(),
+      meta: { lastUpdated: now },
+      type: 'collection',
+      timestamp: now,
+      entry: entries
+    };
+  }
+}
+
+module.exports = new FhirService();
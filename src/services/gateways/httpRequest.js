@@ -0,0 +1,50 @@
+const https = require('https');
+const paymentConfig = require('../../config/payments');
+
+/**
+ * Promise wrapper around https.request for gateway APIs.
+ * Resolves with { statusCode, body } where body is parsed JSON.
+ * Rejects if the connection sits idle for timeoutMs, so a hung gateway can't hang the caller.
+ */
+const httpRequest = ({ hostname, method, path, headers = {}, body = null, timeoutMs = paymentConfig.gatewayTimeoutMs }) =>
+  new Promise((resolve, reject) => {
+    const options = {
+      hostname,
+      port: 443,
+      path,
+      method,
+      headers: {
+        ...headers,
+        ...(body && { 'Content-Length': Buffer.byteLength(body) })
+      }
+    };
+
+    const request = https.request(options, (response) => {
+      let data = '';
+
+      response.on('data', (chunk) => {
+        data += chunk;
+      });
+
+      response.on('end', () => {
+        try {
+          resolve({ statusCode: response.statusCode, body: JSON.parse(data) });
+        } catch (error) {
+          reject(new Error(`Invalid response from ${hostname}`));
+        }
+      });
+    });
+
+    request.setTimeout(timeoutMs, () => {
+      request.destroy(new Error(`Request to ${hostname} timed out after ${timeoutMs}ms`));
+    });
+
+    request.on('error', reject);
+
+    if (body) {
+      request.write(body);
+    }
+    request.end();
+  });
+
+module.exports = httpRequest;
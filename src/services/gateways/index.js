@@ -0,0 +1,60 @@
+const PaystackGateway = require('./paystackGateway');
+const StripeGateway = require('./stripeGateway');
+const MockPaystackGateway = require('./mockPaystackGateway');
+const paymentConfig = require('../../config/payments');
+const { createError } = require('../../utils/errors');
+
+/**
+ * Payment gateway registry. Every adapter implements:
+ *   initialize({ reference, amount, currency, email, callbackUrl, cancelUrl, description, metadata })
+ *     -> { authorizationUrl, accessCode, gatewayReference }
+ *   verify(payment)                     -> { status: 'successful'|'failed'|'pending', amount, currency, raw }
+ *   listTransactions({ from, to })      -> [{ reference, gatewayReference, amount, currency, status, paidAt, raw }]
+ *   refund(payment, amount, reason)     -> { id, status: 'processed'|'pending' }
+ *   createTransferRecipient(details)    -> recipient ID
+ *   transfer({ amount, currency, recipient, reference, reason }) -> { id, status }
+ *   verifyWebhook(req)                  -> boolean (checked against req.rawBody)
+ *   getEventId(body)                    -> stable ID used to drop duplicate deliveries
+ *   parseWebhookEvent(body)             -> { type, reference, refundId, reason, data }
+ *
+ * With paymentConfig.mockGateway on, Paystack is replaced by the offline mock.
+ */
+const gateways = {
+  paystack: paymentConfig.mockGateway ? new MockPaystackGateway() : new PaystackGateway(),
+  stripe: new StripeGateway()
+};
+
+const getGateway = (name) => {
+  const gateway = gateways[name];
+  if (!gateway) {
+    throw createError(`Unsupported payment gateway: ${name}`, 400);
+  }
+  return gateway;
+};
+
+// Explicit currency wins; otherwise Nigerian patients pay in NGN and everyone else in the international currency
+const resolveCurrency = (requestedCurrency, country) => {
+  if (requestedCurrency) {
+    const currency = requestedCurrency.toUpperCase();
+    if (!paymentConfig.gatewayByCurrency[currency]) {
+      throw createError(`Unsupported currency: ${requestedCurrency}`, 400);
+    }
+    return currency;
+  }
+
+  const isLocal = !country || paymentConfig.localCountries.includes(country.toLowerCase());
+  return isLocal ? paymentConfig.baseCurrency : paymentConfig.internationalCurrency;
+};
+
+const getGatewayForCurrency = (currency) => {
+  const gateway = getGateway(paymentConfig.gatewayByCurrency[currency]);
+
+  // With the mock on, currencies whose gateway has no keys are charged through it too
+  return paymentConfig.mockGateway && !gateway.isConfigured() ? gateways.paystack : gateway;
+};
+
+module.exports = {
+  getGateway,
+  getGatewayForCurrency,
+  resolveCurrency
+};
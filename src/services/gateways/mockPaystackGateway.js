@@ -0,0 +1,282 @@
+const http = require('http');
+const https = require('https');
+const PaystackGateway = require('./paystackGateway');
+const paymentConfig = require('../../config/payments');
+const { createError } = require('../../utils/errors');
+
+// Transfers to this account number fail, so payout failures can be exercised too
+const FAILING_ACCOUNT_NUMBER = '0000000000';
+
+const ok = (data, extra = {}) => ({ status: true, message: 'OK', data, ...extra });
+const fail = (message) => ({ status: false, message });
+
+/**
+ * Offline Paystack for development and tests. The real adapter does all the request
+ * building and response parsing; only the transport is swapped for an in-memory
+ * copy of the Paystack endpoints the app uses. Checkouts are completed from the page
+ * served under /mock-gateway, and every outcome is posted back to the webhook URL
+ * signed the same way Paystack signs it.
+ *
+ * State lives in memory, so checkouts started before a restart can no longer be found.
+ */
+class MockPaystackGateway extends PaystackGateway {
+  constructor() {
+    super();
+    this.mock = true;
+    this.transactions = new Map(); // reference -> transaction
+    this.refunds = [];
+    this.recipients = new Map(); // recipient_code -> details
+    this.transfers = new Map(); // transfer_code -> transfer
+    this.nextId = Date.now() % 1000000000;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async call(method, path, payload = null) {
+    const body = this.handle(method, path, payload || {});
+
+    if (!body.status) {
+      throw new Error(body.message || 'Paystack request failed');
+    }
+
+    return body;
+  }
+
+  // Route a request to the matching fake endpoint
+  handle(method, path, payload) {
+    const [pathname, search = ''] = path.split('?');
+
+    if (method === 'POST' && pathname === '/transaction/initialize') return this.initializeTransaction(payload);
+    if (method === 'GET' && pathname.startsWith('/transaction/verify/')) {
+      return this.verifyTransaction(decodeURIComponent(pathname.slice('/transaction/verify/'.length)));
+    }
+    if (method === 'GET' && pathname === '/transaction') return this.listTransactionPage(new URLSearchParams(search));
+    if (method === 'POST' && pathname === '/refund') return this.createRefund(payload);
+    if (method === 'POST' && pathname === '/transferrecipient') return this.createRecipient(payload);
+    if (method === 'POST' && pathname === '/transfer') return this.createTransfer(payload);
+
+    return fail(`Mock gateway does not support ${method} ${pathname}`);
+  }
+
+  initializeTransaction({ email, amount, currency, reference, callback_url: callbackUrl, metadata }) {
+    if (!reference || !Number.isInteger(amount) || amount <= 0) {
+      return fail('Invalid amount or reference');
+    }
+    if (this.transactions.has(reference)) {
+      return fail('Duplicate Transaction Reference');
+    }
+
+    const accessCode = `MOCK_${reference}`;
+    this.transactions.set(reference, {
+      id: this.nextId++,
+      reference,
+      amount,
+      currency,
+      email,
+      metadata,
+      callbackUrl,
+      accessCode,
+      status: 'ongoing',
+      gateway_response: 'Awaiting customer',
+      refunded: 0,
+      created_at: new Date().toISOString(),
+      paid_at: null
+    });
+
+    return ok({
+      authorization_url: `${paymentConfig.mockGatewayUrl}/checkout/${encodeURIComponent(reference)}`,
+      access_code: accessCode,
+      reference
+    });
+  }
+
+  verifyTransaction(reference) {
+    const transaction = this.transactions.get(reference);
+    return transaction ? ok(this.toTransactionData(transaction)) : fail('Transaction reference not found');
+  }
+
+  listTransactionPage(query) {
+    const from = query.get('from') ? new Date(query.get('from')) : new Date(0);
+    const to = query.get('to') ? new Date(query.get('to')) : new Date();
+    const perPage = parseInt(query.get('perPage')) || 50;
+    const page = parseInt(query.get('page')) || 1;
+
+    const matching = [...this.transactions.values()].filter(transaction => {
+      if (query.get('status') && transaction.status !== query.get('status')) return false;
+      const at = new Date(transaction.paid_at || transaction.created_at);
+      return at >= from && at <= to;
+    });
+
+    return ok(
+      matching.slice((page - 1) * perPage, page * perPage).map(transaction => this.toTransactionData(transaction)),
+      { meta: { total: matching.length, page, perPage, pageCount: Math.max(1, Math.ceil(matching.length / perPage)) } }
+    );
+  }
+
+  createRefund({ transaction: transactionKey, amount, merchant_note: note }) {
+    const transaction = [...this.transactions.values()].find(entry =>
+      String(entry.id) === String(transactionKey) || entry.reference === transactionKey);
+
+    if (!transaction) return fail('Transaction not found');
+    if (transaction.status !== 'success') return fail('Only successful transactions can be refunded');
+
+    const value = amount || transaction.amount - transaction.refunded;
+    if (value <= 0 || value > transaction.amount - transaction.refunded) {
+      return fail('Refund amount cannot be more than the unrefunded balance');
+    }
+
+    transaction.refunded += value;
+
+    const refund = {
+      id: this.nextId++,
+      amount: value,
+      currency: transaction.currency,
+      transaction_reference: transaction.reference,
+      merchant_note: note,
+      status: 'pending',
+      refunded_at: null
+    };
+    this.refunds.push(refund);
+
+    this.later(() => {
+      refund.status = 'processed';
+      refund.refunded_at = new Date().toISOString();
+      return this.deliver('refund.processed', { ...refund });
+    });
+
+    return ok({ ...refund, transaction: { id: transaction.id, reference: transaction.reference } });
+  }
+
+  createRecipient({ name, account_number: accountNumber, bank_code: bankCode, currency }) {
+    if (!accountNumber || !bankCode) return fail('Account number and bank code are required');
+
+    const recipientCode = `RCP_MOCK${this.nextId++}`;
+    this.recipients.set(recipientCode, { name, accountNumber, bankCode, currency });
+
+    return ok({ recipient_code: recipientCode, name, details: { account_number: accountNumber, bank_code: bankCode } });
+  }
+
+  createTransfer({ amount, recipient, reference, reason }) {
+    const details = this.recipients.get(recipient);
+
+    if (!details) return fail('Recipient not found');
+    if (!Number.isInteger(amount) || amount <= 0) return fail('Invalid amount');
+    if (reference && [...this.transfers.values()].some(transfer => transfer.reference === reference)) {
+      return fail('Duplicate transfer reference');
+    }
+
+    const transfer = {
+      transfer_code: `TRF_MOCK${this.nextId++}`,
+      reference,
+      amount,
+      currency: details.currency || paymentConfig.baseCurrency,
+      reason,
+      recipient: { recipient_code: recipient, name: details.name },
+      status: 'pending'
+    };
+    this.transfers.set(transfer.transfer_code, transfer);
+
+    const failing = details.accountNumber === FAILING_ACCOUNT_NUMBER;
+    this.later(() => {
+      transfer.status = failing ? 'failed' : 'success';
+      return this.deliver(failing ? 'transfer.failed' : 'transfer.success', {
+        ...transfer,
+        ...(failing && { reason: 'Account could not be credited' })
+      });
+    });
+
+    return ok({ ...transfer });
+  }
+
+  toTransactionData(transaction) {
+    const { callbackUrl, accessCode, refunded, ...data } = transaction;
+    return { ...data, channel: 'card', paidAt: data.paid_at };
+  }
+
+  /**
+   * Checkout shown on the mock payment page
+   */
+  getCheckout(reference) {
+    return this.transactions.get(reference) || null;
+  }
+
+  /**
+   * Settle a checkout the way the customer chose: approve, decline or abandon.
+   * Abandoned checkouts send no webhook and, like Paystack, stay open: the customer
+   * can come back and pay until the API expires the payment.
+   */
+  async completeCheckout(reference, action) {
+    const transaction = this.transactions.get(reference);
+
+    if (!transaction) {
+      throw createError('Checkout not found', 404);
+    }
+    if (!['ongoing', 'abandoned'].includes(transaction.status)) {
+      throw createError(`This checkout is already ${transaction.status}`, 409);
+    }
+
+    if (action === 'approve') {
+      transaction.status = 'success';
+      transaction.gateway_response = 'Successful';
+      transaction.paid_at = new Date().toISOString();
+      await this.deliver('charge.success', this.toTransactionData(transaction));
+    } else if (action === 'decline') {
+      transaction.status = 'failed';
+      transaction.gateway_response = 'Declined by card issuer';
+      await this.deliver('charge.failed', this.toTransactionData(transaction));
+    } else if (action === 'abandon') {
+      transaction.status = 'abandoned';
+      transaction.gateway_response = 'The transaction was not completed';
+    } else {
+      throw createError('Action must be approve, decline or abandon', 400);
+    }
+
+    return transaction;
+  }
+
+  later(task) {
+    setTimeout(() => {
+      task().catch(error => console.error('Mock gateway:', error.message));
+    }, paymentConfig.mockGatewayWebhookDelayMs);
+  }
+
+  /**
+   * POST a signed webhook to the API. Delivery failures are logged, not thrown,
+   * since a real gateway doesn't tell the customer either.
+   */
+  deliver(event, data) {
+    const body = JSON.stringify({ event, data });
+    const url = new URL(paymentConfig.mockGatewayWebhookUrl);
+    const client = url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve) => {
+      const request = client.request(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          'x-paystack-signature': this.sign(body)
+        }
+      }, (response) => {
+        response.resume();
+        response.on('end', () => {
+          if (response.statusCode >= 300) {
+            console.error(`Mock gateway: ${event} webhook got HTTP ${response.statusCode}`);
+          }
+          resolve(response.statusCode);
+        });
+      });
+
+      request.on('error', (error) => {
+        console.error(`Mock gateway: ${event} webhook failed:`, error.message);
+        resolve(null);
+      });
+
+      request.end(body);
+    });
+  }
+}
+
+module.exports = MockPaystackGateway;
@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const httpRequest = require('./httpRequest');
+
+const toKobo = (amount) => Math.round(amount * 100);
+
+/**
+ * Paystack adapter (NGN). Amounts passed in and out are in naira.
+ */
+class PaystackGateway {
+  constructor() {
+    this.name = 'paystack';
+    this.currencies = ['NGN'];
+  }
+
+  isConfigured() {
+    return !!process.env.PAYSTACK_SECRET_KEY;
+  }
+
+  async request(method, path, payload = null) {
+    return (await this.call(method, path, payload)).data;
+  }
+
+  // Full response body - list endpoints keep paging info in `meta`
+  async call(method, path, payload = null) {
+    const { body } = await httpRequest({
+      hostname: 'api.paystack.co',
+      method,
+      path,
+      headers: {
+        Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      body: payload ? JSON.stringify(payload) : null
+    });
+
+    if (!body.status) {
+      throw new Error(body.message || 'Paystack request failed');
+    }
+
+    return body;
+  }
+
+  async initialize({ reference, amount, currency, email, callbackUrl, metadata }) {
+    const data = await this.request('POST', '/transaction/initialize', {
+      email,
+      amount: toKobo(amount),
+      currency,
+      reference,
+      callback_url: callbackUrl,
+      metadata
+    });
+
+    return {
+      authorizationUrl: data.authorization_url,
+      accessCode: data.access_code,
+      gatewayReference: reference
+    };
+  }
+
+  async verify(payment) {
+    const data = await this.request('GET', `/transaction/verify/${encodeURIComponent(payment.gatewayReference || payment.transactionReference)}`);
+
+    // 'abandoned' and 'ongoing' are unfinished checkouts the customer can still pay; only
+    // reconciliation's expiry (or the booking's payment deadline) gives up on them
+    const statusMap = { success: 'successful', failed: 'failed', reversed: 'failed' };
+    return {
+      status: statusMap[data.status] || 'pending',
+      amount: data.amount / 100,
+      currency: data.currency,
+      raw: data
+    };
+  }
+
+  /**
+   * Successful transactions between two dates, for reconciliation
+   */
+  async listTransactions({ from, to }) {
+    const transactions = [];
+    let page = 1;
+    let pageCount = 1;
+
+    do {
+      const query = new URLSearchParams({
+        status: 'success',
+        from: new Date(from).toISOString(),
+        to: new Date(to).toISOString(),
+        perPage: '100',
+        page: String(page)
+      });
+      const body = await this.call('GET', `/transaction?${query}`);
+
+      (body.data || []).forEach(data => transactions.push({
+        reference: data.reference,
+        gatewayReference: data.reference,
+        amount: data.amount / 100,
+        currency: data.currency,
+        status: 'successful',
+        paidAt: data.paid_at || data.paidAt || data.created_at,
+        raw: data
+      }));
+
+      pageCount = body.meta?.pageCount || 1;
+      page += 1;
+    } while (page <= pageCount);
+
+    return transactions;
+  }
+
+  async refund(payment, amount, reason) {
+    // Paystack knows the transaction by its own ID (from the charge webhook) or our original reference
+    const transaction = payment.gatewayResponse?.id || payment.gatewayReference || payment.transactionReference;
+
+    const data = await this.request('POST', '/refund', {
+      transaction,
+      amount: toKobo(amount),
+      merchant_note: reason
+    });
+
+    return {
+      id: data.id?.toString(),
+      status: data.status === 'processed' ? 'processed' : 'pending'
+    };
+  }
+
+  /**
+   * Register a bank account as a transfer recipient. Returns the recipient code.
+   */
+  async createTransferRecipient({ accountName, accountNumber, bankCode }) {
+    const data = await this.request('POST', '/transferrecipient', {
+      type: 'nuban',
+      name: accountName,
+      account_number: accountNumber,
+      bank_code: bankCode,
+      currency: 'NGN'
+    });
+
+    return data.recipient_code;
+  }
+
+  async transfer({ amount, recipient, reference, reason }) {
+    const data = await this.request('POST', '/transfer', {
+      source: 'balance',
+      amount: toKobo(amount),
+      recipient,
+      reference,
+      reason
+    });
+
+    return {
+      id: data.transfer_code,
+      status: data.status === 'success' ? 'completed' : 'processing'
+    };
+  }
+
+  // x-paystack-signature for a raw webhook body
+  sign(rawBody) {
+    return crypto
+      .createHmac('sha512', process.env.PAYSTACK_SECRET_KEY || 'test')
+      .update(rawBody)
+      .digest('hex');
+  }
+
+  verifyWebhook(req) {
+    const signature = req.headers['x-paystack-signature'];
+    if (!signature || !req.rawBody) return false;
+
+    // HMAC over the exact bytes Paystack sent - re-serialized JSON can differ
+    const expected = this.sign(req.rawBody);
+
+    return signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  }
+
+  /**
+   * Paystack events carry no event ID, so derive a stable one from the event and its subject
+   */
+  getEventId(body) {
+    const { event, data = {} } = body;
+    return [event, data.id || data.reference || data.transfer_code, data.status]
+      .filter(Boolean)
+      .join(':');
+  }
+
+  /**
+   * Normalize a webhook body to { type, reference, refundId, reason, data }
+   */
+  parseWebhookEvent(body) {
+    const { event, data = {} } = body;
+
+    if (event === 'refund.processed' || event === 'refund.failed') {
+      return {
+        type: event,
+        reference: data.transaction_reference,
+        refundId: data.id?.toString(),
+        reason: data.reason || data.status,
+        data
+      };
+    }
+
+    if (event === 'charge.success' || event === 'charge.failed') {
+      return { type: event, reference: data.reference, reason: data.gateway_response, data };
+    }
+
+    if (event?.startsWith('transfer.')) {
+      return { type: event, reference: data.reference, reason: data.reason, data };
+    }
+
+    return { type: event, data };
+  }
+}
+
+module.exports = PaystackGateway;
@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const httpRequest = require('./httpRequest');
+
+// Reject webhooks signed more than 5 minutes ago (replay protection)
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+const toMinorUnits = (amount) => Math.round(amount * 100);
+
+// { a: { b: 1 } } -> 'a[b]=1' (Stripe's form encoding)
+const encodeForm = (value, prefix = '') => {
+  if (value === null || value === undefined) return [];
+
+  if (typeof value === 'object') {
+    return Object.entries(value).flatMap(([key, nested]) =>
+      encodeForm(nested, prefix ? `${prefix}[${key}]` : key)
+    );
+  }
+
+  return [`${encodeURIComponent(prefix)}=${encodeURIComponent(value)}`];
+};
+
+/**
+ * Stripe adapter (USD, GBP, EUR) using Checkout Sessions. Amounts passed in and out are in major units.
+ */
+class StripeGateway {
+  constructor() {
+    this.name = 'stripe';
+    this.currencies = ['USD', 'GBP', 'EUR'];
+  }
+
+  isConfigured() {
+    return !!process.env.STRIPE_SECRET_KEY;
+  }
+
+  async request(method, path, payload = null) {
+    const { statusCode, body } = await httpRequest({
+      hostname: 'api.stripe.com',
+      method,
+      path,
+      headers: {
+        Authorization: `Bearer ${process.env.STRIPE_SECRET_KEY}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: payload ? encodeForm(payload).join('&') : null
+    });
+
+    if (statusCode >= 400) {
+      throw new Error(body.error?.message || 'Stripe request failed');
+    }
+
+    return body;
+  }
+
+  async initialize({ reference, amount, currency, email, callbackUrl, cancelUrl, description, metadata }) {
+    const session = await this.request('POST', '/v1/checkout/sessions', {
+      mode: 'payment',
+      success_url: callbackUrl,
+      cancel_url: cancelUrl || callbackUrl,
+      client_reference_id: reference,
+      customer_email: email,
+      line_items: {
+        0: {
+          quantity: 1,
+          price_data: {
+            currency: currency.toLowerCase(),
+            unit_amount: toMinorUnits(amount),
+            product_data: { name: description || 'Consultation' }
+          }
+        }
+      },
+      metadata: { ...metadata, reference },
+      payment_intent_data: { metadata: { reference } }
+    });
+
+    return {
+      authorizationUrl: session.url,
+      accessCode: session.id,
+      gatewayReference: session.id
+    };
+  }
+
+  async verify(payment) {
+    const session = await this.request('GET', `/v1/checkout/sessions/${encodeURIComponent(payment.gatewayReference)}`);
+
+    let status = 'pending';
+    if (session.payment_status === 'paid') status = 'successful';
+    else if (session.status === 'expired') status = 'failed';
+
+    return {
+      status,
+      amount: session.amount_total / 100,
+      currency: session.currency?.toUpperCase(),
+      raw: session
+    };
+  }
+
+  /**
+   * Paid checkout sessions created between two dates, for reconciliation
+   */
+  async listTransactions({ from, to }) {
+    const transactions = [];
+    let startingAfter = null;
+    let hasMore = true;
+
+    while (hasMore) {
+      const query = new URLSearchParams({
+        'created[gte]': String(Math.floor(new Date(from).getTime() / 1000)),
+        'created[lte]': String(Math.floor(new Date(to).getTime() / 1000)),
+        status: 'complete',
+        limit: '100',
+        ...(startingAfter && { starting_after: startingAfter })
+      });
+      const page = await this.request('GET', `/v1/checkout/sessions?${query}`);
+
+      (page.data || [])
+        .filter(session => session.payment_status === 'paid')
+        .forEach(session => transactions.push({
+          reference: session.client_reference_id,
+          gatewayReference: session.id,
+          amount: session.amount_total / 100,
+          currency: session.currency?.toUpperCase(),
+          status: 'successful',
+          paidAt: new Date(session.created * 1000),
+          raw: session
+        }));
+
+      hasMore = !!page.has_more && page.data.length > 0;
+      startingAfter = hasMore ? page.data[page.data.length - 1].id : null;
+    }
+
+    return transactions;
+  }
+
+  async refund(payment, amount, reason) {
+    const refund = await this.request('POST', '/v1/refunds', {
+      payment_intent: payment.gatewayResponse?.payment_intent,
+      amount: toMinorUnits(amount),
+      reason: 'requested_by_customer',
+      metadata: { reference: payment.transactionReference, note: reason }
+    });
+
+    return {
+      id: refund.id,
+      status: refund.status === 'succeeded' ? 'processed' : 'pending'
+    };
+  }
+
+  /**
+   * Stripe pays doctors through Connect accounts, which are onboarded outside this API
+   */
+  async createTransferRecipient({ stripeAccountId }) {
+    if (!stripeAccountId) {
+      throw new Error('Stripe payouts require a connected Stripe account');
+    }
+    return stripeAccountId;
+  }
+
+  async transfer({ amount, currency, recipient, reference }) {
+    const transfer = await this.request('POST', '/v1/transfers', {
+      amount: toMinorUnits(amount),
+      currency: currency.toLowerCase(),
+      destination: recipient,
+      transfer_group: reference,
+      metadata: { reference }
+    });
+
+    return {
+      id: transfer.id,
+      status: 'completed' // Transfers between Stripe balances settle immediately
+    };
+  }
+
+  verifyWebhook(req) {
+    const header = req.headers['stripe-signature'];
+    if (!header || !req.rawBody || !process.env.STRIPE_WEBHOOK_SECRET) return false;
+
+    const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+    const timestamp = Number(parts.t);
+
+    if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+      return false;
+    }
+
+    const expected = crypto
+      .createHmac('sha256', process.env.STRIPE_WEBHOOK_SECRET)
+      .update(`${timestamp}.${req.rawBody}`)
+      .digest('hex');
+
+    const signatures = header.split(',')
+      .filter(part => part.startsWith('v1='))
+      .map(part => part.slice(3));
+
+    return signatures.some(signature =>
+      signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+    );
+  }
+
+  getEventId(body) {
+    return body.id;
+  }
+
+  /**
+   * Normalize a webhook body to { type, reference, refundId, reason, data }
+   */
+  parseWebhookEvent(body) {
+    const object = body.data?.object || {};
+
+    switch (body.type) {
+      case 'checkout.session.completed':
+        if (object.payment_status !== 'paid') break;
+        return { type: 'charge.success', reference: object.client_reference_id, data: object };
+
+      case 'checkout.session.async_payment_succeeded':
+        return { type: 'charge.success', reference: object.client_reference_id, data: object };
+
+      case 'checkout.session.async_payment_failed':
+      case 'checkout.session.expired':
+        return { type: 'charge.failed', reference: object.client_reference_id, reason: body.type, data: object };
+
+      case 'payment_intent.payment_failed':
+        return {
+          type: 'charge.failed',
+          reference: object.metadata?.reference,
+          reason: object.last_payment_error?.message,
+          data: object
+        };
+
+      case 'refund.created':
+      case 'refund.updated':
+        if (object.status === 'succeeded') {
+          return { type: 'refund.processed', refundId: object.id, reference: object.metadata?.reference, data: object };
+        }
+        if (['failed', 'canceled'].includes(object.status)) {
+          return { type: 'refund.failed', refundId: object.id, reference: object.metadata?.reference, reason: object.failure_reason, data: object };
+        }
+        break;
+
+      case 'transfer.reversed':
+        return { type: 'transfer.reversed', reference: object.transfer_group, data: object };
+
+      default:
+        break;
+    }
+
+    return { type: body.type, data: object };
+  }
+}
+
+module.exports = StripeGateway;
@@ -0,0 +1,556 @@
+const InsuranceProvider = require('../models/InsuranceProvider');
+const InsurancePolicy = require('../models/InsurancePolicy');
+const InsuranceClaim = require('../models/InsuranceClaim');
+const MedicalProfile = require('../models/MedicalProfile');
+const Patient = require('../models/Patient');
+const Notification = require('../models/Notification');
+const paymentConfig = require('../config/payments');
+const { toCsv } = require('../utils/csv');
+const { createError } = require('../utils/errors');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const POLICY_FIELDS = ['providerId', 'planId', 'memberNumber', 'groupNumber', 'holderName', 'relationshipToHolder', 'validFrom', 'validTo', 'isDefault'];
+
+const CLAIM_NOTIFICATIONS = {
+  submitted: { title: 'Insurance Claim Resubmitted', text: 'has been resubmitted to' },
+  approved: { title: 'Insurance Claim Approved', text: 'was approved by' },
+  rejected: { title: 'Insurance Claim Rejected', text: 'was rejected by' },
+  paid: { title: 'Insurance Claim Paid', text: 'has been paid by' }
+};
+
+const CSV_COLUMNS = [
+  { key: 'claimNumber', header: 'claim_number' },
+  { key: 'status', header: 'status' },
+  { key: 'serviceDate', header: 'service_date' },
+  { key: 'consultationType', header: 'consultation_type' },
+  { key: 'insurerCode', header: 'insurer_code' },
+  { key: 'insurerName', header: 'insurer_name' },
+  { key: 'planCode', header: 'plan_code' },
+  { key: 'memberNumber', header: 'member_number' },
+  { key: 'groupNumber', header: 'group_number' },
+  { key: 'patientName', header: 'patient_name' },
+  { key: 'doctorName', header: 'doctor_name' },
+  { key: 'doctorLicense', header: 'doctor_license' },
+  { key: 'currency', header: 'currency' },
+  { key: 'billed', header: 'billed' },
+  { key: 'claimed', header: 'claimed' },
+  { key: 'patientShare', header: 'patient_share' },
+  { key: 'approved', header: 'approved' },
+  { key: 'paid', header: 'paid' },
+  { key: 'payerReference', header: 'payer_reference' },
+  { key: 'rejectionReason', header: 'rejection_reason' },
+  { key: 'submittedAt', header: 'submitted_at' },
+  { key: 'decidedAt', header: 'decided_at' },
+  { key: 'paidAt', header: 'paid_at' }
+];
+
+/**
+ * Insurance cover for consultations.
+ *
+ * Patients keep policies against the insurer/plan catalog and doctors list the insurers
+ * they accept. Booking with a policy stores an estimate of the insurer's and patient's
+ * shares on the appointment; the patient pays only their share at checkout and the
+ * insurer settles the rest through the claim filed once the visit is completed.
+ */
+class InsuranceService {
+  /**
+   * Split a fee between insurer and patient. remainingCover caps the insurer's share (null = no cap).
+   */
+  calculateShares(fee, { coveragePercent = 0, copayAmount = 0 }, remainingCover = null) {
+    let insurerAmount = Math.max(0, fee - copayAmount) * coveragePercent / 100;
+
+    if (remainingCover !== null && remainingCover !== undefined) {
+      insurerAmount = Math.min(insurerAmount, Math.max(0, remainingCover));
+    }
+
+    insurerAmount = round(Math.min(insurerAmount, fee));
+
+    return {
+      insurerAmount,
+      patientAmount: round(fee - insurerAmount)
+    };
+  }
+
+  /**
+   * What's left of a plan's annual limit for a policy in the calendar year of a date (null = no limit)
+   */
+  async getRemainingCover(policy, plan, date, excludeClaimId = null) {
+    if (plan?.annualLimit === null || plan?.annualLimit === undefined) return null;
+
+    const year = new Date(date).getUTCFullYear();
+    const used = await InsuranceClaim.getUsedCover(
+      policy._id,
+      new Date(Date.UTC(year, 0, 1)),
+      new Date(Date.UTC(year + 1, 0, 1) - 1),
+      excludeClaimId
+    );
+
+    return round(Math.max(0, plan.annualLimit - used));
+  }
+
+  // ==================== POLICIES ====================
+
+  async getPolicies(patient) {
+    return await InsurancePolicy.find({ patientId: patient._id, isActive: true })
+      .populate('providerId', 'name code plans isActive')
+      .sort({ isDefault: -1, createdAt: -1 });
+  }
+
+  async getPolicy(patient, policyId) {
+    const policy = await InsurancePolicy.findOne({ _id: policyId, patientId: patient._id, isActive: true });
+
+    if (!policy) {
+      throw createError('Insurance policy not found', 404);
+    }
+
+    return policy;
+  }
+
+  // Insurer and plan a policy points at must both be active
+  async loadCoverage(providerId, planId) {
+    const provider = await InsuranceProvider.findById(providerId);
+
+    if (!provider || !provider.isActive) {
+      throw createError('Insurer not found or no longer active', 400);
+    }
+
+    const plan = provider.getActivePlan(planId);
+    if (!plan) {
+      throw createError('Insurance plan not found or no longer offered', 400);
+    }
+
+    return { provider, plan };
+  }
+
+  async addPolicy(patient, data) {
+    const fields = this.pickPolicyFields(data);
+    await this.loadCoverage(fields.providerId, fields.planId);
+
+    const hasPolicies = await InsurancePolicy.exists({ patientId: patient._id, isActive: true });
+
+    let policy;
+    try {
+      policy = await InsurancePolicy.create({
+        ...fields,
+        patientId: patient._id,
+        isDefault: fields.isDefault === true || !hasPolicies
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw createError('This policy is already on your profile', 409);
+      }
+      throw error;
+    }
+
+    if (policy.isDefault) {
+      await this.makeDefault(patient, policy);
+    }
+
+    await this.syncProfile(patient);
+    return policy;
+  }
+
+  async updatePolicy(patient, policyId, data) {
+    const policy = await this.getPolicy(patient, policyId);
+    const fields = this.pickPolicyFields(data);
+
+    if (fields.providerId || fields.planId) {
+      await this.loadCoverage(fields.providerId || policy.providerId, fields.planId || policy.planId);
+    }
+
+    Object.assign(policy, fields);
+    await policy.save();
+
+    if (fields.isDefault === true) {
+      await this.makeDefault(patient, policy);
+    }
+
+    await this.syncProfile(patient);
+    return policy;
+  }
+
+  /**
+   * Retire a policy (kept for claims already filed against it)
+   */
+  async removePolicy(patient, policyId) {
+    const policy = await this.getPolicy(patient, policyId);
+    const wasDefault = policy.isDefault;
+
+    policy.isActive = false;
+    policy.isDefault = false;
+    await policy.save();
+
+    if (wasDefault) {
+      const next = await InsurancePolicy.findOne({ patientId: patient._id, isActive: true }).sort({ createdAt: -1 });
+      if (next) await this.makeDefault(patient, next);
+    }
+
+    await this.syncProfile(patient);
+    return policy;
+  }
+
+  async makeDefault(patient, policy) {
+    await InsurancePolicy.updateMany(
+      { patientId: patient._id, _id: { $ne: policy._id }, isDefault: true },
+      { $set: { isDefault: false } }
+    );
+
+    if (!policy.isDefault) {
+      policy.isDefault = true;
+      await policy.save();
+    }
+  }
+
+  /**
+   * Keep the free-text insurer on the medical profile in step with the default policy
+   */
+  async syncProfile(patient) {
+    const policy = await InsurancePolicy.findOne({ patientId: patient._id, isActive: true, isDefault: true })
+      .populate('providerId', 'name');
+
+    await MedicalProfile.updateOne(
+      { userId: patient.userId },
+      policy
+        ? { $set: { 'preferences.insuranceProvider': policy.providerId?.name } }
+        : { $unset: { 'preferences.insuranceProvider': '' } }
+    );
+  }
+
+  pickPolicyFields(data = {}) {
+    const fields = {};
+    POLICY_FIELDS.forEach(key => {
+      if (data[key] !== undefined) fields[key] = data[key];
+    });
+    return fields;
+  }
+
+  // ==================== DOCTORS ====================
+
+  async setAcceptedInsurers(doctor, providerIds) {
+    if (!Array.isArray(providerIds)) {
+      throw createError('insurerIds must be an array', 400);
+    }
+
+    const ids = [...new Set(providerIds.map(String))];
+    const providers = await InsuranceProvider.find({ _id: { $in: ids }, isActive: true }).select('_id');
+
+    if (providers.length !== ids.length) {
+      throw createError('One or more insurers were not found or are no longer active', 400);
+    }
+
+    doctor.acceptedInsurers = providers.map(provider => provider._id);
+    await doctor.save();
+
+    return await doctor.populate('acceptedInsurers', 'name code');
+  }
+
+  // ==================== ESTIMATES ====================
+
+  /**
+   * Check a policy can pay for a consultation and estimate the split.
+   * policyId null uses the patient's default policy. Returns the snapshot stored on the appointment.
+   */
+  async estimate({ patient, policyId = null, doctor, consultationType, fee, date }) {
+    const policy = policyId
+      ? await this.getPolicy(patient, policyId)
+      : await InsurancePolicy.findOne({ patientId: patient._id, isActive: true, isDefault: true });
+
+    if (!policy) {
+      throw createError('No insurance policy on file', 404);
+    }
+
+    if (!policy.isValidOn(date)) {
+      throw createError('Your insurance policy does not cover the appointment date', 400);
+    }
+
+    const { provider, plan } = await this.loadCoverage(policy.providerId, policy.planId);
+
+    const accepted = (doctor.acceptedInsurers || []).some(id => id.toString() === provider._id.toString());
+    if (!accepted) {
+      throw createError(`This doctor does not accept ${provider.name}`, 400);
+    }
+
+    if (!plan.coversConsultationType(consultationType)) {
+      throw createError(`${provider.name} ${plan.name} does not cover ${consultationType} consultations`, 400);
+    }
+
+    const remainingCover = await this.getRemainingCover(policy, plan, date);
+    const shares = this.calculateShares(fee, plan, remainingCover);
+
+    return {
+      policyId: policy._id,
+      providerId: provider._id,
+      planId: plan._id,
+      providerName: provider.name,
+      planName: plan.name,
+      memberNumber: policy.memberNumber,
+      coveragePercent: plan.coveragePercent,
+      copayAmount: plan.copayAmount,
+      ...shares,
+      estimatedAt: new Date()
+    };
+  }
+
+  // ==================== CLAIMS ====================
+
+  /**
+   * File the claim for a completed, insured appointment. Returns the claim, or null
+   * when the appointment wasn't insured or the policy lapsed before the visit. Safe to call twice.
+   */
+  async fileClaim(appointment) {
+    const insurance = appointment.insurance;
+    if (!insurance?.policyId) return null;
+
+    const existing = await InsuranceClaim.findOne({ appointmentId: appointment._id });
+    if (existing) return existing;
+
+    const policy = await InsurancePolicy.findById(insurance.policyId);
+    if (!policy || !policy.isValidOn(appointment.appointmentDate)) {
+      console.error(`Insurance claim skipped for appointment ${appointment._id}: policy not valid on the visit date`);
+      return null;
+    }
+
+    const provider = await InsuranceProvider.findById(insurance.providerId);
+    const plan = provider?.plans.id(insurance.planId);
+
+    // Shares use the terms quoted at booking; the annual limit is checked again now
+    const remainingCover = await this.getRemainingCover(policy, plan, appointment.appointmentDate);
+    const shares = this.calculateShares(appointment.consultationFee, insurance, remainingCover);
+
+    try {
+      return await InsuranceClaim.create({
+        appointmentId: appointment._id,
+        patientId: appointment.patientId,
+        doctorId: appointment.doctorId,
+        policyId: policy._id,
+        providerId: insurance.providerId,
+        coverage: {
+          providerName: provider?.name || insurance.providerName,
+          providerCode: provider?.code,
+          planName: plan?.name || insurance.planName,
+          planCode: plan?.code,
+          memberNumber: policy.memberNumber,
+          groupNumber: policy.groupNumber,
+          holderName: policy.holderName,
+          relationshipToHolder: policy.relationshipToHolder,
+          coveragePercent: insurance.coveragePercent,
+          copayAmount: insurance.copayAmount
+        },
+        consultationType: appointment.consultationType,
+        serviceDate: appointment.appointmentDate,
+        currency: paymentConfig.baseCurrency,
+        billedAmount: appointment.consultationFee,
+        claimedAmount: shares.insurerAmount,
+        patientAmount: shares.patientAmount
+      });
+    } catch (error) {
+      // Filed concurrently by another completion path
+      if (error.code === 11000) {
+        return await InsuranceClaim.findOne({ appointmentId: appointment._id });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Move a claim through submitted -> approved/rejected -> paid (admin)
+   */
+  async updateClaimStatus(claimId, status, userId, { note, approvedAmount, paidAmount, payerReference, rejectionReason } = {}) {
+    const claim = await InsuranceClaim.findById(claimId);
+
+    if (!claim) {
+      throw createError('Claim not found', 404);
+    }
+
+    if (!claim.canTransitionTo(status)) {
+      throw createError(`Cannot move claim from ${claim.status} to ${status}`, 400);
+    }
+
+    const toAmount = (value, fallback, label) => {
+      const amount = value === undefined || value === null ? fallback : Number(value);
+      if (!Number.isFinite(amount) || amount < 0 || amount > claim.billedAmount) {
+        throw createError(`${label} must be between 0 and the billed amount (${claim.billedAmount})`, 400);
+      }
+      return round(amount);
+    };
+
+    if (status === 'approved') {
+      claim.approvedAmount = toAmount(approvedAmount, claim.claimedAmount, 'Approved amount');
+      claim.rejectionReason = undefined;
+    } else if (status === 'rejected') {
+      if (!rejectionReason) {
+        throw createError('A rejection reason is required', 400);
+      }
+      claim.rejectionReason = rejectionReason;
+    } else if (status === 'paid') {
+      claim.paidAmount = toAmount(paidAmount, claim.approvedAmount, 'Paid amount');
+      if (payerReference) claim.payerReference = payerReference;
+    } else if (status === 'submitted') {
+      claim.rejectionReason = undefined;
+      claim.approvedAmount = null;
+    }
+
+    await claim.transition(status, userId, note || (status === 'rejected' ? rejectionReason : undefined));
+    await this.notifyPatient(claim);
+
+    return claim;
+  }
+
+  async notifyPatient(claim) {
+    const content = CLAIM_NOTIFICATIONS[claim.status];
+    const patient = await Patient.findById(claim.patientId);
+    if (!content || !patient) return;
+
+    let detail = '';
+    if (claim.status === 'approved') detail = ` for ${claim.currency} ${claim.approvedAmount.toLocaleString()}`;
+    if (claim.status === 'rejected' && claim.rejectionReason) detail = `: ${claim.rejectionReason}`;
+    if (claim.status === 'paid') detail = ` (${claim.currency} ${claim.paidAmount.toLocaleString()})`;
+
+    await Notification.createAndSend({
+      userId: patient.userId,
+      type: 'insurance_claim',
+      title: content.title,
+      message: `Your insurance claim ${claim.claimNumber} ${content.text} ${claim.coverage?.providerName || 'your insurer'}${detail}.`,
+      relatedId: claim._id,
+      relatedModel: 'InsuranceClaim',
+      channels: ['push', 'email', 'in-app'],
+      actionUrl: `/insurance/claims/${claim._id}`
+    });
+  }
+
+  /**
+   * Query for claim lists and exports: status, providerId, doctorId, patientId, from/to (service date)
+   */
+  buildClaimQuery({ status, providerId, doctorId, patientId, from, to } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    if (providerId) query.providerId = providerId;
+    if (doctorId) query.doctorId = doctorId;
+    if (patientId) query.patientId = patientId;
+
+    if (from || to) {
+      query.serviceDate = {};
+      if (from) query.serviceDate.$gte = new Date(from);
+      if (to) query.serviceDate.$lte = new Date(to);
+
+      if (Object.values(query.serviceDate).some(date => isNaN(date.getTime()))) {
+        throw createError('from and to must be valid dates', 400);
+      }
+    }
+
+    return query;
+  }
+
+  /**
+   * Claims in a structured, insurer-facing shape. format is 'json' (returns an object) or 'csv' (returns text).
+   */
+  async exportClaims(filters, format = 'json') {
+    const claims = await InsuranceClaim.find(this.buildClaimQuery(filters))
+      .populate('patientId', 'firstName lastName dateOfBirth gender')
+      .populate('doctorId', 'firstName lastName licenseNumber specialties')
+      .populate('providerId', 'name code claimsEmail')
+      .sort({ serviceDate: 1 });
+
+    const records = claims.map(claim => this.toExportRecord(claim));
+
+    if (format === 'csv') {
+      return toCsv(CSV_COLUMNS, records.map(record => ({
+        claimNumber: record.claimNumber,
+        status: record.status,
+        serviceDate: record.service.date,
+        consultationType: record.service.consultationType,
+        insurerCode: record.payer.code,
+        insurerName: record.payer.name,
+        planCode: record.plan.code,
+        memberNumber: record.member.memberNumber,
+        groupNumber: record.member.groupNumber,
+        patientName: record.member.patientName,
+        doctorName: record.practitioner.name,
+        doctorLicense: record.practitioner.licenseNumber,
+        currency: record.amounts.currency,
+        billed: record.amounts.billed,
+        claimed: record.amounts.claimed,
+        patientShare: record.amounts.patientShare,
+        approved: record.amounts.approved,
+        paid: record.amounts.paid,
+        payerReference: record.payerReference,
+        rejectionReason: record.rejectionReason,
+        submittedAt: record.submittedAt,
+        decidedAt: record.decidedAt,
+        paidAt: record.paidAt
+      })));
+    }
+
+    return {
+      format: 'healthhub-insurance-claims',
+      version: 1,
+      generatedAt: new Date().toISOString(),
+      count: records.length,
+      claims: records
+    };
+  }
+
+  toExportRecord(claim) {
+    const patient = claim.patientId;
+    const doctor = claim.doctorId;
+    const provider = claim.providerId;
+    const coverage = claim.coverage || {};
+
+    return {
+      claimNumber: claim.claimNumber,
+      status: claim.status,
+      submittedAt: claim.submittedAt || null,
+      decidedAt: claim.decidedAt || null,
+      paidAt: claim.paidAt || null,
+      payer: {
+        id: provider?._id || claim.providerId,
+        name: provider?.name || coverage.providerName,
+        code: provider?.code || coverage.providerCode,
+        claimsEmail: provider?.claimsEmail || null
+      },
+      plan: {
+        name: coverage.planName,
+        code: coverage.planCode,
+        coveragePercent: coverage.coveragePercent,
+        copayAmount: coverage.copayAmount
+      },
+      member: {
+        memberNumber: coverage.memberNumber,
+        groupNumber: coverage.groupNumber || null,
+        holderName: coverage.holderName || null,
+        relationshipToHolder: coverage.relationshipToHolder,
+        patientName: patient?.fullName || null,
+        dateOfBirth: patient?.dateOfBirth || null,
+        gender: patient?.gender || null
+      },
+      practitioner: {
+        name: doctor?.fullName || null,
+        licenseNumber: doctor?.licenseNumber || null,
+        specialties: doctor?.specialties || []
+      },
+      service: {
+        appointmentId: claim.appointmentId,
+        date: claim.serviceDate,
+        consultationType: claim.consultationType
+      },
+      amounts: {
+        currency: claim.currency,
+        billed: claim.billedAmount,
+        claimed: claim.claimedAmount,
+        patientShare: claim.patientAmount,
+        approved: claim.approvedAmount,
+        paid: claim.paidAmount
+      },
+      payerReference: claim.payerReference || null,
+      rejectionReason: claim.rejectionReason || null,
+      history: (claim.statusHistory || []).map(entry => ({
+        status: entry.status,
+        changedAt: entry.changedAt,
+        note: entry.note || null
+      }))
+    };
+  }
+}
+
+module.exports = new InsuranceService();
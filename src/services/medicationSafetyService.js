@@ -0,0 +1,272 @@
+const crypto = require('crypto');
+const Patient = require('../models/Patient');
+const MedicalProfile = require('../models/MedicalProfile');
+const dataset = require('../data/medicationSafety.json');
+const { mergeTexts } = require('../utils/text');
+
+const SEVERITY_RANK = { low: 1, moderate: 2, high: 3 };
+
+// Strengths, dose forms and allergy wording that don't identify the medicine
+const STRENGTH_PATTERN = /\b\d+(\.\d+)?\s*(mg|mcg|g|ml|iu|units?|%)(?![a-z])/g;
+const IGNORED_WORDS = new Set([
+  'tablet', 'tablets', 'tab', 'tabs', 'capsule', 'capsules', 'cap', 'caps', 'syrup', 'suspension',
+  'injection', 'inj', 'cream', 'ointment', 'oral', 'iv', 'im', 'sr', 'xl', 'mr', 'dispersible',
+  'solution', 'drops', 'inhaler', 'allergy', 'allergic', 'to', 'sensitivity', 'intolerance',
+  'hypersensitivity', 'reaction'
+]);
+
+const normalize = (text) => String(text || '')
+  .toLowerCase()
+  .replace(STRENGTH_PATTERN, ' ')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .split(' ')
+  .filter(word => word && !IGNORED_WORDS.has(word))
+  .join(' ');
+
+// alias -> key, plus aliases longest first for matching inside free text ("Augmentin 625 tabs")
+const buildIndex = (entries) => {
+  const index = new Map();
+  entries.forEach(([key, names]) => {
+    names.map(normalize).filter(Boolean).forEach(name => {
+      if (!index.has(name)) index.set(name, key);
+    });
+  });
+  return { index, aliases: [...index.keys()].sort((a, b) => b.length - a.length) };
+};
+
+const lookup = ({ index, aliases }, text) => {
+  const normalized = normalize(text);
+  if (!normalized) return null;
+  if (index.has(normalized)) return index.get(normalized);
+
+  const padded = ` ${normalized} `;
+  const alias = aliases.find(candidate => padded.includes(` ${candidate} `));
+  return alias ? index.get(alias) : null;
+};
+
+const drugIndex = buildIndex(Object.entries(dataset.drugs).map(([key, drug]) => [
+  key,
+  [key.replace(/-/g, ' '), drug.name, ...(drug.aliases || [])]
+]));
+
+const classIndex = buildIndex(Object.entries(dataset.classes).map(([key, drugClass]) => [
+  key,
+  [key.replace(/-/g, ' '), drugClass.name, ...(drugClass.allergyAliases || [])]
+]));
+
+// "class:nsaid" matches any drug in that class; anything else is a drug key
+const matchesSelector = (drugKey, selector) => {
+  if (!selector.startsWith('class:')) return drugKey === selector;
+  const drug = dataset.drugs[drugKey];
+  const classKey = selector.slice(6);
+  return drug.classes.includes(classKey) || drug.therapeuticClass === classKey;
+};
+
+const warningId = (...parts) => crypto.createHash('sha1').update(parts.join('|')).digest('hex').slice(0, 16);
+
+/**
+ * Checks prescriptions against the patient's allergies, current medications and the
+ * rest of the prescription, using the bundled dataset in src/data/medicationSafety.json.
+ * Warnings have stable ids so a doctor's acknowledgement carries over between requests.
+ */
+class MedicationSafetyService {
+  resolveMedication(text) {
+    return lookup(drugIndex, text);
+  }
+
+  // An allergy can name a class ("sulfa", "NSAIDs") or a single medicine ("amoxicillin")
+  resolveAllergy(text) {
+    const normalized = normalize(text);
+    if (classIndex.index.has(normalized)) return { classKey: classIndex.index.get(normalized) };
+    if (drugIndex.index.has(normalized)) return { drugKey: drugIndex.index.get(normalized) };
+
+    const classKey = lookup(classIndex, text);
+    if (classKey) return { classKey };
+
+    const drugKey = lookup(drugIndex, text);
+    return drugKey ? { drugKey } : null;
+  }
+
+  /**
+   * Returns { warnings, unrecognized }. prescription and existing are prescription entries
+   * ({ medication, ... }); allergies and currentMedications are free text.
+   */
+  check({ prescription = [], existing = [], allergies = [], currentMedications = [] }) {
+    const warnings = new Map();
+    const addWarning = (warning) => {
+      const current = warnings.get(warning.id);
+      if (!current || SEVERITY_RANK[warning.severity] > SEVERITY_RANK[current.severity]) {
+        warnings.set(warning.id, warning);
+      }
+    };
+
+    const toItem = (text, source) => ({ text, source, key: this.resolveMedication(text), normalized: normalize(text) });
+    const items = prescription.filter(entry => entry?.medication).map(entry => toItem(entry.medication, 'prescription'));
+    const background = [
+      ...currentMedications.map(text => toItem(text, 'current_medication')),
+      ...existing.filter(entry => entry?.medication).map(entry => toItem(entry.medication, 'prescription'))
+    ];
+
+    items.forEach((item, position) => {
+      const drug = item.key && dataset.drugs[item.key];
+      const name = drug ? drug.name : item.text;
+      const itemId = item.key || item.normalized;
+
+      allergies.forEach(allergy => {
+        const allergen = this.resolveAllergy(allergy);
+        const base = { type: 'allergy', medication: item.text, conflictsWith: allergy, source: 'allergy' };
+        const id = warningId('allergy', itemId, normalize(allergy));
+
+        if (!drug || !allergen) {
+          if (item.normalized && item.normalized === normalize(allergy)) {
+            addWarning({ ...base, id, severity: 'high', message: `The patient is allergic to ${allergy}` });
+          }
+          return;
+        }
+
+        const allergenClasses = allergen.classKey
+          ? [allergen.classKey]
+          : dataset.drugs[allergen.drugKey].classes;
+
+        if (allergen.drugKey === item.key) {
+          addWarning({ ...base, id, severity: 'high', message: `The patient is allergic to ${allergy}` });
+          return;
+        }
+
+        const sharedClass = drug.classes.find(classKey => allergenClasses.includes(classKey));
+        if (sharedClass) {
+          addWarning({
+            ...base,
+            id,
+            severity: 'high',
+            message: `${name} is one of the ${dataset.classes[sharedClass].name}; the patient is allergic to ${allergy}`
+          });
+          return;
+        }
+
+        allergenClasses.forEach(allergenClass => {
+          const crossReactive = dataset.classes[allergenClass].crossReactive || {};
+          drug.classes.filter(classKey => crossReactive[classKey]).forEach(classKey => {
+            addWarning({
+              ...base,
+              id,
+              severity: crossReactive[classKey],
+              message: `${name} (${dataset.classes[classKey].name}) can cross-react in patients allergic to ${allergy}`
+            });
+          });
+        });
+      });
+
+      [...background, ...items.slice(0, position)].forEach(other => {
+        const otherDrug = other.key && dataset.drugs[other.key];
+        const otherName = otherDrug ? otherDrug.name : other.text;
+        const pair = [itemId, other.key || other.normalized].sort();
+        const base = { medication: item.text, conflictsWith: other.text, source: other.source };
+        const alreadyWhere = other.source === 'current_medication'
+          ? "among the patient's current medications"
+          : 'on this prescription';
+
+        const sameMedicine = (item.key && item.key === other.key) ||
+          (!item.key && item.normalized && item.normalized === other.normalized);
+
+        if (sameMedicine) {
+          addWarning({
+            ...base,
+            id: warningId('duplicate_therapy', ...pair),
+            type: 'duplicate_therapy',
+            severity: 'high',
+            message: `${name} is already ${alreadyWhere}`
+          });
+          return;
+        }
+
+        if (!drug || !otherDrug) return;
+
+        if (drug.therapeuticClass === otherDrug.therapeuticClass) {
+          addWarning({
+            ...base,
+            id: warningId('duplicate_therapy', ...pair),
+            type: 'duplicate_therapy',
+            severity: 'moderate',
+            message: `${name} and ${otherName} (${alreadyWhere}) are both ${dataset.classes[drug.therapeuticClass].name}`
+          });
+        }
+
+        dataset.interactions.forEach(({ between: [sideA, sideB], severity, effect }) => {
+          const matches = (key, side) => side.some(selector => matchesSelector(key, selector));
+          const interacts = (matches(item.key, sideA) && matches(other.key, sideB)) ||
+            (matches(item.key, sideB) && matches(other.key, sideA));
+
+          if (interacts) {
+            addWarning({
+              ...base,
+              id: warningId('interaction', ...pair),
+              type: 'interaction',
+              severity,
+              message: `${name} with ${otherName} (${alreadyWhere}): ${effect}`
+            });
+          }
+        });
+      });
+    });
+
+    return {
+      warnings: [...warnings.values()].sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]),
+      unrecognized: mergeTexts(items.filter(item => !item.key).map(item => item.text))
+    };
+  }
+
+  /**
+   * Allergies and current medications from the patient record and their medical profile
+   */
+  async getPatientContext(patientId) {
+    const patient = await Patient.findById(patientId);
+    const profile = patient ? await MedicalProfile.findOne({ userId: patient.userId }) : null;
+
+    return {
+      allergies: mergeTexts(patient?.allergies || [], profile?.allergies || []),
+      currentMedications: mergeTexts(patient?.currentMedications || [], profile?.currentMedications || [])
+    };
+  }
+
+  /**
+   * Check a prescription for a patient and work out which warnings still need acknowledging.
+   * acknowledged are warning ids sent with this request; previous are acknowledgements
+   * already recorded on the consultation.
+   */
+  async review(patientId, prescription, { existing = [], acknowledged = [], previous = [] } = {}) {
+    const context = await this.getPatientContext(patientId);
+    const result = this.check({ prescription, existing, ...context });
+
+    const sent = new Set((Array.isArray(acknowledged) ? acknowledged : []).map(String));
+    const recorded = new Set(previous.map(entry => entry.warningId));
+
+    return {
+      ...result,
+      unacknowledged: result.warnings.filter(warning => !sent.has(warning.id) && !recorded.has(warning.id)),
+      newlyAcknowledged: result.warnings.filter(warning => sent.has(warning.id) && !recorded.has(warning.id))
+    };
+  }
+
+  /**
+   * Acknowledgement entries to store on the consultation
+   */
+  toAcknowledgements(warnings, userId, note) {
+    const acknowledgedAt = new Date();
+
+    return warnings.map(warning => ({
+      warningId: warning.id,
+      type: warning.type,
+      severity: warning.severity,
+      medication: warning.medication,
+      conflictsWith: warning.conflictsWith,
+      message: warning.message,
+      note,
+      datasetVersion: dataset.version,
+      acknowledgedBy: userId,
+      acknowledgedAt
+    }));
+  }
+}
+
+module.exports = new MedicationSafetyService();
@@ -0,0 +1,373 @@
+const Payment = require('../models/Payment');
+const Appointment = require('../models/Appointment');
+const Doctor = require('../models/Doctor');
+const Patient = require('../models/Patient');
+const Notification = require('../models/Notification');
+const refundService = require('./refundService');
+const walletService = require('./walletService');
+const promoService = require('./promoService');
+const payoutService = require('./payoutService');
+const paymentConfig = require('../config/payments');
+const { getGateway, getGatewayForCurrency, resolveCurrency } = require('./gateways');
+const { createError } = require('../utils/errors');
+
+class PaymentService {
+  /**
+   * Create a pending payment for an appointment and start checkout on the gateway for its currency.
+   * Fees are set in the base currency and converted for international patients. An insured
+   * appointment only charges the patient's share; the insurer pays the rest through its claim.
+   * A promo code comes off the fee first; with useWallet, the wallet balance then covers as much
+   * of the rest as it can and the gateway charges whatever is left.
+   */
+  async initializePayment(appointment, patient, user, { currency: requestedCurrency, useWallet = false, promoCode = null } = {}) {
+    const currency = resolveCurrency(requestedCurrency, patient.address?.country);
+    const exchangeRate = paymentConfig.exchangeRates[currency];
+
+    if (!exchangeRate) {
+      throw createError(`No exchange rate configured for ${currency}`, 400);
+    }
+
+    if (useWallet) {
+      walletService.assertBaseCurrency(currency);
+    }
+
+    // Hand back wallet funds and promo redemptions held by an abandoned checkout before starting a new one
+    await this.releaseAbandonedPayment(appointment.paymentId);
+
+    const fee = appointment.insurance?.policyId
+      ? appointment.insurance.patientAmount
+      : appointment.consultationFee;
+    const originalAmount = Math.round(fee / exchangeRate * 100) / 100;
+    const promotion = promoCode
+      ? await promoService.evaluate(promoCode, { appointment, patientId: patient._id, amount: originalAmount, exchangeRate })
+      : null;
+    const amount = promotion
+      ? Math.round((originalAmount - promotion.discountAmount) * 100) / 100
+      : originalAmount;
+
+    const walletAmount = useWallet
+      ? Math.min(await walletService.getBalance(patient._id), amount)
+      : 0;
+    const nothingToCharge = amount - walletAmount <= 0;
+    const gateway = nothingToCharge ? null : getGatewayForCurrency(currency);
+    let gatewayName = nothingToCharge ? 'promo' : gateway.name;
+    if (nothingToCharge && walletAmount > 0) gatewayName = 'wallet';
+    const reference = `HLTH_${Date.now()}_${appointment._id}`;
+
+    if (promotion) {
+      await promoService.reserve(promotion.promo, patient._id);
+    }
+
+    let payment;
+    try {
+      payment = await Payment.create({
+        appointmentId: appointment._id,
+        patientId: patient._id,
+        doctorId: appointment.doctorId._id || appointment.doctorId,
+        amount,
+        currency,
+        exchangeRate,
+        walletAmount,
+        ...(promotion && {
+          promo: {
+            ...promotion.promo.toSnapshot(),
+            discountAmount: promotion.discountAmount,
+            originalAmount
+          }
+        }),
+        paymentMethod: gatewayName,
+        paymentGateway: gatewayName,
+        transactionReference: reference,
+        gatewayReference: reference,
+        status: 'pending'
+      });
+    } catch (error) {
+      if (promotion) await promoService.cancelReservation(promotion.promo._id, patient._id);
+      throw error;
+    }
+
+    if (walletAmount > 0) {
+      try {
+        await walletService.debitPayment(payment);
+      } catch (error) {
+        await promoService.release(payment);
+        await Payment.findByIdAndDelete(payment._id);
+        throw error;
+      }
+    }
+
+    // Update appointment with payment ID
+    appointment.paymentId = payment._id;
+    await appointment.save();
+
+    if (nothingToCharge) {
+      await this.handleChargeSuccess(payment, { channel: gatewayName });
+      return { payment, settled: true };
+    }
+
+    let checkout;
+    try {
+      checkout = await gateway.initialize({
+        reference,
+        amount: payment.gatewayAmount,
+        currency,
+        email: user.email,
+        callbackUrl: `${process.env.CLIENT_URL}/appointments/${appointment._id}/payment-success`,
+        cancelUrl: `${process.env.CLIENT_URL}/appointments/${appointment._id}`,
+        description: `${appointment.consultationType} consultation`,
+        metadata: {
+          appointmentId: appointment._id.toString(),
+          patientId: patient._id.toString(),
+          doctorId: payment.doctorId.toString()
+        }
+      });
+    } catch (error) {
+      await this.discardPayment(payment, error.message);
+      throw createError(`Payment initialization failed: ${error.message}`, 400);
+    }
+
+    payment.gatewayReference = checkout.gatewayReference;
+    await payment.save();
+
+    return { payment, ...checkout };
+  }
+
+  /**
+   * Create a pending wallet top-up and start checkout in the base currency
+   */
+  async initializeTopUp(patient, user, amount) {
+    const value = Math.round(Number(amount) * 100) / 100;
+
+    if (!Number.isFinite(value) || value < paymentConfig.walletMinTopUp) {
+      throw createError(`Top-up amount must be at least ${paymentConfig.baseCurrency} ${paymentConfig.walletMinTopUp}`, 400);
+    }
+
+    const currency = paymentConfig.baseCurrency;
+    const gateway = getGatewayForCurrency(currency);
+    const reference = `WLT_${Date.now()}_${patient._id}`;
+
+    const payment = await Payment.create({
+      purpose: 'wallet_top_up',
+      patientId: patient._id,
+      amount: value,
+      currency,
+      paymentMethod: gateway.name,
+      paymentGateway: gateway.name,
+      transactionReference: reference,
+      gatewayReference: reference,
+      status: 'pending'
+    });
+
+    let checkout;
+    try {
+      checkout = await gateway.initialize({
+        reference,
+        amount: value,
+        currency,
+        email: user.email,
+        callbackUrl: `${process.env.CLIENT_URL}/wallet/top-up-success`,
+        cancelUrl: `${process.env.CLIENT_URL}/wallet`,
+        description: 'Wallet top-up',
+        metadata: {
+          purpose: 'wallet_top_up',
+          patientId: patient._id.toString()
+        }
+      });
+    } catch (error) {
+      await Payment.findByIdAndDelete(payment._id);
+      throw createError(`Payment initialization failed: ${error.message}`, 400);
+    }
+
+    payment.gatewayReference = checkout.gatewayReference;
+    await payment.save();
+
+    return { payment, ...checkout };
+  }
+
+  /**
+   * Give back what a payment that will never complete was holding: wallet funds and promo redemptions
+   */
+  async releaseHolds(payment) {
+    await walletService.release(payment);
+    await promoService.release(payment);
+  }
+
+  /**
+   * Drop a payment that never reached the gateway. Once wallet funds were
+   * taken it has ledger entries, so it is kept as failed instead of deleted.
+   */
+  async discardPayment(payment, reason) {
+    if (!payment.walletAmount) {
+      await promoService.release(payment);
+      await Payment.findByIdAndDelete(payment._id);
+      return;
+    }
+
+    await payment.markFailed({ reason });
+    await this.releaseHolds(payment);
+  }
+
+  /**
+   * Fail a pending payment that is being replaced or whose appointment went away,
+   * returning its wallet funds and promo redemption
+   */
+  async releaseAbandonedPayment(paymentId, reason = 'Replaced by a new checkout') {
+    if (!paymentId) return;
+
+    const previous = await Payment.findById(paymentId);
+    if (!previous || previous.status !== 'pending') return;
+    if (!previous.walletAmount && !previous.promo?.promoCodeId) return;
+
+    await previous.markFailed({ reason });
+    await this.releaseHolds(previous);
+  }
+
+  /**
+   * Mark a payment successful and move its appointment along. Safe to call twice.
+   */
+  async handleChargeSuccess(payment, gatewayData) {
+    if (payment.purpose === 'wallet_top_up') {
+      if (payment.status === 'pending') {
+        await payment.markSuccessful(gatewayData);
+      }
+      // Idempotent, so a retry after a crash between the two steps still credits once
+      if (payment.status === 'successful') {
+        await walletService.creditTopUp(payment);
+      }
+      return;
+    }
+
+    // Retry of a late charge whose refund did not go out
+    if (payment.lateChargeAt) {
+      if (payment.refundableAmount > 0) await this.refundLateCharge(payment);
+      return;
+    }
+
+    if (!['pending', 'failed'].includes(payment.status)) return;
+
+    const appointment = await Appointment.findById(payment.appointmentId);
+
+    // The checkout was given up (its wallet and promo holds released) or the booking
+    // was cancelled while the gateway session was still open: send the money back
+    if (payment.status === 'failed' || appointment?.status === 'cancelled') {
+      await payment.markLateCharge(gatewayData, payment.status === 'failed');
+      await this.refundLateCharge(payment);
+      return;
+    }
+
+    await payment.markSuccessful(gatewayData);
+
+    if (appointment && appointment.status === 'pending') {
+      await appointment.confirm(appointment.patientId);
+    }
+
+    // Earnings are normally credited on completion; catch up if payment landed afterwards
+    if (appointment && appointment.status === 'completed') {
+      const doctor = await Doctor.findById(payment.doctorId);
+      if (doctor) {
+        await doctor.addEarnings(payment.baseDoctorEarnings);
+      }
+    }
+  }
+
+  /**
+   * Refund whatever is left of a late charge. An error leaves the payment refundable,
+   * so a retried or redelivered charge webhook tries again.
+   */
+  async refundLateCharge(payment) {
+    console.warn(`💳 Late charge on payment ${payment._id} (${payment.transactionReference}), refunding`);
+
+    await refundService.refund(payment, {
+      reason: 'Payment arrived after the booking was released'
+    });
+  }
+
+  /**
+   * Ask the gateway for the current state of a pending payment
+   */
+  async verifyPayment(payment) {
+    if (payment.status !== 'pending' || payment.paymentGateway === 'wallet') {
+      return payment;
+    }
+
+    const gateway = getGateway(payment.paymentGateway);
+
+    if (!gateway.isConfigured()) {
+      return payment;
+    }
+
+    const result = await gateway.verify(payment);
+
+    if (result.status === 'successful') {
+      await this.handleChargeSuccess(payment, result.raw);
+    } else if (result.status === 'failed') {
+      await payment.markFailed(result.raw);
+      await this.releaseHolds(payment);
+    }
+
+    return payment;
+  }
+
+  /**
+   * Mark a pending payment failed and tell the patient
+   */
+  async handleChargeFailed(payment, gatewayData, reason) {
+    if (payment.status !== 'pending') return; // Never downgrade a settled payment
+
+    await payment.markFailed(gatewayData);
+    await this.releaseHolds(payment);
+
+    const patient = await Patient.findById(payment.patientId);
+    if (!patient) return;
+
+    await Notification.createAndSend({
+      userId: patient.userId,
+      type: 'payment_failed',
+      title: 'Payment Failed',
+      message: `Your payment of ${payment.currency} ${payment.amount.toLocaleString()} did not go through${reason ? `: ${reason}` : ''}. Please try again.`,
+      relatedId: payment._id,
+      relatedModel: 'Payment',
+      channels: ['push', 'in-app'],
+      actionUrl: payment.purpose === 'wallet_top_up' ? '/wallet' : `/appointments/${payment.appointmentId}`
+    });
+  }
+
+  /**
+   * Apply a normalized gateway event. Returns false when the event type has no handler.
+   */
+  async processEvent(event) {
+    if (event.type === 'charge.success' || event.type === 'charge.failed') {
+      const payment = await Payment.findByReference(event.reference || '');
+
+      if (!payment) {
+        throw new Error(`Payment not found: ${event.reference}`);
+      }
+
+      if (event.type === 'charge.success') {
+        await this.handleChargeSuccess(payment, event.data);
+      } else {
+        await this.handleChargeFailed(payment, event.data, event.reason);
+      }
+      return true;
+    }
+
+    // Not finding the record fails the event, so it is retried and stays visible to admins
+    if (event.type === 'refund.processed' || event.type === 'refund.failed') {
+      if (!(await refundService.handleWebhookEvent(event))) {
+        throw new Error(`Refund not found: ${event.refundId || event.reference}`);
+      }
+      return true;
+    }
+
+    if (event.type?.startsWith('transfer.')) {
+      if (!(await payoutService.handleTransferEvent(event))) {
+        throw new Error(`Payout not found: ${event.reference}`);
+      }
+      return true;
+    }
+
+    return false;
+  }
+}
+
+module.exports = new PaymentService();
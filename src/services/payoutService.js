@@ -0,0 +1,240 @@
+const Payment = require('../models/Payment');
+const Payout = require('../models/Payout');
+const Doctor = require('../models/Doctor');
+const Notification = require('../models/Notification');
+const paymentConfig = require('../config/payments');
+const { getGateway } = require('./gateways');
+const { createError } = require('../utils/errors');
+
+// Payment status a cancelled appointment's payment must reach before the doctor is paid
+// what the patient didn't get back: the partial refund has gone through, or nothing was refunded
+const KEPT_ON_CANCELLATION = {
+  partial: 'partially_refunded',
+  late: 'successful'
+};
+
+// A payment is owed to the doctor once the visit happened (or the patient didn't show up, or
+// cancelled too late for a full refund) and no refund is in flight. Late charges are all refunded.
+const isPayable = (payment) => {
+  const appointment = payment.appointmentId;
+  if (!appointment || payment.lateChargeAt || payment.pendingRefundAmount > 0) return false;
+
+  if (appointment.status === 'cancelled') {
+    return payment.status === KEPT_ON_CANCELLATION[appointment.cancellationRefundRule];
+  }
+
+  return ['completed', 'no-show'].includes(appointment.status);
+};
+
+class PayoutService {
+  constructor() {
+    this.running = false;
+  }
+
+  /**
+   * A scheduled run is due once PAYOUT_INTERVAL_HOURS have passed since the last payout
+   * was created. Read from the database so restarts and other instances share the clock.
+   */
+  async isRunDue(now = new Date()) {
+    const last = await Payout.findOne().sort({ createdAt: -1 }).select('createdAt');
+    return !last || now - last.createdAt >= paymentConfig.payoutIntervalHours * 60 * 60 * 1000;
+  }
+
+  /**
+   * Pay every verified doctor what they are owed, one transfer per doctor.
+   * Returns { initiated, failed, skipped } counts.
+   */
+  async runPayouts() {
+    if (this.running) {
+      throw createError('A payout run is already in progress', 409);
+    }
+
+    const gateway = getGateway(paymentConfig.payoutGateway);
+    if (!gateway.isConfigured()) {
+      console.log('💸 Payout run skipped: payout gateway not configured');
+      return { initiated: 0, failed: 0, skipped: 0 };
+    }
+
+    this.running = true;
+    const summary = { initiated: 0, failed: 0, skipped: 0 };
+
+    const tally = (payout) => {
+      if (!payout) summary.skipped += 1;
+      else if (['pending', 'failed'].includes(payout.status)) summary.failed += 1;
+      else summary.initiated += 1;
+    };
+
+    try {
+      // Transfers whose request errored go out again under their original reference
+      for (const payout of await Payout.getUnsent()) {
+        try {
+          tally(await this.sendPayout(payout, gateway));
+        } catch (error) {
+          summary.failed += 1;
+          console.error(`Payout retry error for ${payout.reference}:`, error.message);
+        }
+      }
+
+      const payments = (await Payment.getPendingPayouts()).filter(isPayable);
+
+      const byDoctor = new Map();
+      payments.forEach(payment => {
+        const doctorId = payment.doctorId._id.toString();
+        if (!byDoctor.has(doctorId)) byDoctor.set(doctorId, []);
+        byDoctor.get(doctorId).push(payment);
+      });
+
+      for (const [doctorId, doctorPayments] of byDoctor) {
+        try {
+          tally(await this.payDoctor(doctorId, doctorPayments, gateway));
+        } catch (error) {
+          summary.failed += 1;
+          console.error(`Payout error for doctor ${doctorId}:`, error.message);
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Create one transfer covering a doctor's payable payments. Returns null when skipped.
+   */
+  async payDoctor(doctorId, payments, gateway) {
+    const doctor = await Doctor.findById(doctorId);
+    const { bankDetails = {} } = doctor || {};
+
+    if (!doctor || doctor.verificationStatus !== 'verified' || !bankDetails.accountNumber || !bankDetails.bankCode) {
+      return null;
+    }
+
+    const amount = payments.reduce((total, payment) => total + payment.basePayoutAmount, 0);
+    if (amount < paymentConfig.payoutMinimumAmount) {
+      return null;
+    }
+
+    if (!bankDetails.recipientCode) {
+      doctor.bankDetails.recipientCode = await gateway.createTransferRecipient(bankDetails);
+      await doctor.save();
+    }
+
+    const payout = await Payout.create({
+      doctorId: doctor._id,
+      payments: payments.map(payment => payment._id),
+      amount,
+      currency: paymentConfig.baseCurrency,
+      gateway: gateway.name,
+      reference: `PAYOUT_${Date.now()}_${doctor._id}`,
+      recipientCode: doctor.bankDetails.recipientCode
+    });
+
+    return await this.sendPayout(payout, gateway);
+  }
+
+  /**
+   * Claim the payout's payments and send its transfer. If the transfer request errors
+   * the payout stays pending with the same reference, so the next run resends the same
+   * transfer (which the gateway rejects as a duplicate if the first one went through)
+   * instead of paying the payments again under a new reference.
+   * Returns null when another payout already claimed every payment.
+   */
+  async sendPayout(payout, gateway) {
+    const payments = await Payment.claimForPayout(payout.payments, payout.reference);
+
+    if (payments.length === 0) {
+      await payout.deleteOne();
+      return null;
+    }
+
+    // Only differs when a concurrent run claimed some payments before this payout was sent
+    if (payments.length !== payout.payments.length) {
+      payout.payments = payments.map(payment => payment._id);
+      payout.amount = payments.reduce((total, payment) => total + payment.basePayoutAmount, 0);
+      await payout.save();
+    }
+
+    try {
+      const transfer = await gateway.transfer({
+        amount: payout.amount,
+        currency: payout.currency,
+        recipient: payout.recipientCode,
+        reference: payout.reference,
+        reason: `HealthHub earnings payout (${payments.length} consultation${payments.length === 1 ? '' : 's'})`
+      });
+
+      await payout.markProcessing(transfer.id);
+
+      if (transfer.status === 'completed') {
+        await this.completePayout(payout);
+      }
+    } catch (error) {
+      await payout.recordSendError(error.message);
+      console.error(`Payout ${payout.reference} not sent, will retry:`, error.message);
+    }
+
+    return payout;
+  }
+
+  async completePayout(payout) {
+    if (payout.status === 'completed') return; // Duplicate webhook
+
+    await payout.markCompleted();
+
+    const payments = await Payment.find({ _id: { $in: payout.payments } });
+    for (const payment of payments) {
+      await payment.completePayout(payout.reference);
+    }
+
+    const doctor = await Doctor.findById(payout.doctorId);
+    if (!doctor) return;
+
+    await Notification.createAndSend({
+      userId: doctor.userId,
+      type: 'payout_completed',
+      title: 'Payout Sent',
+      message: `${payout.currency} ${payout.amount.toLocaleString()} has been sent to your bank account`,
+      relatedId: payout._id,
+      relatedModel: 'Payout',
+      channels: ['push', 'email', 'in-app'],
+      actionUrl: '/earnings/payouts'
+    });
+  }
+
+  async failPayout(payout, reason, status = 'failed') {
+    if (['failed', 'reversed'].includes(payout.status)) return;
+
+    await payout.markFailed(reason, status);
+
+    // Payments go back into the pool for the next run
+    const payments = await Payment.find({ _id: { $in: payout.payments } });
+    for (const payment of payments) {
+      await payment.failPayout();
+    }
+  }
+
+  /**
+   * Handle a normalized transfer.success / transfer.failed / transfer.reversed gateway event
+   */
+  async handleTransferEvent(event) {
+    const payout = event.reference ? await Payout.findByReference(event.reference) : null;
+
+    if (!payout) {
+      console.error('Transfer webhook: payout not found', event.reference);
+      return false;
+    }
+
+    if (event.type === 'transfer.success') {
+      await this.completePayout(payout);
+    } else if (event.type === 'transfer.failed') {
+      await this.failPayout(payout, event.reason || 'Transfer failed');
+    } else if (event.type === 'transfer.reversed') {
+      await this.failPayout(payout, event.reason || 'Transfer reversed', 'reversed');
+    }
+
+    return true;
+  }
+}
+
+module.exports = new PayoutService();
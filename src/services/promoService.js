@@ -0,0 +1,176 @@
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const Payment = require('../models/Payment');
+const Appointment = require('../models/Appointment');
+const Doctor = require('../models/Doctor');
+const { createError } = require('../utils/errors');
+
+// Appointments that count as an earlier visit for first-visit-only codes
+const VISIT_STATUSES = ['confirmed', 'in-progress', 'completed', 'no-show'];
+
+/**
+ * Promo codes at checkout. The discount comes off the payment amount before
+ * commission is calculated (see the Payment pre-save hook).
+ *
+ * A redemption is reserved when checkout starts and given back if that payment
+ * fails or is abandoned, so caps count payments that are pending or went through.
+ */
+class PromoService {
+  /**
+   * Check a code against an appointment and work out the discount.
+   * amount is in the payment currency; exchangeRate converts fixed (base currency) discounts.
+   * Returns { promo, discountAmount }.
+   */
+  async evaluate(code, { appointment, patientId, amount, exchangeRate = 1 }) {
+    const promo = code ? await PromoCode.findByCode(code) : null;
+
+    if (!promo || !promo.isActive) {
+      throw createError('Invalid promo code', 400);
+    }
+
+    const now = new Date();
+    if (promo.startsAt && promo.startsAt > now) {
+      throw createError('This promo code is not active yet', 400);
+    }
+    if (promo.expiresAt && promo.expiresAt <= now) {
+      throw createError('This promo code has expired', 400);
+    }
+
+    if (promo.remainingRedemptions === 0) {
+      throw createError('This promo code has reached its usage limit', 400);
+    }
+
+    const { specialties = [], consultationTypes = [], firstVisitOnly } = promo.eligibility || {};
+
+    if (consultationTypes.length > 0 && !consultationTypes.includes(appointment.consultationType)) {
+      throw createError(`This promo code is only valid for ${consultationTypes.join(', ')} consultations`, 400);
+    }
+
+    if (specialties.length > 0) {
+      const doctorId = appointment.doctorId._id || appointment.doctorId;
+      const doctor = appointment.doctorId.specialties
+        ? appointment.doctorId
+        : await Doctor.findById(doctorId).select('specialties');
+      const wanted = specialties.map(specialty => specialty.toLowerCase());
+
+      if (!(doctor?.specialties || []).some(specialty => wanted.includes(specialty.toLowerCase()))) {
+        throw createError(`This promo code is only valid for ${specialties.join(', ')} consultations`, 400);
+      }
+    }
+
+    if (firstVisitOnly) {
+      const earlierVisit = await Appointment.exists({
+        patientId,
+        _id: { $ne: appointment._id },
+        status: { $in: VISIT_STATUSES }
+      });
+
+      if (earlierVisit) {
+        throw createError('This promo code is only valid for your first visit', 400);
+      }
+    }
+
+    const uses = await Payment.countDocuments({
+      'promo.promoCodeId': promo._id,
+      patientId,
+      status: { $ne: 'failed' }
+    });
+
+    if (uses >= promo.maxRedemptionsPerUser) {
+      throw createError('You have already used this promo code', 400);
+    }
+
+    return {
+      promo,
+      discountAmount: promo.calculateDiscount(amount, exchangeRate)
+    };
+  }
+
+  /**
+   * Hold a redemption against the patient's limit and the global cap.
+   * evaluate() checks the same limits up front; this is what enforces them under concurrent checkouts.
+   */
+  async reserve(promo, patientId) {
+    const counted = await PromoRedemption.reserve(promo._id, patientId, promo.maxRedemptionsPerUser);
+
+    if (!counted) {
+      throw createError('You have already used this promo code', 400);
+    }
+
+    const reserved = await PromoCode.reserve(promo._id);
+
+    if (!reserved) {
+      await PromoRedemption.release(promo._id, patientId);
+      throw createError('This promo code has reached its usage limit', 409);
+    }
+
+    return reserved;
+  }
+
+  /**
+   * Undo reserve() for a checkout that never got a payment
+   */
+  async cancelReservation(promoCodeId, patientId) {
+    await PromoCode.release(promoCodeId);
+    await PromoRedemption.release(promoCodeId, patientId);
+  }
+
+  /**
+   * Give back the redemption held by a payment that will never complete. Safe to call twice.
+   */
+  async release(payment) {
+    if (!payment.promo?.promoCodeId || payment.promo.releasedAt) return false;
+
+    const releasedAt = new Date();
+    const result = await Payment.updateOne(
+      { _id: payment._id, 'promo.releasedAt': null },
+      { $set: { 'promo.releasedAt': releasedAt } }
+    );
+
+    payment.promo.releasedAt = releasedAt;
+
+    if (result.modifiedCount === 0) return false; // Someone else already released it
+
+    await this.cancelReservation(payment.promo.promoCodeId, payment.patientId);
+    return true;
+  }
+
+  /**
+   * Redemption history for a code
+   */
+  async getRedemptions(promoCodeId, { page = 1, limit = 20 } = {}) {
+    const query = { 'promo.promoCodeId': promoCodeId };
+    const skip = (page - 1) * limit;
+
+    const [payments, total, totals] = await Promise.all([
+      Payment.find(query)
+        .select('patientId doctorId appointmentId amount currency status promo createdAt')
+        .populate('patientId', 'firstName lastName')
+        .populate('doctorId', 'firstName lastName')
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip(skip),
+      Payment.countDocuments(query),
+      Payment.aggregate([
+        { $match: { ...query, status: { $in: ['successful', 'partially_refunded', 'refunded'] } } },
+        {
+          $group: {
+            _id: null,
+            redemptions: { $sum: 1 },
+            totalDiscount: { $sum: { $multiply: ['$promo.discountAmount', { $ifNull: ['$exchangeRate', 1] }] } }
+          }
+        }
+      ])
+    ]);
+
+    return {
+      payments,
+      total,
+      summary: totals[0]
+        ? { redemptions: totals[0].redemptions, totalDiscount: totals[0].totalDiscount }
+        : { redemptions: 0, totalDiscount: 0 }
+    };
+  }
+}
+
+module.exports = new PromoService();
@@ -0,0 +1,256 @@
+const Payment = require('../models/Payment');
+const paymentConfig = require('../config/payments');
+const { PdfDocument, MARGIN } = require('../utils/pdf');
+const { formatDisplayTime, DEFAULT_TIMEZONE } = require('../utils/timezone');
+const { createError } = require('../utils/errors');
+
+const CONSULTATION_LABELS = {
+  'in-person': 'In-person consultation',
+  video: 'Video consultation',
+  chat: 'Chat consultation'
+};
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const RECEIPT_STATUSES = ['successful', 'partially_refunded', 'refunded'];
+
+const formatMoney = (currency, amount) =>
+  `${currency} ${Number(amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString('en-US', {
+    timeZone: DEFAULT_TIMEZONE,
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+
+const formatAddress = (address = {}) =>
+  [address.name, address.street, address.city, address.state, address.zipCode, address.country]
+    .filter(Boolean)
+    .join(', ');
+
+const shortId = (id) => id.toString().slice(-8).toUpperCase();
+
+/**
+ * Renders payment receipts (patients), invoices (doctors) and monthly doctor statements as PDFs.
+ * Everything is drawn from the database; no external service is involved.
+ */
+class ReceiptService {
+  // Label on the left, value right-aligned
+  line(doc, label, value, options = {}) {
+    doc.row([
+      { text: label },
+      { text: value, align: 'right' }
+    ], options);
+  }
+
+  header(doc, title, subtitle) {
+    doc.text('HealthHub', { size: 18, bold: true });
+    doc.text(title, { size: 14, bold: true });
+    if (subtitle) doc.text(subtitle, { size: 9 });
+    doc.rule({ gap: 8 });
+  }
+
+  footer(doc) {
+    doc.moveDown(20);
+    doc.text(`Generated ${formatDisplayTime(new Date())}. This document was produced electronically and is valid without a signature.`, { size: 8 });
+  }
+
+  /**
+   * Receipt for a patient or invoice for a doctor.
+   * payment must have appointmentId, patientId and doctorId populated.
+   */
+  buildPaymentReceipt(payment, viewerRole = 'patient') {
+    if (!RECEIPT_STATUSES.includes(payment.status)) {
+      throw createError('Receipts are only available for completed payments', 400);
+    }
+
+    const isInvoice = viewerRole === 'doctor';
+    const isTopUp = payment.purpose === 'wallet_top_up';
+    const money = (amount) => formatMoney(payment.currency, amount);
+    const patient = payment.patientId;
+    const doctor = payment.doctorId;
+    const appointment = payment.appointmentId;
+
+    let title = 'Payment Receipt';
+    if (isInvoice) title = 'Consultation Invoice';
+    else if (isTopUp) title = 'Wallet Top-up Receipt';
+
+    const doc = new PdfDocument({ title: `${title} ${payment.transactionReference}` });
+
+    this.header(doc, title, `Reference: ${payment.transactionReference}`);
+
+    this.line(doc, isInvoice ? 'Invoice date' : 'Payment date', formatDate(payment.createdAt));
+    this.line(doc, 'Status', payment.status.replace('_', ' '));
+    this.line(doc, 'Payment method', payment.walletAmount > 0 && payment.paymentGateway !== 'wallet'
+      ? `${payment.paymentGateway} + wallet`
+      : payment.paymentGateway);
+    doc.moveDown(8);
+
+    doc.text(isInvoice ? 'Billed to' : 'Patient', { bold: true });
+    doc.text(patient?.fullName || 'Patient');
+
+    if (doctor && !isTopUp) {
+      doc.moveDown(4);
+      doc.text('Provider', { bold: true });
+      doc.text(doctor.fullName || 'Doctor');
+      if (doctor.specialties?.length) doc.text(doctor.specialties.join(', '), { size: 9 });
+      if (doctor.licenseNumber) doc.text(`License no. ${doctor.licenseNumber}`, { size: 9 });
+      const clinic = formatAddress(doctor.clinicAddress);
+      if (clinic) doc.text(clinic, { size: 9 });
+    }
+
+    if (appointment && !isTopUp) {
+      doc.moveDown(4);
+      doc.text('Appointment', { bold: true });
+      doc.text(`${CONSULTATION_LABELS[appointment.consultationType] || 'Consultation'} (${appointment.duration} minutes)`);
+      doc.text(formatDisplayTime(appointment.appointmentDate, appointment.timezone || DEFAULT_TIMEZONE), { size: 9 });
+    }
+
+    doc.rule({ gap: 8 });
+
+    if (payment.promo?.code) {
+      this.line(doc, 'Consultation fee', money(payment.promo.originalAmount));
+      this.line(doc, `Promo code ${payment.promo.code}`, `-${money(payment.promo.discountAmount)}`);
+      this.line(doc, 'Amount due', money(payment.amount), { bold: true });
+    } else {
+      this.line(doc, isTopUp ? 'Wallet top-up' : 'Consultation fee', money(payment.amount));
+    }
+
+    if (!isTopUp) {
+      this.line(doc, `Platform fee (${payment.commission?.rate ?? '-'}%, included)`, money(payment.platformFee));
+      if (isInvoice) {
+        this.line(doc, 'Doctor earnings', money(payment.doctorEarnings), { bold: true });
+      }
+    }
+
+    if (payment.walletAmount > 0) {
+      this.line(doc, 'Paid from wallet', money(payment.walletAmount));
+      this.line(doc, `Paid via ${payment.paymentGateway === 'wallet' ? 'wallet' : payment.paymentGateway}`,
+        money(payment.paymentGateway === 'wallet' ? 0 : payment.gatewayAmount));
+    }
+
+    const refunds = (payment.refunds || []).filter(refund => refund.status !== 'failed');
+    if (refunds.length > 0) {
+      doc.moveDown(6);
+      doc.text('Refunds', { bold: true });
+      refunds.forEach(refund => {
+        const destination = refund.destination === 'wallet' ? 'to wallet' : 'to original payment method';
+        this.line(doc, `${formatDate(refund.processedAt || refund.requestedAt)} - ${refund.reference} (${refund.status}, ${destination})`,
+          `-${money(refund.amount)}`, { size: 9 });
+      });
+    }
+
+    doc.rule({ gap: 8 });
+    this.line(doc, 'Total paid', money(payment.amount), { bold: true });
+    if (payment.refundAmount > 0) {
+      this.line(doc, 'Total refunded', `-${money(payment.refundAmount)}`);
+      this.line(doc, 'Net paid', money(payment.amount - payment.refundAmount), { bold: true });
+    }
+
+    if (payment.currency !== paymentConfig.baseCurrency) {
+      doc.moveDown(6);
+      doc.text(`Exchange rate: 1 ${payment.currency} = ${payment.exchangeRate} ${paymentConfig.baseCurrency}`, { size: 9 });
+    }
+
+    this.footer(doc);
+    return doc.toBuffer();
+  }
+
+  /**
+   * Monthly earnings statement for a doctor. month is 1-12, boundaries are UTC.
+   * Amounts are shown in the base currency.
+   */
+  async buildDoctorStatement(doctor, year, month) {
+    const start = new Date(Date.UTC(year, month - 1, 1));
+    const end = new Date(Date.UTC(year, month, 1) - 1);
+    const currency = paymentConfig.baseCurrency;
+    const money = (amount) => formatMoney(currency, amount);
+    const toBase = (payment, amount) => Math.round(amount * (payment.exchangeRate || 1) * 100) / 100;
+
+    const summary = await Payment.getDoctorEarnings(doctor._id, start, end);
+
+    const payments = await Payment.find({
+      doctorId: doctor._id,
+      status: { $in: RECEIPT_STATUSES },
+      createdAt: { $gte: start, $lte: end }
+    })
+      .populate('patientId', 'firstName lastName')
+      .populate('appointmentId', 'appointmentDate consultationType')
+      .sort({ createdAt: 1 });
+
+    const earned = payments.filter(payment => payment.status === 'successful');
+    const refunded = payments.filter(payment => payment.status !== 'successful');
+
+    const period = `${MONTH_NAMES[month - 1]} ${year}`;
+    const doc = new PdfDocument({ title: `Earnings statement ${period}` });
+
+    this.header(doc, 'Monthly Earnings Statement', period);
+
+    doc.text(doctor.fullName || 'Doctor', { bold: true });
+    if (doctor.licenseNumber) doc.text(`License no. ${doctor.licenseNumber}`, { size: 9 });
+    doc.text(`Period: ${start.toISOString().slice(0, 10)} to ${end.toISOString().slice(0, 10)} (UTC)`, { size: 9 });
+    doc.rule({ gap: 8 });
+
+    this.line(doc, 'Paid consultations', String(summary.totalTransactions));
+    this.line(doc, 'Total earnings', money(summary.totalEarnings), { bold: true });
+    if (summary.totalRefunded > 0) {
+      this.line(doc, 'Refunded', money(summary.totalRefunded));
+    }
+    doc.rule({ gap: 8 });
+
+    const columns = [
+      { x: MARGIN, width: 60 },                     // Date
+      { x: MARGIN + 60, width: 60 },                // Ref
+      { x: MARGIN + 120, width: 120 },              // Patient
+      { x: MARGIN + 240, width: 60 },               // Type
+      { x: MARGIN + 300, width: 65, align: 'right' },  // Fee
+      { x: MARGIN + 365, width: 65, align: 'right' },  // Platform fee
+      { x: MARGIN + 430, width: 65, align: 'right' }   // Earnings
+    ];
+    const tableRow = (values, options) =>
+      doc.row(values.map((text, index) => ({ ...columns[index], text })), { size: 8, ...options });
+
+    const paymentRow = (payment) => tableRow([
+      formatDate(payment.createdAt),
+      shortId(payment._id),
+      payment.patientId?.fullName || '-',
+      payment.appointmentId?.consultationType || '-',
+      money(toBase(payment, payment.amount)),
+      money(toBase(payment, payment.platformFee)),
+      money(payment.baseDoctorEarnings)
+    ]);
+
+    doc.text('Consultations', { bold: true });
+    tableRow(['Date', 'Ref', 'Patient', 'Type', 'Fee', 'Platform fee', 'Earnings'], { bold: true });
+
+    if (earned.length === 0) {
+      doc.text('No paid consultations in this period.', { size: 9 });
+    }
+    earned.forEach(paymentRow);
+
+    if (refunded.length > 0) {
+      doc.moveDown(10);
+      doc.text('Refunded payments (not included in earnings)', { bold: true });
+      tableRow(['Date', 'Ref', 'Patient', 'Type', 'Fee', 'Refunded', 'Status'], { bold: true });
+      refunded.forEach(payment => tableRow([
+        formatDate(payment.createdAt),
+        shortId(payment._id),
+        payment.patientId?.fullName || '-',
+        payment.appointmentId?.consultationType || '-',
+        money(toBase(payment, payment.amount)),
+        money(toBase(payment, payment.refundAmount)),
+        payment.status.replace('_', ' ')
+      ]));
+    }
+
+    this.footer(doc);
+    return doc.toBuffer();
+  }
+}
+
+module.exports = new ReceiptService();
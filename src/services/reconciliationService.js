@@ -0,0 +1,472 @@
+const Payment = require('../models/Payment');
+const Appointment = require('../models/Appointment');
+const Patient = require('../models/Patient');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const WebhookEvent = require('../models/WebhookEvent');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const paymentService = require('./paymentService');
+const paymentConfig = require('../config/payments');
+const { getGateway } = require('./gateways');
+const { createError } = require('../utils/errors');
+
+// Gateways that hold money for us and can be asked about it
+const GATEWAY_NAMES = ['paystack', 'stripe'];
+
+const PAID_STATUSES = ['successful', 'partially_refunded', 'refunded'];
+
+const amountsDiffer = (a, b) => Math.abs(Number(a) - Number(b)) >= 0.01;
+
+const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Keeps our payment records in line with the gateways:
+ * - reconcilePending() settles pending payments whose webhook never arrived
+ * - generateReport() compares a UTC day of payments with the gateway's own records
+ *   and lists amount mismatches, orphaned gateway transactions and double charges
+ */
+class ReconciliationService {
+  /**
+   * Ask the gateway about stale pending payments and settle them
+   */
+  async reconcilePending({ limit = 100 } = {}) {
+    const cutoff = new Date(Date.now() - paymentConfig.reconciliationStaleMinutes * 60000);
+
+    const payments = await Payment.find({
+      status: 'pending',
+      paymentGateway: { $in: GATEWAY_NAMES },
+      createdAt: { $lte: cutoff },
+      $or: [{ lastVerifiedAt: null }, { lastVerifiedAt: { $lte: cutoff } }]
+    })
+      .sort({ createdAt: 1 })
+      .limit(limit);
+
+    const summary = { checked: payments.length, confirmed: 0, failed: 0, abandoned: 0, stillPending: 0, errors: 0 };
+
+    for (const payment of payments) {
+      try {
+        const outcome = await this.reconcilePayment(payment);
+        summary[outcome] += 1;
+      } catch (error) {
+        summary.errors += 1;
+        console.error(`Reconciliation failed for payment ${payment._id}:`, error.message);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Settle one pending payment. Returns 'confirmed', 'failed', 'abandoned' or 'stillPending'.
+   * expire abandons a payment the gateway still reports as pending, whatever its age.
+   */
+  async reconcilePayment(payment, { expire = false } = {}) {
+    const gateway = getGateway(payment.paymentGateway);
+    const result = gateway.isConfigured()
+      ? await gateway.verify(payment)
+      : { status: 'pending', raw: payment.gatewayResponse };
+
+    payment.lastVerifiedAt = new Date();
+
+    if (result.status === 'successful') {
+      // Amount differences still settle (the money was taken) - the daily report flags them
+      await paymentService.handleChargeSuccess(payment, result.raw);
+      return 'confirmed';
+    }
+
+    if (result.status === 'failed') {
+      await paymentService.handleChargeFailed(payment, result.raw, 'the payment was declined or not completed');
+      return 'failed';
+    }
+
+    const expiresAt = payment.createdAt.getTime() + paymentConfig.pendingPaymentExpiryHours * 3600000;
+    if (expire || Date.now() >= expiresAt) {
+      await this.abandonPayment(payment);
+      return 'abandoned';
+    }
+
+    await payment.save();
+    return 'stillPending';
+  }
+
+  /**
+   * Give up on a checkout that never completed and release the appointment slot it was holding
+   */
+  async abandonPayment(payment) {
+    await payment.markFailed({ ...payment.gatewayResponse, reason: 'Checkout abandoned' });
+    await paymentService.releaseHolds(payment);
+
+    if (payment.purpose === 'wallet_top_up') return;
+
+    const appointment = await Appointment.findById(payment.appointmentId);
+    const stillWaiting = appointment &&
+      appointment.status === 'pending' &&
+      appointment.paymentId?.toString() === payment._id.toString();
+
+    if (!stillWaiting) return;
+
+    await this.releaseUnpaidAppointment(appointment);
+  }
+
+  /**
+   * Cancel a pending booking whose payment deadline has passed. A linked pending payment is
+   * checked with the gateway first, in case the patient paid and the webhook never arrived.
+   * Returns 'paid', 'released' or 'skipped'.
+   */
+  async expireUnpaidAppointment(appointment) {
+    const payment = appointment.paymentId ? await Payment.findById(appointment.paymentId) : null;
+
+    if (payment && PAID_STATUSES.includes(payment.status)) return 'skipped';
+
+    if (payment?.status === 'pending') {
+      const outcome = await this.reconcilePayment(payment, { expire: true });
+      if (outcome === 'confirmed') return 'paid';
+      if (outcome === 'abandoned') return 'released';
+    }
+
+    // No payment, or the gateway reported it failed - the booking may have changed meanwhile
+    const current = await Appointment.findById(appointment._id);
+    if (!current || current.status !== 'pending') return 'skipped';
+
+    const released = await this.releaseUnpaidAppointment(current);
+    return released ? 'released' : 'skipped';
+  }
+
+  /**
+   * Cancel an unpaid pending appointment (freeing its slot) and tell the patient.
+   * Returns false if it stopped being pending first (paid, or cancelled by someone else).
+   */
+  async releaseUnpaidAppointment(appointment) {
+    const released = await Appointment.claimCancellation(appointment._id, 'pending', null, 'Released: payment was not completed');
+    if (!released) return false;
+
+    const patient = await Patient.findById(appointment.patientId);
+    if (!patient) return true;
+
+    await Notification.createAndSend({
+      userId: patient.userId,
+      type: 'appointment_cancelled',
+      title: 'Appointment Released',
+      message: 'Your appointment was released because payment was not completed. You can book again at any time.',
+      relatedId: appointment._id,
+      relatedModel: 'Appointment',
+      channels: ['push', 'email', 'in-app'],
+      actionUrl: `/appointments/${appointment._id}`
+    });
+
+    return true;
+  }
+
+  /**
+   * Build (or return) the discrepancy report for a UTC day.
+   * force rebuilds an existing report, keeping resolutions for discrepancies that are still there.
+   */
+  async generateReport(dateKey, { force = false } = {}) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dateKey || '')) {
+      throw createError('Report date must be YYYY-MM-DD', 400);
+    }
+
+    const periodStart = new Date(`${dateKey}T00:00:00.000Z`);
+    const periodEnd = new Date(periodStart.getTime() + 24 * 3600000 - 1);
+
+    if (isNaN(periodStart.getTime()) || periodEnd > new Date()) {
+      throw createError('Reports can only be generated for days that have ended', 400);
+    }
+
+    const existing = await ReconciliationReport.findOne({ reportDate: dateKey });
+    if (existing && !force) return existing;
+
+    const { discrepancies, summary, gatewayErrors } = await this.findDiscrepancies(periodStart, periodEnd);
+
+    // Carry over finance's notes for discrepancies that are still present
+    if (existing) {
+      const keyOf = (item) => `${item.type}:${item.reference || ''}:${item.paymentId || ''}`;
+      const previous = new Map(existing.discrepancies.filter(item => item.resolved).map(item => [keyOf(item), item]));
+
+      discrepancies.forEach(item => {
+        const resolved = previous.get(keyOf(item));
+        if (resolved) {
+          Object.assign(item, {
+            resolved: true,
+            resolvedBy: resolved.resolvedBy,
+            resolvedAt: resolved.resolvedAt,
+            resolutionNote: resolved.resolutionNote
+          });
+        }
+      });
+    }
+
+    const data = {
+      reportDate: dateKey,
+      periodStart,
+      periodEnd,
+      status: gatewayErrors.length > 0 ? 'partial' : 'completed',
+      summary,
+      discrepancies,
+      gatewayErrors,
+      generatedAt: new Date()
+    };
+
+    const report = existing
+      ? Object.assign(existing, data)
+      : new ReconciliationReport(data);
+
+    await report.save();
+
+    if (report.openDiscrepancies > 0) {
+      await this.notifyFinance(report);
+    }
+
+    return report;
+  }
+
+  /**
+   * Compare our payments for a period with what the gateways recorded
+   */
+  async findDiscrepancies(periodStart, periodEnd) {
+    const discrepancies = [];
+    const gatewayErrors = [];
+    const transactions = [];
+    const listedGateways = [];
+
+    for (const name of GATEWAY_NAMES) {
+      const gateway = getGateway(name);
+      if (!gateway.isConfigured()) continue;
+
+      try {
+        const listed = await gateway.listTransactions({ from: periodStart, to: periodEnd });
+        listed.forEach(transaction => transactions.push({ ...transaction, gateway: name }));
+        listedGateways.push(name);
+      } catch (error) {
+        gatewayErrors.push({ gateway: name, message: error.message });
+      }
+    }
+
+    const payments = await Payment.find({
+      paymentGateway: { $in: GATEWAY_NAMES },
+      createdAt: { $gte: periodStart, $lte: periodEnd }
+    });
+
+    // Transactions can belong to payments created just before the period
+    const references = transactions.map(transaction => transaction.reference).filter(Boolean).map(ref => ref.toUpperCase());
+    const gatewayReferences = transactions.map(transaction => transaction.gatewayReference).filter(Boolean);
+    const matched = references.length || gatewayReferences.length
+      ? await Payment.find({
+        $or: [
+          { transactionReference: { $in: references } },
+          { gatewayReference: { $in: gatewayReferences } }
+        ]
+      })
+      : [];
+
+    const byReference = new Map();
+    [...payments, ...matched].forEach(payment => {
+      byReference.set(payment.transactionReference, payment);
+      if (payment.gatewayReference) byReference.set(payment.gatewayReference, payment);
+    });
+
+    const seen = new Map();
+    const settledPaymentIds = new Set();
+
+    for (const transaction of transactions) {
+      const key = (transaction.reference || transaction.gatewayReference || '').toUpperCase();
+      const payment = byReference.get(key) || byReference.get(transaction.gatewayReference);
+
+      seen.set(key, (seen.get(key) || 0) + 1);
+      if (seen.get(key) === 2) {
+        discrepancies.push({
+          type: 'double_charge',
+          gateway: transaction.gateway,
+          reference: transaction.reference,
+          paymentId: payment?._id || null,
+          appointmentId: payment?.appointmentId || null,
+          actualAmount: transaction.amount,
+          currency: transaction.currency,
+          details: 'The gateway recorded more than one successful charge for this reference'
+        });
+      }
+
+      if (!payment) {
+        discrepancies.push({
+          type: 'orphaned_transaction',
+          gateway: transaction.gateway,
+          reference: transaction.reference || transaction.gatewayReference,
+          actualAmount: transaction.amount,
+          currency: transaction.currency,
+          details: 'Successful gateway transaction with no matching payment record'
+        });
+        continue;
+      }
+
+      settledPaymentIds.add(payment._id.toString());
+
+      if (amountsDiffer(transaction.amount, payment.gatewayAmount) || transaction.currency !== payment.currency) {
+        discrepancies.push({
+          type: 'amount_mismatch',
+          gateway: transaction.gateway,
+          reference: payment.transactionReference,
+          paymentId: payment._id,
+          appointmentId: payment.appointmentId,
+          expectedAmount: payment.gatewayAmount,
+          actualAmount: transaction.amount,
+          currency: transaction.currency,
+          details: transaction.currency !== payment.currency
+            ? `Charged in ${transaction.currency}, expected ${payment.currency}`
+            : 'Gateway charged a different amount than the payment record'
+        });
+      }
+
+      if (!PAID_STATUSES.includes(payment.status)) {
+        discrepancies.push({
+          type: 'status_mismatch',
+          gateway: transaction.gateway,
+          reference: payment.transactionReference,
+          paymentId: payment._id,
+          appointmentId: payment.appointmentId,
+          expectedAmount: payment.gatewayAmount,
+          actualAmount: transaction.amount,
+          currency: payment.currency,
+          details: `Gateway charged the patient but the payment is ${payment.status}`
+        });
+      }
+    }
+
+    // Paid on our side but missing from a gateway we could list
+    payments
+      .filter(payment => PAID_STATUSES.includes(payment.status))
+      .filter(payment => listedGateways.includes(payment.paymentGateway))
+      .filter(payment => payment.gatewayAmount > 0 && !settledPaymentIds.has(payment._id.toString()))
+      .forEach(payment => discrepancies.push({
+        type: 'status_mismatch',
+        gateway: payment.paymentGateway,
+        reference: payment.transactionReference,
+        paymentId: payment._id,
+        appointmentId: payment.appointmentId,
+        expectedAmount: payment.gatewayAmount,
+        currency: payment.currency,
+        details: 'Payment is marked paid but the gateway has no successful transaction for it'
+      }));
+
+    // Charge webhooks we could never match to a payment
+    const orphanedEvents = await WebhookEvent.find({
+      normalizedType: 'charge.success',
+      status: 'failed',
+      lastError: /^Payment not found/,
+      createdAt: { $gte: periodStart, $lte: periodEnd }
+    });
+    const reportedOrphans = new Set(discrepancies
+      .filter(item => item.type === 'orphaned_transaction')
+      .map(item => (item.reference || '').toUpperCase()));
+
+    orphanedEvents
+      .filter(event => !reportedOrphans.has((event.reference || '').toUpperCase()))
+      .forEach(event => discrepancies.push({
+        type: 'orphaned_transaction',
+        gateway: event.gateway,
+        reference: event.reference,
+        details: `Charge webhook ${event.eventId} did not match any payment`
+      }));
+
+    // Appointments paid for more than once
+    const appointmentIds = payments
+      .filter(payment => payment.appointmentId && PAID_STATUSES.includes(payment.status))
+      .map(payment => payment.appointmentId);
+
+    const duplicates = appointmentIds.length > 0
+      ? await Payment.aggregate([
+        {
+          $match: {
+            appointmentId: { $in: appointmentIds },
+            purpose: { $ne: 'wallet_top_up' },
+            status: { $in: PAID_STATUSES }
+          }
+        },
+        {
+          $group: {
+            _id: '$appointmentId',
+            count: { $sum: 1 },
+            payments: { $push: { id: '$_id', reference: '$transactionReference', amount: '$amount', currency: '$currency' } }
+          }
+        },
+        { $match: { count: { $gt: 1 } } }
+      ])
+      : [];
+
+    duplicates.forEach(group => discrepancies.push({
+      type: 'double_charge',
+      reference: group.payments.map(item => item.reference).join(', '),
+      paymentId: group.payments[group.payments.length - 1].id,
+      appointmentId: group._id,
+      expectedAmount: group.payments[0].amount,
+      actualAmount: group.payments.reduce((total, item) => total + item.amount, 0),
+      currency: group.payments[0].currency,
+      details: `Appointment has ${group.count} successful payments`
+    }));
+
+    // Still pending after reconciliation had its chance
+    const staleCutoff = Date.now() - paymentConfig.reconciliationStaleMinutes * 60000;
+    payments
+      .filter(payment => payment.status === 'pending' && payment.createdAt.getTime() < staleCutoff)
+      .forEach(payment => discrepancies.push({
+        type: 'unresolved_pending',
+        gateway: payment.paymentGateway,
+        reference: payment.transactionReference,
+        paymentId: payment._id,
+        appointmentId: payment.appointmentId,
+        expectedAmount: payment.gatewayAmount,
+        currency: payment.currency,
+        details: payment.lastVerifiedAt
+          ? `Gateway still reports the payment as pending (last checked ${payment.lastVerifiedAt.toISOString()})`
+          : 'Payment has not been verified with the gateway'
+      }));
+
+    const count = (type) => discrepancies.filter(item => item.type === type).length;
+
+    return {
+      discrepancies,
+      gatewayErrors,
+      summary: {
+        paymentsChecked: payments.length,
+        gatewayTransactions: transactions.length,
+        amountMismatches: count('amount_mismatch'),
+        statusMismatches: count('status_mismatch'),
+        orphanedTransactions: count('orphaned_transaction'),
+        doubleCharges: count('double_charge'),
+        unresolvedPending: count('unresolved_pending')
+      }
+    };
+  }
+
+  /**
+   * Report for yesterday (UTC), created once
+   */
+  async generateDailyReport() {
+    const yesterday = toDateKey(Date.now() - 24 * 3600000);
+    const existing = await ReconciliationReport.exists({ reportDate: yesterday });
+    if (existing) return null;
+
+    return await this.generateReport(yesterday);
+  }
+
+  /**
+   * Let finance admins know a report needs attention
+   */
+  async notifyFinance(report) {
+    const admins = await User.find({ role: 'admin', isActive: true }).select('_id');
+
+    for (const admin of admins) {
+      await Notification.createAndSend({
+        userId: admin._id,
+        type: 'reconciliation_report',
+        title: 'Payment Discrepancies Found',
+        message: `The reconciliation report for ${report.reportDate} has ${report.openDiscrepancies} open discrepancy(ies)`,
+        relatedId: report._id,
+        relatedModel: 'ReconciliationReport',
+        channels: ['email', 'in-app'],
+        actionUrl: `/admin/reconciliation/${report._id}`
+      });
+    }
+  }
+}
+
+module.exports = new ReconciliationService();
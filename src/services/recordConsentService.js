@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const RecordConsent = require('../models/RecordConsent');
+const Appointment = require('../models/Appointment');
+const Patient = require('../models/Patient');
+const Doctor = require('../models/Doctor');
+const Notification = require('../models/Notification');
+const recordsConfig = require('../config/records');
+const { createError } = require('../utils/errors');
+
+// Appointment statuses that make a doctor part of the patient's care
+const TREATING_STATUSES = ['confirmed', 'in-progress', 'completed'];
+
+/**
+ * Patient consent for doctors to export their clinical record.
+ * A treating doctor asks, the patient grants or declines, and can revoke
+ * a grant at any time. Grants lapse after RECORD_CONSENT_DAYS.
+ */
+class RecordConsentService {
+  async isTreatingDoctor(doctorId, patientId) {
+    const appointment = await Appointment.exists({
+      doctorId,
+      patientId,
+      status: { $in: TREATING_STATUSES }
+    });
+    return Boolean(appointment);
+  }
+
+  /**
+   * Ask a patient for access to their record
+   */
+  async requestConsent(doctor, patientId, purpose) {
+    if (!mongoose.Types.ObjectId.isValid(patientId)) {
+      throw createError('Invalid patient ID', 400);
+    }
+
+    const patient = await Patient.findById(patientId);
+    if (!patient) {
+      throw createError('Patient not found', 404);
+    }
+
+    if (!(await this.isTreatingDoctor(doctor._id, patient._id))) {
+      throw createError('Only a doctor treating this patient can request their record', 403);
+    }
+
+    const existing = await RecordConsent.findOne({
+      patientId: patient._id,
+      doctorId: doctor._id,
+      $or: [
+        { status: 'requested' },
+        { status: 'granted', expiresAt: { $gt: new Date() } }
+      ]
+    });
+
+    if (existing) {
+      throw createError(
+        existing.status === 'requested'
+          ? 'A consent request is already waiting for the patient'
+          : 'You already have consent to export this record',
+        409
+      );
+    }
+
+    const consent = await RecordConsent.create({
+      patientId: patient._id,
+      doctorId: doctor._id,
+      purpose
+    });
+
+    await Notification.createAndSend({
+      userId: patient.userId,
+      type: 'record_access',
+      title: 'Record Access Requested',
+      message: `Dr. ${doctor.firstName} ${doctor.lastName} is asking to export your health record${purpose ? `: ${purpose}` : ''}`,
+      relatedId: consent._id,
+      relatedModel: 'RecordConsent',
+      channels: ['push', 'email', 'in-app'],
+      actionUrl: '/records/consents'
+    });
+
+    return consent;
+  }
+
+  /**
+   * Patient grants, declines or revokes a consent
+   */
+  async respond(patient, consentId, status) {
+    if (!mongoose.Types.ObjectId.isValid(consentId)) {
+      throw createError('Invalid consent ID', 400);
+    }
+
+    const consent = await RecordConsent.findOne({ _id: consentId, patientId: patient._id });
+    if (!consent) {
+      throw createError('Consent request not found', 404);
+    }
+
+    if (!consent.canTransitionTo(status)) {
+      throw createError(`Cannot move consent from ${consent.status} to ${status}`, 400);
+    }
+
+    await consent.respond(status, recordsConfig.consentValidDays);
+
+    const doctor = await Doctor.findById(consent.doctorId);
+    if (doctor) {
+      await Notification.createAndSend({
+        userId: doctor.userId,
+        type: 'record_access',
+        title: `Record Access ${status.charAt(0).toUpperCase()}${status.slice(1)}`,
+        message: `${patient.firstName} ${patient.lastName} ${status} access to their health record`,
+        relatedId: consent._id,
+        relatedModel: 'RecordConsent',
+        channels: ['push', 'in-app'],
+        actionUrl: '/records/consents'
+      });
+    }
+
+    return consent;
+  }
+
+  /**
+   * Check a doctor may export a patient's record now, and note the access
+   */
+  async authorizeExport(doctor, patientId) {
+    if (!mongoose.Types.ObjectId.isValid(patientId)) {
+      throw createError('Invalid patient ID', 400);
+    }
+
+    const patient = await Patient.findById(patientId);
+    if (!patient) {
+      throw createError('Patient not found', 404);
+    }
+
+    if (!(await this.isTreatingDoctor(doctor._id, patient._id))) {
+      throw createError('Only a doctor treating this patient can export their record', 403);
+    }
+
+    const consent = await RecordConsent.findActive(patient._id, doctor._id);
+    if (!consent) {
+      throw createError('The patient has not given consent to export their record', 403);
+    }
+
+    await consent.recordAccess();
+
+    return patient;
+  }
+}
+
+module.exports = new RecordConsentService();
@@ -0,0 +1,200 @@
+const Payment = require('../models/Payment');
+const Patient = require('../models/Patient');
+const Notification = require('../models/Notification');
+const walletService = require('./walletService');
+const paymentConfig = require('../config/payments');
+const { getGateway } = require('./gateways');
+const { createError } = require('../utils/errors');
+
+// Stand-in for development and tests: settles instantly, no network
+const localRefundGateway = {
+  async refund(payment) {
+    return {
+      id: `LOCAL_${Date.now()}_${payment._id}`,
+      status: 'processed'
+    };
+  }
+};
+
+class RefundService {
+  getGateway(payment) {
+    return paymentConfig.refundMode === 'local'
+      ? localRefundGateway
+      : getGateway(payment.paymentGateway);
+  }
+
+  /**
+   * Start a refund for a payment. amount defaults to everything still refundable.
+   * initiatedBy is the admin's user ID, or null when a policy triggered it.
+   * Whatever was paid from the wallet goes back to the wallet first; with toWallet
+   * the whole refund is credited to the wallet instead of the original payment method.
+   * Returns { refunds, status } where status is 'processed' once every part has settled.
+   */
+  async refund(payment, { amount = null, reason, initiatedBy = null, toWallet = false } = {}) {
+    if (payment.purpose === 'wallet_top_up') {
+      throw createError('Wallet top-ups cannot be refunded', 400);
+    }
+
+    if (!['successful', 'partially_refunded'].includes(payment.status)) {
+      throw createError('Only successful payments can be refunded', 400);
+    }
+
+    const refundAmount = amount === null || amount === undefined ? payment.refundableAmount : Number(amount);
+
+    if (!Number.isFinite(refundAmount) || refundAmount <= 0) {
+      throw createError('Refund amount must be greater than zero', 400);
+    }
+
+    if (refundAmount > payment.refundableAmount) {
+      throw createError(`Refund amount exceeds the refundable balance of ${payment.refundableAmount}`, 400);
+    }
+
+    if (toWallet) {
+      walletService.assertBaseCurrency(payment.currency);
+    }
+
+    const walletPart = toWallet
+      ? refundAmount
+      : Math.min(refundAmount, payment.walletRefundableAmount);
+    const gatewayPart = Math.round((refundAmount - walletPart) * 100) / 100;
+
+    const now = Date.now();
+    const entries = [];
+
+    if (walletPart > 0) {
+      entries.push({ amount: walletPart, reason, reference: `RFND_${now}_${payment._id}_W`, initiatedBy, destination: 'wallet' });
+    }
+
+    if (gatewayPart > 0) {
+      entries.push({ amount: gatewayPart, reason, reference: `RFND_${now}_${payment._id}`, initiatedBy, destination: 'gateway' });
+    }
+
+    // Both parts are reserved in one update, so a concurrent refund can't take the balance in between
+    const requested = await payment.requestRefunds(entries);
+    if (!requested) {
+      throw createError('Another refund for this payment was requested at the same time. Please check the payment and try again.', 409);
+    }
+
+    const refunds = [];
+
+    for (const [index, refund] of requested.entries()) {
+      try {
+        refunds.push(refund.destination === 'wallet'
+          ? await this.refundToWallet(payment, refund)
+          : await this.refundToGateway(payment, refund));
+      } catch (error) {
+        // Parts that were never attempted go back to the refundable balance
+        for (const skipped of requested.slice(index + 1)) {
+          await payment.failRefund(skipped, `Not attempted: ${error.message}`);
+        }
+        throw error;
+      }
+    }
+
+    return {
+      refunds,
+      status: refunds.every(refund => refund.status === 'processed') ? 'processed' : 'pending'
+    };
+  }
+
+  /**
+   * Credit a reserved refund to the patient's wallet. Settles immediately.
+   */
+  async refundToWallet(payment, refund) {
+    try {
+      await walletService.creditRefund(payment, refund);
+    } catch (error) {
+      await payment.failRefund(refund, error.message);
+      throw createError(`Wallet refund failed: ${error.message}`, 500);
+    }
+
+    await this.completeRefund(payment, refund);
+    return refund;
+  }
+
+  /**
+   * Send a reserved refund back through the gateway that charged the payment
+   */
+  async refundToGateway(payment, refund) {
+    let result;
+    try {
+      result = await this.getGateway(payment).refund(payment, refund.amount, refund.reason);
+    } catch (error) {
+      await payment.failRefund(refund, error.message);
+      throw createError(`Refund could not be started: ${error.message}`, 502);
+    }
+
+    refund.gatewayRefundId = result.id;
+    await payment.save();
+
+    if (result.status === 'processed') {
+      await this.completeRefund(payment, refund);
+    }
+
+    return refund;
+  }
+
+  /**
+   * Apply a settled refund and let the patient know
+   */
+  async completeRefund(payment, refund) {
+    const settled = await payment.settleRefund(refund);
+    if (!settled) return; // Already handled (duplicate webhook)
+
+    const patient = await Patient.findById(payment.patientId);
+    if (!patient) return;
+
+    await Notification.createAndSend({
+      userId: patient.userId,
+      type: 'refund_processed',
+      title: 'Refund Processed',
+      message: refund.destination === 'wallet'
+        ? `${payment.currency} ${refund.amount.toLocaleString()} has been added to your wallet`
+        : `${payment.currency} ${refund.amount.toLocaleString()} has been refunded to your original payment method`,
+      relatedId: payment._id,
+      relatedModel: 'Payment',
+      channels: ['push', 'email', 'in-app'],
+      actionUrl: `/payments/${payment._id}`
+    });
+  }
+
+  /**
+   * Handle a normalized refund.processed / refund.failed gateway event
+   */
+  async handleWebhookEvent(event) {
+    const { refundId, reference } = event;
+
+    let payment = refundId
+      ? await Payment.findOne({ 'refunds.gatewayRefundId': refundId })
+      : null;
+
+    if (!payment && reference) {
+      payment = await Payment.findByReference(reference);
+    }
+
+    if (!payment) {
+      console.error('Refund webhook: payment not found', refundId || reference);
+      return false;
+    }
+
+    // Fall back to the oldest pending refund if the gateway ID never got stored
+    const refund = payment.findRefund(refundId) ||
+      payment.refunds.find(entry => entry.status === 'pending' && entry.destination !== 'wallet');
+
+    if (!refund) {
+      console.error('Refund webhook: no matching refund on payment', payment._id.toString());
+      return false;
+    }
+
+    if (event.type === 'refund.processed') {
+      await this.completeRefund(payment, refund);
+    } else if (event.type === 'refund.failed') {
+      await payment.failRefund(refund, event.reason || 'Refund failed at gateway');
+      console.error(`Refund failed for payment ${payment._id}:`, refund.reference);
+    }
+
+    return true;
+  }
+}
+
+module.exports = new RefundService();
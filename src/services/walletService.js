@@ -0,0 +1,234 @@
+const Wallet = require('../models/Wallet');
+const WalletTransaction = require('../models/WalletTransaction');
+const Payment = require('../models/Payment');
+const paymentConfig = require('../config/payments');
+const { createError } = require('../utils/errors');
+
+const toMinorUnit = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Patient wallet. Balances are kept in the base currency and every change is a
+ * WalletTransaction tied to the Payment that explains it. References are derived
+ * from that payment, so repeating a credit or debit (webhook retries, double clicks)
+ * is a no-op instead of a second movement.
+ */
+class WalletService {
+  assertBaseCurrency(currency) {
+    if (currency !== paymentConfig.baseCurrency) {
+      throw createError(`Wallet balances can only be used for ${paymentConfig.baseCurrency} payments`, 400);
+    }
+  }
+
+  async getWallet(patientId) {
+    return await Wallet.getForPatient(patientId);
+  }
+
+  async getBalance(patientId) {
+    const wallet = await Wallet.findOne({ patientId });
+    return wallet ? wallet.balance : 0;
+  }
+
+  /**
+   * Write one ledger entry and move the balance with it.
+   * Returns the existing entry if the reference has already been applied.
+   */
+  async record(patientId, { type, source, amount, paymentId, reference, description }) {
+    const value = toMinorUnit(Number(amount));
+
+    if (!Number.isFinite(value) || value <= 0) {
+      throw createError('Wallet amount must be greater than zero', 400);
+    }
+
+    const existing = await WalletTransaction.findOne({ reference: reference.toUpperCase() });
+    if (existing) return existing;
+
+    const wallet = type === 'credit'
+      ? await Wallet.increment(patientId, value)
+      : await Wallet.decrement(patientId, value);
+
+    if (!wallet) {
+      throw createError('Insufficient wallet balance', 400);
+    }
+
+    try {
+      return await WalletTransaction.create({
+        patientId,
+        type,
+        source,
+        amount: value,
+        balanceAfter: wallet.balance,
+        currency: wallet.currency,
+        paymentId,
+        reference,
+        description
+      });
+    } catch (error) {
+      // Undo the balance move so the ledger and balance never drift apart
+      await Wallet.increment(patientId, type === 'credit' ? -value : value);
+
+      if (error.code === 11000) {
+        return await WalletTransaction.findOne({ reference: reference.toUpperCase() });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Credit a successful top-up payment
+   */
+  async creditTopUp(payment) {
+    return await this.record(payment.patientId, {
+      type: 'credit',
+      source: 'top_up',
+      amount: payment.amount,
+      paymentId: payment._id,
+      reference: `TOPUP_${payment._id}`,
+      description: 'Wallet top-up'
+    });
+  }
+
+  /**
+   * Take the wallet-funded part of an appointment payment
+   */
+  async debitPayment(payment) {
+    return await this.record(payment.patientId, {
+      type: 'debit',
+      source: 'appointment_payment',
+      amount: payment.walletAmount,
+      paymentId: payment._id,
+      reference: `PAY_${payment._id}`,
+      description: 'Appointment payment'
+    });
+  }
+
+  /**
+   * Give back wallet funds held by a payment that will never complete
+   */
+  async release(payment) {
+    if (!payment.walletAmount) return null;
+
+    const debit = await WalletTransaction.findOne({ reference: `PAY_${payment._id}`.toUpperCase() });
+    if (!debit) return null; // Nothing was taken
+
+    return await this.record(payment.patientId, {
+      type: 'credit',
+      source: 'payment_reversal',
+      amount: debit.amount,
+      paymentId: payment._id,
+      reference: `RELEASE_${payment._id}`,
+      description: 'Unused payment returned to wallet'
+    });
+  }
+
+  /**
+   * Credit a refund that was sent to the wallet
+   */
+  async creditRefund(payment, refund) {
+    return await this.record(payment.patientId, {
+      type: 'credit',
+      source: 'refund',
+      amount: refund.amount,
+      paymentId: payment._id,
+      reference: `REFUND_${refund.reference}`,
+      description: refund.reason ? `Refund: ${refund.reason}`.slice(0, 200) : 'Refund'
+    });
+  }
+
+  async getTransactions(patientId, { page = 1, limit = 20, type, source } = {}) {
+    const query = { patientId };
+    if (type) query.type = type;
+    if (source) query.source = source;
+
+    const skip = (page - 1) * limit;
+
+    const [transactions, total] = await Promise.all([
+      WalletTransaction.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit)
+        .skip(skip),
+      WalletTransaction.countDocuments(query)
+    ]);
+
+    return { transactions, total };
+  }
+
+  /**
+   * Check a wallet against its ledger, and every ledger entry against its payment.
+   * Returns { balanced, balance, ledgerBalance, discrepancies }.
+   */
+  async reconcile(patientId) {
+    const wallet = await Wallet.findOne({ patientId });
+    const balance = wallet ? wallet.balance : 0;
+    const ledgerBalance = toMinorUnit(await WalletTransaction.getLedgerBalance(patientId));
+
+    const discrepancies = [];
+
+    if (toMinorUnit(balance) !== ledgerBalance) {
+      discrepancies.push({ issue: 'balance_mismatch', expected: ledgerBalance, actual: balance });
+    }
+
+    const transactions = await WalletTransaction.find({ patientId }).sort({ createdAt: 1 });
+    const payments = await Payment.find({ _id: { $in: transactions.map(entry => entry.paymentId) } });
+    const paymentsById = new Map(payments.map(payment => [payment._id.toString(), payment]));
+
+    for (const entry of transactions) {
+      const issue = this.checkEntry(entry, paymentsById.get(entry.paymentId.toString()));
+      if (issue) {
+        discrepancies.push({
+          issue,
+          transactionId: entry._id,
+          reference: entry.reference,
+          paymentId: entry.paymentId,
+          amount: entry.amount
+        });
+      }
+    }
+
+    return {
+      balanced: discrepancies.length === 0,
+      balance,
+      ledgerBalance,
+      transactionCount: transactions.length,
+      discrepancies
+    };
+  }
+
+  /**
+   * Does a ledger entry agree with its payment? Returns an issue code or null.
+   */
+  checkEntry(entry, payment) {
+    if (!payment) return 'payment_not_found';
+    if (payment.patientId.toString() !== entry.patientId.toString()) return 'patient_mismatch';
+
+    switch (entry.source) {
+      case 'top_up':
+        if (payment.purpose !== 'wallet_top_up') return 'not_a_top_up';
+        if (payment.status !== 'successful') return 'top_up_not_successful';
+        return payment.amount === entry.amount ? null : 'amount_mismatch';
+
+      case 'appointment_payment':
+        return payment.walletAmount === entry.amount ? null : 'amount_mismatch';
+
+      case 'payment_reversal': {
+        // A charge that landed after the reversal leaves the payment successful, with the reversal recorded as its wallet refund
+        const lateRefund = payment.lateChargeAt && payment.refunds.find(item =>
+          item.reference === entry.reference.toUpperCase() && item.destination === 'wallet' && item.status === 'processed'
+        );
+        if (payment.status !== 'failed' && !lateRefund) return 'reversal_for_active_payment';
+        return payment.walletAmount === entry.amount ? null : 'amount_mismatch';
+      }
+
+      case 'refund': {
+        const refund = payment.refunds.find(item => `REFUND_${item.reference}` === entry.reference);
+        if (!refund || refund.destination !== 'wallet') return 'refund_not_found';
+        if (refund.status !== 'processed') return 'refund_not_processed';
+        return refund.amount === entry.amount ? null : 'amount_mismatch';
+      }
+
+      default:
+        return 'unknown_source';
+    }
+  }
+}
+
+module.exports = new WalletService();
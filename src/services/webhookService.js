@@ -0,0 +1,120 @@
+const WebhookEvent = require('../models/WebhookEvent');
+const paymentService = require('./paymentService');
+const paymentConfig = require('../config/payments');
+const { getGateway } = require('./gateways');
+const { createError } = require('../utils/errors');
+
+// 1, 2, 4, 8... minutes between attempts, capped at 6 hours
+const retryDelayMs = (attempts) => Math.min(2 ** (attempts - 1), 360) * 60000;
+
+// Events untouched in 'received' or 'processing' since then were dropped by a crashed run
+const staleCutoff = () => new Date(Date.now() - paymentConfig.webhookStaleMinutes * 60000);
+
+/**
+ * Every verified gateway webhook is stored before it is applied, so duplicates are
+ * dropped, failures are retried by the webhook-retry job, and admins can inspect them.
+ */
+class WebhookService {
+  /**
+   * Verify, log and process an incoming webhook. Returns { event, duplicate }.
+   */
+  async receive(gatewayName, req) {
+    const gateway = getGateway(gatewayName);
+
+    if (!gateway.verifyWebhook(req)) {
+      throw createError('Invalid signature', 401);
+    }
+
+    const eventId = gateway.getEventId(req.body);
+    if (!eventId) {
+      throw createError('Webhook event has no identifier', 400);
+    }
+
+    const normalized = gateway.parseWebhookEvent(req.body);
+
+    let event;
+    try {
+      event = await WebhookEvent.create({
+        gateway: gateway.name,
+        eventId,
+        type: req.body.event || req.body.type,
+        normalizedType: normalized.type,
+        reference: normalized.reference || normalized.refundId,
+        payload: req.body
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      // Seen before: only a failed delivery is worth another go
+      event = await WebhookEvent.findOne({ gateway: gateway.name, eventId });
+      if (event.status !== 'failed') {
+        return { event, duplicate: true };
+      }
+    }
+
+    await this.process(event);
+    return { event, duplicate: false };
+  }
+
+  /**
+   * Apply a stored event. Failures are recorded and scheduled for retry, never thrown.
+   */
+  async process(event) {
+    const claimed = await WebhookEvent.claim(event._id, staleCutoff());
+    if (!claimed) return event; // Someone else is on it, or it's done
+
+    try {
+      const normalized = getGateway(claimed.gateway).parseWebhookEvent(claimed.payload);
+      const handled = await paymentService.processEvent(normalized);
+
+      claimed.status = handled ? 'processed' : 'ignored';
+      claimed.lastError = undefined;
+      claimed.nextRetryAt = null;
+      claimed.processedAt = new Date();
+    } catch (error) {
+      const exhausted = claimed.attempts >= paymentConfig.webhookMaxAttempts;
+
+      claimed.status = 'failed';
+      claimed.lastError = error.message;
+      claimed.nextRetryAt = exhausted ? null : new Date(Date.now() + retryDelayMs(claimed.attempts));
+
+      console.error(`Webhook ${claimed.gateway}:${claimed.eventId} failed (attempt ${claimed.attempts}):`, error.message);
+    }
+
+    await claimed.save();
+    return claimed;
+  }
+
+  /**
+   * Retry failed events whose backoff has passed, and pick up events a crashed run
+   * left behind. Returns how many were attempted.
+   */
+  async retryDue() {
+    const events = await WebhookEvent.getDueForRetry(staleCutoff(), paymentConfig.webhookMaxAttempts);
+
+    for (const event of events) {
+      await this.process(event);
+    }
+
+    return events.length;
+  }
+
+  /**
+   * Manual retry from the admin view (ignores backoff and the attempt limit)
+   */
+  async retry(eventId) {
+    const event = await WebhookEvent.findById(eventId);
+
+    if (!event) {
+      throw createError('Webhook event not found', 404);
+    }
+
+    if (event.status !== 'failed') {
+      throw createError(`Only failed events can be retried (this one is ${event.status})`, 400);
+    }
+
+    return await this.process(event);
+  }
+}
+
+module.exports = new WebhookService();
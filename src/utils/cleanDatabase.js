@@ -11,6 +11,18 @@ const Payment = require('../models/Payment');
 const Review = require('../models/Review');
 const Notification = require('../models/Notification');
 const Message = require('../models/Message');
+const SlotHold = require('../models/SlotHold');
+const Payout = require('../models/Payout');
+const WebhookEvent = require('../models/WebhookEvent');
+const Wallet = require('../models/Wallet');
+const WalletTransaction = require('../models/WalletTransaction');
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const InsuranceClaim = require('../models/InsuranceClaim');
+const InsurancePolicy = require('../models/InsurancePolicy');
+const InsuranceProvider = require('../models/InsuranceProvider');
+const RecordConsent = require('../models/RecordConsent');
 
 const cleanDatabase = async () => {
   try {
@@ -30,9 +42,46 @@ const cleanDatabase = async () => {
     await Consultation.deleteMany({});
     console.log('   ✅ Consultations deleted');
     
+    await WebhookEvent.deleteMany({});
+    console.log('   ✅ Webhook events deleted');
+    
+    // The ledger model refuses deletes, so clear the collection directly
+    await WalletTransaction.collection.deleteMany({});
+    console.log('   ✅ Wallet transactions deleted');
+    
+    await Wallet.deleteMany({});
+    console.log('   ✅ Wallets deleted');
+    
+    await ReconciliationReport.deleteMany({});
+    console.log('   ✅ Reconciliation reports deleted');
+    
+    await PromoRedemption.deleteMany({});
+    console.log('   ✅ Promo redemptions deleted');
+    
+    await PromoCode.deleteMany({});
+    console.log('   ✅ Promo codes deleted');
+    
+    await InsuranceClaim.deleteMany({});
+    console.log('   ✅ Insurance claims deleted');
+    
+    await InsurancePolicy.deleteMany({});
+    console.log('   ✅ Insurance policies deleted');
+    
+    await InsuranceProvider.deleteMany({});
+    console.log('   ✅ Insurers deleted');
+    
+    await RecordConsent.deleteMany({});
+    console.log('   ✅ Record consents deleted');
+    
+    await Payout.deleteMany({});
+    console.log('   ✅ Payouts deleted');
+    
     await Payment.deleteMany({});
     console.log('   ✅ Payments deleted');
     
+    await SlotHold.deleteMany({});
+    console.log('   ✅ Slot holds deleted');
+    
     await Appointment.deleteMany({});
     console.log('   ✅ Appointments deleted');
     
@@ -0,0 +1,32 @@
+/**
+ * Minimal CSV (RFC 4180) writer for exports.
+ * columns: [{ key, header }]; rows: plain objects read by key.
+ */
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (columns, rows) => {
+  const lines = [
+    columns.map(column => escapeCell(column.header)).join(','),
+    ...rows.map(row => columns.map(column => escapeCell(row[column.key])).join(','))
+  ];
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  toCsv
+};
@@ -0,0 +1,14 @@
+/**
+ * Errors services throw for controllers to turn into responses:
+ * statusCode is sent as the HTTP status with the message as-is.
+ */
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+module.exports = {
+  createError
+};
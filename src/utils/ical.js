@@ -0,0 +1,84 @@
+/**
+ * Minimal iCalendar (RFC 5545) writer for appointment exports and feeds.
+ * All times are written in UTC so calendar apps convert them to the viewer's timezone.
+ */
+
+const PRODUCT_ID = '-//HealthHub//Appointments//EN';
+
+// Escape TEXT values (backslash, semicolon, comma, newline)
+const escapeText = (value = '') =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (chunks.length ? 74 : 75)) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+// 2025-01-15T09:30:00.000Z -> 20250115T093000Z
+const formatDateTime = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const buildEvent = (event) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDateTime(event.stamp || new Date())}`,
+    `DTSTART:${formatDateTime(event.start)}`,
+    `DTEND:${formatDateTime(event.end)}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `STATUS:${event.status || 'CONFIRMED'}`,
+    `SUMMARY:${escapeText(event.summary)}`
+  ];
+
+  if (event.lastModified) lines.push(`LAST-MODIFIED:${formatDateTime(event.lastModified)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Serialize a calendar. events: [{ uid, start, end, summary, description, location, url, status, sequence, stamp, lastModified }]
+ */
+const buildCalendar = ({ name, events = [], method = 'PUBLISH' }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`
+  ];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  events.forEach(event => lines.push(...buildEvent(event)));
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  escapeText,
+  formatDateTime,
+  buildCalendar
+};
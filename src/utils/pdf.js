@@ -0,0 +1,169 @@
+/**
+ * Minimal PDF (1.4) writer for receipts and statements.
+ * Text-only A4 pages using the built-in Helvetica fonts, so nothing needs to be
+ * installed or fetched. Characters outside Latin-1 are replaced with '?'.
+ */
+
+const PAGE_WIDTH = 595; // A4 in points
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126, used to right-align text
+const CHAR_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+// Keep to Latin-1 (what WinAnsiEncoding can show)
+const toLatin1 = (value = '') =>
+  String(value).replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+
+// Escape string literal delimiters
+const escapeText = (value) =>
+  value.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+
+const textWidth = (text, size) => {
+  let units = 0;
+  for (const char of text) {
+    const code = char.charCodeAt(0);
+    units += code >= 32 && code <= 126 ? CHAR_WIDTHS[code - 32] : 556;
+  }
+  return units * size / 1000;
+};
+
+const formatNumber = (value) => Number(value.toFixed(2)).toString();
+
+class PdfDocument {
+  constructor({ title = '', author = 'HealthHub' } = {}) {
+    this.title = title;
+    this.author = author;
+    this.pages = [];
+    this.addPage();
+  }
+
+  get contentWidth() {
+    return PAGE_WIDTH - MARGIN * 2;
+  }
+
+  addPage() {
+    this.current = [];
+    this.pages.push(this.current);
+    this.y = PAGE_HEIGHT - MARGIN;
+    return this;
+  }
+
+  // Start a new page if the next `height` points don't fit
+  ensureSpace(height) {
+    if (this.y - height < MARGIN) {
+      this.addPage();
+    }
+    return this;
+  }
+
+  /**
+   * Write text at the cursor. options: { x, size, bold, align: 'left'|'right', width }
+   * Right-aligned text ends at x + width. Does not move the cursor - see text().
+   */
+  place(value, { x = MARGIN, size = 10, bold = false, align = 'left', width = this.contentWidth } = {}) {
+    const text = toLatin1(value);
+    const left = align === 'right' ? x + width - textWidth(text, size) : x;
+
+    this.current.push(
+      `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${formatNumber(left)} ${formatNumber(this.y - size)} Td (${escapeText(text)}) Tj ET`
+    );
+    return this;
+  }
+
+  /**
+   * Write one line of text and move the cursor below it
+   */
+  text(value, options = {}) {
+    const size = options.size || 10;
+    this.ensureSpace(size * 1.5);
+    this.place(value, options);
+    this.y -= size * 1.5;
+    return this;
+  }
+
+  /**
+   * Write several cells on the same line: [{ text, x, width, align, bold }]
+   */
+  row(cells, { size = 10, bold = false } = {}) {
+    this.ensureSpace(size * 1.5);
+    cells.forEach(cell => this.place(cell.text, { size, bold, ...cell }));
+    this.y -= size * 1.5;
+    return this;
+  }
+
+  // Horizontal line across the page
+  rule({ gap = 6 } = {}) {
+    this.ensureSpace(gap * 2);
+    this.y -= gap;
+    this.current.push(`0.5 w ${MARGIN} ${formatNumber(this.y)} m ${PAGE_WIDTH - MARGIN} ${formatNumber(this.y)} l S`);
+    this.y -= gap;
+    return this;
+  }
+
+  moveDown(points = 10) {
+    this.y -= points;
+    return this;
+  }
+
+  /**
+   * Serialize to a PDF file
+   */
+  toBuffer() {
+    const objects = [];
+    const add = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalogId = add(null); // Filled in once the page tree exists
+    const pagesId = add(null);
+    const regularFontId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    const boldFontId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+    const infoId = add(`<< /Title (${escapeText(toLatin1(this.title))}) /Author (${escapeText(toLatin1(this.author))}) /Producer (HealthHub) >>`);
+
+    const pageIds = this.pages.map((operations, index) => {
+      const footer = this.pages.length > 1
+        ? [`BT /F1 8 Tf ${MARGIN} ${MARGIN / 2} Td (Page ${index + 1} of ${this.pages.length}) Tj ET`]
+        : [];
+      const stream = [...operations, ...footer].join('\n');
+      const contentId = add(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+
+      return add(
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+      );
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+    let output = '%PDF-1.4\n';
+    const offsets = objects.map((body, index) => {
+      const offset = Buffer.byteLength(output, 'latin1');
+      output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+
+    const xrefOffset = Buffer.byteLength(output, 'latin1');
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`;
+    output += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(output, 'latin1');
+  }
+}
+
+module.exports = {
+  PdfDocument,
+  PAGE_WIDTH,
+  MARGIN
+};
@@ -0,0 +1,17 @@
+/**
+ * Helpers for the free-text lists on patient records (allergies, medications, conditions).
+ */
+
+// Case-insensitive union of free-text lists, keeping the first spelling seen
+const mergeTexts = (...lists) => {
+  const seen = new Map();
+  lists.flat().filter(Boolean).forEach(item => {
+    const text = String(item).trim();
+    if (text && !seen.has(text.toLowerCase())) seen.set(text.toLowerCase(), text);
+  });
+  return [...seen.values()];
+};
+
+module.exports = {
+  mergeTexts
+};
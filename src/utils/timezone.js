@@ -0,0 +1,186 @@
+// Timezone helpers built on Intl (IANA zone names like 'Africa/Lagos')
+//
+// Conventions used across the scheduling code:
+// - "date key" is a calendar date string in YYYY-MM-DD form
+// - calendar-only dates (blocked dates, custom dates) are stored as UTC midnight of that date
+// - wall-clock times (HH:MM) are always read in the doctor's timezone
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Africa/Lagos';
+
+const DATE_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const LOCAL_DATE_TIME_REGEX = /^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2})(:\d{2}(\.\d+)?)?$/;
+
+const formatterCache = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'long',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatterCache.get(timeZone);
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Check that a string is a valid IANA timezone
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Break a moment in time into wall-clock parts for a timezone
+const getZonedParts = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = {};
+  for (const part of getFormatter(timeZone).formatToParts(new Date(date))) {
+    parts[part.type] = part.value;
+  }
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: parts.weekday.toLowerCase()
+  };
+};
+
+// Offset of a timezone from UTC at a given moment, in minutes (Lagos = +60)
+const getOffsetMinutes = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const time = new Date(date).getTime();
+  const parts = getZonedParts(time, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(time / 1000) * 1000) / 60000);
+};
+
+// Convert a wall-clock date and time in a timezone to a real Date
+const zonedTimeToUtc = (dateKey, timeString, timeZone = DEFAULT_TIMEZONE) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const [hours, minutes] = timeString.split(':').map(Number);
+  const guess = Date.UTC(year, month - 1, day, hours, minutes);
+
+  // Re-check the offset at the result so DST transitions land correctly
+  let result = guess - getOffsetMinutes(guess, timeZone) * 60000;
+  const correctedOffset = getOffsetMinutes(result, timeZone);
+  result = guess - correctedOffset * 60000;
+
+  return new Date(result);
+};
+
+// Calendar date (YYYY-MM-DD) of a moment in a timezone
+const toDateKey = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = getZonedParts(date, timeZone);
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+};
+
+// Wall-clock time (HH:MM) of a moment in a timezone
+const toTimeString = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = getZonedParts(date, timeZone);
+  return `${pad(parts.hour)}:${pad(parts.minute)}`;
+};
+
+// Lowercase weekday name ('monday') of a moment in a timezone
+const getDayName = (date, timeZone = DEFAULT_TIMEZONE) => {
+  return getZonedParts(date, timeZone).weekday;
+};
+
+// Lowercase weekday name for a calendar date
+const getDayNameForDateKey = (dateKey) => {
+  return getDayName(storedDateFromKey(dateKey), 'UTC');
+};
+
+// Calendar key of a stored calendar-only date (saved as UTC midnight)
+const storedDateKey = (date) => toDateKey(date, 'UTC');
+
+// Stored representation of a calendar date
+const storedDateFromKey = (dateKey) => new Date(`${dateKey}T00:00:00.000Z`);
+
+// Normalise client input ('2026-03-01', ISO timestamp or Date) to a calendar key in a timezone
+const normalizeDateKey = (value, timeZone = DEFAULT_TIMEZONE) => {
+  if (typeof value === 'string' && DATE_KEY_REGEX.test(value)) {
+    return value;
+  }
+  return toDateKey(value, timeZone);
+};
+
+// Parse client date-times; values without an offset are read as wall-clock time in the timezone
+const parseDateTime = (value, timeZone = DEFAULT_TIMEZONE) => {
+  if (typeof value === 'string') {
+    const match = value.match(LOCAL_DATE_TIME_REGEX);
+    if (match) {
+      return zonedTimeToUtc(match[1], match[2], timeZone);
+    }
+  }
+  return new Date(value);
+};
+
+// First and last millisecond of a calendar day in a timezone
+const getDayBounds = (dateKey, timeZone = DEFAULT_TIMEZONE) => {
+  const start = zonedTimeToUtc(dateKey, '00:00', timeZone);
+
+  const next = storedDateFromKey(dateKey);
+  next.setUTCDate(next.getUTCDate() + 1);
+  const end = new Date(zonedTimeToUtc(storedDateKey(next), '00:00', timeZone).getTime() - 1);
+
+  return { start, end };
+};
+
+// ISO 8601 timestamp with the timezone's offset, e.g. 2026-03-01T09:00:00+01:00
+const formatISOWithOffset = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = getZonedParts(date, timeZone);
+  const offset = getOffsetMinutes(date, timeZone);
+  const sign = offset >= 0 ? '+' : '-';
+  const absolute = Math.abs(offset);
+
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}` +
+    `T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}` +
+    `${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+};
+
+// Human-readable date and time for notifications
+const formatDisplayTime = (date, timeZone = DEFAULT_TIMEZONE) => {
+  return new Date(date).toLocaleString('en-US', {
+    timeZone,
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  });
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  getZonedParts,
+  getOffsetMinutes,
+  zonedTimeToUtc,
+  toDateKey,
+  toTimeString,
+  getDayName,
+  getDayNameForDateKey,
+  storedDateKey,
+  storedDateFromKey,
+  normalizeDateKey,
+  parseDateTime,
+  getDayBounds,
+  formatISOWithOffset,
+  formatDisplayTime
+};